@@ -0,0 +1,704 @@
+// UI string catalog - English and Hindi text for index.html and script.js
+//
+// Static markup opts in with data-i18n="key" (text) or data-i18n-<attribute>="key" for the attributes in
+// I18n.ATTRIBUTES. Dynamic text goes through t(key, params); "{name}" placeholders are filled from params.
+
+const UI_STRINGS = {
+    en: {
+        'app.title': 'She Nurtures - AI Health Assistant',
+        'app.loading': 'Initializing She Nurtures AI...',
+        'header.language': 'Language',
+        'header.history': 'Conversation history',
+        'header.voice': 'Voice settings',
+        'header.info': 'Information',
+        'welcome.title': 'Welcome to She Nurtures',
+        'welcome.subtitle': 'Your compassionate AI guide for reproductive health information',
+        'common.optional': '(optional)',
+        'common.notSure': 'Not sure',
+        'common.cancel': 'Cancel',
+        'common.edit': 'Edit',
+        'common.delete': 'Delete',
+        'common.days': '{count} days',
+
+        // Modes
+        'mode.general.title': 'General Guide',
+        'mode.general.description': 'Ask any questions about PCOS, PCOD, and reproductive health',
+        'mode.symptom.title': 'Symptom Checker',
+        'mode.symptom.description': 'Get guided information based on specific symptoms',
+        'mode.cycle.title': 'Cycle Tracker',
+        'mode.cycle.description': 'Log your periods and see cycle length and regularity',
+
+        // Status line and audio
+        'status.ready': 'Ready to help',
+        'status.readyTextOnly': 'Ready to help (text only)',
+        'status.processing': 'Processing your request...',
+        'status.listening': 'Listening... tap the microphone when you are done',
+        'status.transcribing': 'Understanding your question...',
+        'status.error': 'Error occurred',
+        'status.responseTextOnly': 'Response ready (text only)',
+        'status.analysisTextOnly': 'Analysis ready (text only)',
+        'audio.loading': 'Loading audio...',
+        'audio.speaking': 'Speaking...',
+        'audio.ready': 'Audio ready',
+        'audio.paused': 'Audio paused',
+        'audio.complete': 'Response complete',
+        'audio.stopped': 'Audio stopped',
+        'audio.playbackFailed': 'Audio playback failed',
+        'audio.playFailed': 'Audio play failed',
+        'audio.setupFailed': 'Audio setup failed',
+        'audio.playPause': 'Play/Pause Audio',
+        'audio.stop': 'Stop Audio',
+
+        // Triage alert
+        'triage.title': 'Please get help now',
+        'triage.dismiss': 'Dismiss alert',
+
+        // General chat
+        'chat.welcome': "Hello! I'm here to provide supportive information about PCOS, PCOD, and reproductive health. Feel free to ask me anything!",
+        'chat.suggestionsTitle': 'You can ask about:',
+        'chat.suggestion.pcos': 'What is PCOS?',
+        'chat.suggestion.pcosQuestion': 'What is PCOS?',
+        'chat.suggestion.pcod': 'PCOD Symptoms',
+        'chat.suggestion.pcodQuestion': 'Common symptoms of PCOD',
+        'chat.suggestion.lifestyle': 'Lifestyle Tips',
+        'chat.suggestion.lifestyleQuestion': 'Lifestyle tips for hormonal balance',
+        'chat.suggestion.doctor': 'When to See a Doctor',
+        'chat.suggestion.doctorQuestion': 'When should I see a doctor?',
+        'chat.placeholder': 'Ask about PCOS, PCOD, or reproductive health...',
+        'chat.inputLabel': 'Your question',
+        'chat.clearInput': 'Clear input',
+        'chat.ask': 'Ask Question',
+        'chat.processing': 'Processing...',
+        'chat.voiceInput': 'Ask by voice',
+        'chat.stopVoiceInput': 'Stop listening',
+
+        // Symptom checker
+        'symptom.introTitle': 'Symptom Information Guide',
+        'symptom.introText': "Select the symptoms you're experiencing to get informational guidance. This is not a medical diagnosis.",
+        'symptom.category.menstrual': 'Menstrual Health',
+        'symptom.category.physical': 'Physical Symptoms',
+        'symptom.category.energy_mood': 'Energy & Mood',
+        'symptom.category.other': 'Other Concerns',
+        'symptom.irregular_periods.name': 'Irregular Periods',
+        'symptom.irregular_periods.hint': 'Cycles longer than 35 days or shorter than 21 days',
+        'symptom.missed_periods.name': 'Missed Periods',
+        'symptom.missed_periods.hint': 'No menstruation for 3+ months',
+        'symptom.heavy_periods.name': 'Heavy Periods',
+        'symptom.heavy_periods.hint': 'Excessive menstrual bleeding',
+        'symptom.painful_periods.name': 'Painful Periods',
+        'symptom.painful_periods.hint': 'Severe menstrual cramps',
+        'symptom.weight_gain.name': 'Unexplained Weight Gain',
+        'symptom.weight_gain.hint': 'Difficulty losing weight or sudden weight increase',
+        'symptom.acne.name': 'Acne or Skin Issues',
+        'symptom.acne.hint': 'Adult acne, oily skin, or darkened skin patches',
+        'symptom.hair_growth.name': 'Excess Hair Growth',
+        'symptom.hair_growth.hint': 'Unwanted hair on face, chest, or back',
+        'symptom.hair_loss.name': 'Hair Thinning/Loss',
+        'symptom.hair_loss.hint': 'Male-pattern baldness or thinning hair',
+        'symptom.fatigue.name': 'Chronic Fatigue',
+        'symptom.fatigue.hint': 'Persistent tiredness or low energy',
+        'symptom.mood_changes.name': 'Mood Changes',
+        'symptom.mood_changes.hint': 'Depression, anxiety, or mood swings',
+        'symptom.sleep_issues.name': 'Sleep Problems',
+        'symptom.sleep_issues.hint': 'Difficulty falling asleep or staying asleep',
+        'symptom.fertility_issues.name': 'Fertility Concerns',
+        'symptom.fertility_issues.hint': 'Difficulty conceiving',
+        'symptom.cravings.name': 'Food Cravings',
+        'symptom.cravings.hint': 'Intense cravings, especially for carbs',
+        'symptom.headaches.name': 'Frequent Headaches',
+        'symptom.headaches.hint': 'Regular headaches or migraines',
+        'symptom.notesLabel': "Anything else you'd like to share?",
+        'symptom.notesPlaceholder': "For example: how long this has been going on, how severe it feels, or how you're coping",
+        'symptom.useCycleData': 'Use my logged cycles from the Cycle Tracker',
+        'symptom.useCycleDataHint': '(average length, gaps, missed periods)',
+        'symptom.clear': 'Clear Selection',
+        'symptom.submit': 'Get Information',
+        'symptom.analyzing': 'Analyzing...',
+        'symptom.severity': 'Severity',
+        'symptom.duration': 'How long',
+        'symptom.frequency': 'How often',
+        'severity.1': 'Very mild',
+        'severity.2': 'Mild',
+        'severity.3': 'Moderate',
+        'severity.4': 'Severe',
+        'severity.5': 'Very severe',
+        'duration.1': 'About a week',
+        'duration.2': '2 weeks',
+        'duration.4': 'About a month',
+        'duration.12': '3 months',
+        'duration.26': '6 months',
+        'duration.52': 'About a year',
+        'duration.104': '2 years or more',
+        'frequency.occasional': 'Occasionally',
+        'frequency.frequent': 'Frequently',
+        'frequency.constant': 'All the time',
+
+        // Symptom results
+        'results.title': 'Informational Guidance',
+        'results.reminderTitle': 'Important Reminder',
+        'results.reminderText': "For an accurate diagnosis, please consult a doctor. You may proceed to view our general guidance by clicking 'Get Information'",
+        'results.prepareReport': 'Prepare for my appointment',
+        'results.connectDoctor': 'Connect with a Doctor',
+        'analysis.cycleLog': 'Based on your cycle log',
+        'analysis.urgency': 'Urgency: ',
+        'analysis.urgency.routine': 'Routine - mention it at your next check-up',
+        'analysis.urgency.soon': 'Soon - book an appointment in the next few weeks',
+        'analysis.urgency.urgent': 'Urgent - see a doctor within the next few days',
+        'analysis.conditions': 'Possible conditions',
+        'analysis.likelihood.likely': 'likely',
+        'analysis.likelihood.possible': 'possible',
+        'analysis.likelihood.less likely': 'less likely',
+        'analysis.tests': 'Tests to ask your doctor about',
+        'analysis.lifestyle': 'Lifestyle steps',
+
+        // Knowledge base citations under an answer
+        'sources.title': 'Sources',
+        'sources.reviewed': 'reviewed {date}',
+
+        // Rating an answer
+        'rating.prompt': 'Was this helpful?',
+        'rating.up': 'Helpful',
+        'rating.down': 'Not helpful',
+        'rating.thanks': 'Thanks for your feedback',
+
+        // Provider directory
+        'provider.title': 'Find a specialist',
+        'provider.specialty': 'Specialty',
+        'provider.specialty.recommended': 'Recommended for my symptoms',
+        'provider.specialty.gynecologist': 'Gynecologist',
+        'provider.specialty.endocrinologist': 'Endocrinologist',
+        'provider.specialty.any': 'Any specialty',
+        'provider.location': 'City or postcode',
+        'provider.locationPlaceholder': 'e.g. Mumbai or 400050',
+        'provider.telehealthOnly': 'Online consultations only',
+        'provider.search': 'Search',
+        'provider.suggested': 'Suggested specialist: {specialty}. {reason}',
+        'provider.choose': 'Choose a specialty and location to search.',
+        'provider.sample': 'These are sample listings for demonstration, not real clinics.',
+        'provider.empty': 'No providers match these filters. Try another city or include in-person clinics.',
+        'provider.online': 'Online visits',
+        'provider.languages': 'Languages: {languages}',
+        'provider.website': 'Website',
+
+        // Cycle tracker
+        'cycle.introTitle': 'Cycle Tracker',
+        'cycle.introText': 'Log when each period starts and ends. Your log is stored against an anonymous id kept in this browser.',
+        'cycle.prevMonth': 'Previous month',
+        'cycle.nextMonth': 'Next month',
+        'cycle.legend.period': 'Period',
+        'cycle.legend.predicted': 'Predicted start',
+        'cycle.legend.today': 'Today',
+        'cycle.logTitle': 'Log a period',
+        'cycle.editTitle': 'Edit period',
+        'cycle.startDate': 'Start date',
+        'cycle.endDate': 'End date',
+        'cycle.flow': 'Flow',
+        'cycle.flow.spotting': 'Spotting',
+        'cycle.flow.light': 'Light',
+        'cycle.flow.medium': 'Medium',
+        'cycle.flow.heavy': 'Heavy',
+        'cycle.flowMeta': '{flow} flow',
+        'cycle.notes': 'Notes',
+        'cycle.notesPlaceholder': 'e.g. cramps on day 1',
+        'cycle.save': 'Save',
+        'cycle.saving': 'Saving...',
+        'cycle.listTitle': 'Logged periods',
+        'cycle.empty': 'Log your first period to start tracking your cycle.',
+        'cycle.listEmpty': 'No periods logged yet.',
+        'cycle.stats.average': 'Average cycle',
+        'cycle.stats.range': '{shortest}–{longest} days',
+        'cycle.stats.needsTwo': 'Needs two logged periods',
+        'cycle.stats.variability': 'Variability',
+        'cycle.stats.stdDev': '± {days} days',
+        'cycle.stats.needsThree': 'Needs three logged periods',
+        'cycle.stats.sinceLast': 'Since last period',
+        'cycle.stats.started': 'Started {date}',
+        'cycle.stats.next': 'Next period',
+        'cycle.stats.estimate': 'Estimate from your average',
+        'cycle.stats.notEnough': 'Not enough data yet',
+        'cycle.variability.regular': 'Regular',
+        'cycle.variability.somewhat irregular': 'Somewhat irregular',
+        'cycle.variability.irregular': 'Irregular',
+        'cycle.dataPoint.periodsLogged': 'Periods logged',
+        'cycle.dataPoint.averageCycleLength': 'Average cycle length (days)',
+        'cycle.dataPoint.cycleLengthRange': 'Cycle length range (days)',
+        'cycle.dataPoint.variability': 'Cycle regularity',
+        'cycle.dataPoint.longestGap': 'Longest gap between periods (days)',
+        'cycle.dataPoint.missedCyclesLast6Months': 'Missed cycles in the last 6 months',
+        'cycle.dataPoint.daysSinceLastPeriod': 'Days since the last period started',
+        'cycle.dataPoint.averagePeriodLength': 'Average period length (days)',
+        'cycle.confirmDelete': 'Delete the period starting {date}?',
+        'cycle.weekdays': 'Sun,Mon,Tue,Wed,Thu,Fri,Sat',
+
+        // History drawer
+        'history.title': 'Your history',
+        'history.close': 'Close history',
+        'history.note': 'Saved only in this browser. Nothing here is sent to our servers.',
+        'history.export': 'Export',
+        'history.clear': 'Delete all',
+        'history.empty': 'Your past chats and symptom analyses will appear here.',
+        'history.type.general': 'Chat',
+        'history.type.symptom': 'Symptoms',
+        'history.deleteEntry': 'Delete this entry',
+        'history.confirmClear': 'Delete your entire saved history? This cannot be undone.',
+
+        // Voice settings
+        'voice.title': 'Voice settings',
+        'voice.close': 'Close voice settings',
+        'voice.note': 'Saved in this browser and used for every spoken answer.',
+        'voice.voice': 'Voice',
+        'voice.default': 'Default for each mode',
+        'voice.style': 'Speaking style',
+        'voice.style.none': 'Natural',
+        'voice.style.cheerful': 'Cheerful',
+        'voice.style.empathetic': 'Empathetic',
+        'voice.style.friendly': 'Friendly',
+        'voice.style.hopeful': 'Hopeful',
+        'voice.style.chat': 'Conversational',
+        'voice.style.assistant': 'Assistant',
+        'voice.rate': 'Speaking rate',
+        'voice.pitch': 'Pitch',
+        'voice.unsupported': 'Not available with the current voice engine',
+        'voice.noVoices': 'Spoken answers are turned off on this server.',
+        'voice.save': 'Save',
+        'voice.reset': 'Reset',
+
+        // Disclaimer and info modal
+        'disclaimer': 'This AI provides general information only. Always consult a healthcare professional for medical advice.',
+        'modal.title': 'About She Nurtures AI',
+        'modal.intro': 'She Nurtures AI is your compassionate guide for understanding reproductive health topics, particularly PCOS and PCOD.',
+        'modal.modesTitle': 'Two Modes Available:',
+        'modal.mode.general': 'Ask open-ended questions about reproductive health',
+        'modal.mode.symptom': 'Get structured information based on specific symptoms',
+        'modal.mode.cycle': 'Log your periods and see cycle length and regularity',
+        'modal.featuresTitle': 'Features:',
+        'modal.feature.empathy': 'Empathetic AI responses with medical safety focus',
+        'modal.feature.audio': 'Audio playback using Azure Text-to-Speech',
+        'modal.feature.bubbles': 'Chat bubbles for conversation history',
+        'modal.feature.history': 'Saved history of past chats and symptom analyses, kept in this browser',
+        'modal.feature.analysis': 'Structured symptom analysis',
+        'modal.feature.mobile': 'Mobile-friendly responsive design',
+        'modal.feature.languages': 'English and Hindi answers, voices and interface',
+        'modal.importantTitle': 'Important:',
+        'modal.important': 'This AI assistant provides general educational information only. It is not a substitute for professional medical advice, diagnosis, or treatment. Always consult with qualified healthcare providers for your specific health concerns.',
+
+        // Toasts and errors
+        'toast.serverIssue': 'Server connection issue detected. Some features may not work properly.',
+        'toast.emptyQuestion': 'Please enter a question before submitting.',
+        'toast.questionTooLong': 'Question too long. Please limit to 500 characters.',
+        'toast.responseBy': 'Response by {voice}',
+        'toast.analysisBy': 'Analysis by {voice}',
+        'toast.audioFailedText': 'Audio playback failed. Text response available.',
+        'toast.audioFailedAnalysis': 'Audio playback failed. Text analysis available.',
+        'toast.audioUnavailableText': 'Audio generation unavailable - text response provided',
+        'toast.audioUnavailableAnalysis': 'Audio generation unavailable - text analysis provided',
+        'toast.selectSymptom': 'Please select at least one symptom.',
+        'toast.chooseStartDate': 'Please choose the date your period started.',
+        'toast.cycleLoadFailed': 'Could not load your cycle log. Please try again.',
+        'toast.periodUpdated': 'Period updated',
+        'toast.periodLogged': 'Period logged',
+        'toast.periodSaveFailed': 'Could not save this period.',
+        'toast.periodDeleted': 'Period deleted',
+        'toast.periodDeleteFailed': 'Could not delete this period.',
+        'toast.reportReady': 'Your appointment notes are ready',
+        'toast.reportFailed': 'Could not prepare your appointment notes.',
+        'toast.providerSearchFailed': 'Could not search the provider directory. Please try again.',
+        'toast.historyLoadFailed': 'Could not load your saved history.',
+        'toast.historyEntryDeleteFailed': 'Could not delete this entry.',
+        'toast.historyDeleted': 'History deleted',
+        'toast.historyDeleteFailed': 'Could not delete your history.',
+        'toast.voiceSaved': 'Voice settings saved',
+        'toast.micDenied': 'Microphone access is blocked. Allow it in your browser settings to ask by voice.',
+        'toast.noSpeech': "I didn't catch that. Please try again or type your question.",
+        'toast.transcribeFailed': 'Could not understand the recording. Please try again or type your question.',
+        'toast.voicesLoadFailed': 'Could not load the available voices.',
+        'toast.historyExportFailed': 'Could not export your history.',
+        'toast.connectionRestored': 'Connection restored',
+        'toast.connectionLost': 'Connection lost. Please check your internet connection.',
+        'toast.unexpectedError': 'An unexpected error occurred. Please refresh the page.',
+        'toast.ratingFailed': 'Your rating could not be saved.',
+        'error.generic': 'Sorry, I encountered an error processing your request.',
+        'error.genericSymptoms': 'Sorry, I encountered an error analyzing your symptoms.',
+        'error.timeout': 'Request timed out. Please try again.',
+        'error.timeoutShorter': 'Request timed out. Please try again with a shorter question.',
+        'error.network': 'Network error. Please check your connection and try again.',
+        'error.rateLimited': 'Too many requests. Please wait a moment before trying again.',
+        'error.retryQuestion': 'Would you like to retry your question?',
+        'error.retrySymptoms': 'Would you like to retry the symptom analysis?'
+    },
+
+    hi: {
+        'app.title': 'She Nurtures - AI स्वास्थ्य सहायक',
+        'app.loading': 'She Nurtures AI शुरू हो रहा है...',
+        'header.language': 'भाषा',
+        'header.history': 'बातचीत का इतिहास',
+        'header.voice': 'आवाज़ की सेटिंग',
+        'header.info': 'जानकारी',
+        'welcome.title': 'She Nurtures में आपका स्वागत है',
+        'welcome.subtitle': 'प्रजनन स्वास्थ्य की जानकारी के लिए आपकी सहानुभूतिपूर्ण AI मार्गदर्शक',
+        'common.optional': '(वैकल्पिक)',
+        'common.notSure': 'पक्का नहीं',
+        'common.cancel': 'रद्द करें',
+        'common.edit': 'बदलें',
+        'common.delete': 'हटाएँ',
+        'common.days': '{count} दिन',
+
+        'mode.general.title': 'सामान्य मार्गदर्शन',
+        'mode.general.description': 'PCOS, PCOD और प्रजनन स्वास्थ्य के बारे में कोई भी सवाल पूछें',
+        'mode.symptom.title': 'लक्षण जाँच',
+        'mode.symptom.description': 'अपने लक्षणों के आधार पर जानकारी पाएँ',
+        'mode.cycle.title': 'चक्र ट्रैकर',
+        'mode.cycle.description': 'अपने पीरियड्स दर्ज करें और चक्र की अवधि व नियमितता देखें',
+
+        'status.ready': 'मदद के लिए तैयार',
+        'status.readyTextOnly': 'मदद के लिए तैयार (केवल टेक्स्ट)',
+        'status.processing': 'आपका अनुरोध संसाधित हो रहा है...',
+        'status.listening': 'सुन रही हूँ... बोलना पूरा होने पर माइक्रोफ़ोन दबाएँ',
+        'status.transcribing': 'आपका सवाल समझ रही हूँ...',
+        'status.error': 'कोई त्रुटि हुई',
+        'status.responseTextOnly': 'जवाब तैयार है (केवल टेक्स्ट)',
+        'status.analysisTextOnly': 'विश्लेषण तैयार है (केवल टेक्स्ट)',
+        'audio.loading': 'ऑडियो लोड हो रहा है...',
+        'audio.speaking': 'बोल रही हूँ...',
+        'audio.ready': 'ऑडियो तैयार है',
+        'audio.paused': 'ऑडियो रुका हुआ है',
+        'audio.complete': 'जवाब पूरा हुआ',
+        'audio.stopped': 'ऑडियो बंद किया गया',
+        'audio.playbackFailed': 'ऑडियो नहीं चल सका',
+        'audio.playFailed': 'ऑडियो नहीं चल सका',
+        'audio.setupFailed': 'ऑडियो तैयार नहीं हो सका',
+        'audio.playPause': 'ऑडियो चलाएँ/रोकें',
+        'audio.stop': 'ऑडियो बंद करें',
+
+        'triage.title': 'कृपया अभी मदद लें',
+        'triage.dismiss': 'चेतावनी बंद करें',
+
+        'chat.welcome': 'नमस्ते! मैं PCOS, PCOD और प्रजनन स्वास्थ्य के बारे में भरोसेमंद जानकारी देने के लिए यहाँ हूँ। बेझिझक कुछ भी पूछें!',
+        'chat.suggestionsTitle': 'आप इनके बारे में पूछ सकती हैं:',
+        'chat.suggestion.pcos': 'PCOS क्या है?',
+        'chat.suggestion.pcosQuestion': 'PCOS क्या है?',
+        'chat.suggestion.pcod': 'PCOD के लक्षण',
+        'chat.suggestion.pcodQuestion': 'PCOD के आम लक्षण क्या हैं?',
+        'chat.suggestion.lifestyle': 'जीवनशैली सुझाव',
+        'chat.suggestion.lifestyleQuestion': 'हार्मोन संतुलन के लिए जीवनशैली के सुझाव',
+        'chat.suggestion.doctor': 'डॉक्टर को कब दिखाएँ',
+        'chat.suggestion.doctorQuestion': 'मुझे डॉक्टर को कब दिखाना चाहिए?',
+        'chat.placeholder': 'PCOS, PCOD या प्रजनन स्वास्थ्य के बारे में पूछें...',
+        'chat.inputLabel': 'आपका सवाल',
+        'chat.clearInput': 'इनपुट साफ़ करें',
+        'chat.ask': 'सवाल पूछें',
+        'chat.processing': 'संसाधित हो रहा है...',
+        'chat.voiceInput': 'बोलकर पूछें',
+        'chat.stopVoiceInput': 'सुनना बंद करें',
+
+        'symptom.introTitle': 'लक्षण जानकारी गाइड',
+        'symptom.introText': 'जानकारी पाने के लिए अपने लक्षण चुनें। यह चिकित्सीय निदान नहीं है।',
+        'symptom.category.menstrual': 'मासिक धर्म स्वास्थ्य',
+        'symptom.category.physical': 'शारीरिक लक्षण',
+        'symptom.category.energy_mood': 'ऊर्जा और मनोदशा',
+        'symptom.category.other': 'अन्य चिंताएँ',
+        'symptom.irregular_periods.name': 'अनियमित पीरियड्स',
+        'symptom.irregular_periods.hint': '35 दिन से लंबे या 21 दिन से छोटे चक्र',
+        'symptom.missed_periods.name': 'पीरियड्स न आना',
+        'symptom.missed_periods.hint': '3 या अधिक महीनों से मासिक धर्म नहीं',
+        'symptom.heavy_periods.name': 'ज़्यादा रक्तस्राव',
+        'symptom.heavy_periods.hint': 'पीरियड्स में बहुत अधिक खून आना',
+        'symptom.painful_periods.name': 'दर्दनाक पीरियड्स',
+        'symptom.painful_periods.hint': 'पीरियड्स में तेज़ ऐंठन',
+        'symptom.weight_gain.name': 'बिना कारण वज़न बढ़ना',
+        'symptom.weight_gain.hint': 'वज़न कम करने में कठिनाई या अचानक वज़न बढ़ना',
+        'symptom.acne.name': 'मुँहासे या त्वचा की समस्याएँ',
+        'symptom.acne.hint': 'वयस्क उम्र में मुँहासे, तैलीय त्वचा या त्वचा पर काले धब्बे',
+        'symptom.hair_growth.name': 'अधिक बाल उगना',
+        'symptom.hair_growth.hint': 'चेहरे, छाती या पीठ पर अनचाहे बाल',
+        'symptom.hair_loss.name': 'बाल पतले होना/झड़ना',
+        'symptom.hair_loss.hint': 'पुरुषों जैसा गंजापन या पतले बाल',
+        'symptom.fatigue.name': 'लगातार थकान',
+        'symptom.fatigue.hint': 'लगातार थकावट या कम ऊर्जा',
+        'symptom.mood_changes.name': 'मनोदशा में बदलाव',
+        'symptom.mood_changes.hint': 'उदासी, चिंता या मूड स्विंग्स',
+        'symptom.sleep_issues.name': 'नींद की समस्याएँ',
+        'symptom.sleep_issues.hint': 'नींद आने या नींद बनाए रखने में कठिनाई',
+        'symptom.fertility_issues.name': 'प्रजनन संबंधी चिंताएँ',
+        'symptom.fertility_issues.hint': 'गर्भधारण में कठिनाई',
+        'symptom.cravings.name': 'खाने की तीव्र इच्छा',
+        'symptom.cravings.hint': 'ख़ासकर कार्बोहाइड्रेट खाने की तेज़ इच्छा',
+        'symptom.headaches.name': 'बार-बार सिरदर्द',
+        'symptom.headaches.hint': 'नियमित सिरदर्द या माइग्रेन',
+        'symptom.notesLabel': 'क्या आप कुछ और बताना चाहेंगी?',
+        'symptom.notesPlaceholder': 'उदाहरण: यह कब से हो रहा है, कितना गंभीर लगता है, या आप कैसे संभाल रही हैं',
+        'symptom.useCycleData': 'चक्र ट्रैकर में दर्ज मेरे चक्रों का उपयोग करें',
+        'symptom.useCycleDataHint': '(औसत अवधि, अंतराल, छूटे पीरियड्स)',
+        'symptom.clear': 'चयन साफ़ करें',
+        'symptom.submit': 'जानकारी पाएँ',
+        'symptom.analyzing': 'विश्लेषण हो रहा है...',
+        'symptom.severity': 'गंभीरता',
+        'symptom.duration': 'कब से',
+        'symptom.frequency': 'कितनी बार',
+        'severity.1': 'बहुत हल्का',
+        'severity.2': 'हल्का',
+        'severity.3': 'मध्यम',
+        'severity.4': 'गंभीर',
+        'severity.5': 'बहुत गंभीर',
+        'duration.1': 'लगभग एक हफ़्ता',
+        'duration.2': '2 हफ़्ते',
+        'duration.4': 'लगभग एक महीना',
+        'duration.12': '3 महीने',
+        'duration.26': '6 महीने',
+        'duration.52': 'लगभग एक साल',
+        'duration.104': '2 साल या अधिक',
+        'frequency.occasional': 'कभी-कभी',
+        'frequency.frequent': 'अक्सर',
+        'frequency.constant': 'हर समय',
+
+        'results.title': 'जानकारी व मार्गदर्शन',
+        'results.reminderTitle': 'ज़रूरी याद दिलाना',
+        'results.reminderText': "सही निदान के लिए कृपया डॉक्टर से परामर्श करें। हमारी सामान्य जानकारी देखने के लिए 'जानकारी पाएँ' पर क्लिक करें।",
+        'results.prepareReport': 'मेरी अपॉइंटमेंट की तैयारी करें',
+        'results.connectDoctor': 'डॉक्टर से जुड़ें',
+        'analysis.cycleLog': 'आपके चक्र लॉग के आधार पर',
+        'analysis.urgency': 'तात्कालिकता: ',
+        'analysis.urgency.routine': 'सामान्य - अगली जाँच पर इसका ज़िक्र करें',
+        'analysis.urgency.soon': 'जल्द - अगले कुछ हफ़्तों में अपॉइंटमेंट लें',
+        'analysis.urgency.urgent': 'तुरंत - अगले कुछ दिनों में डॉक्टर को दिखाएँ',
+        'analysis.conditions': 'संभावित स्थितियाँ',
+        'analysis.likelihood.likely': 'संभावित',
+        'analysis.likelihood.possible': 'संभव',
+        'analysis.likelihood.less likely': 'कम संभावना',
+        'analysis.tests': 'डॉक्टर से पूछने लायक जाँचें',
+        'analysis.lifestyle': 'जीवनशैली के कदम',
+
+        'sources.title': 'स्रोत',
+        'sources.reviewed': '{date} को समीक्षा की गई',
+
+        'rating.prompt': 'क्या यह जवाब मददगार था?',
+        'rating.up': 'मददगार',
+        'rating.down': 'मददगार नहीं',
+        'rating.thanks': 'आपकी प्रतिक्रिया के लिए धन्यवाद',
+
+        'provider.title': 'विशेषज्ञ खोजें',
+        'provider.specialty': 'विशेषज्ञता',
+        'provider.specialty.recommended': 'मेरे लक्षणों के लिए सुझाई गई',
+        'provider.specialty.gynecologist': 'स्त्री रोग विशेषज्ञ',
+        'provider.specialty.endocrinologist': 'एंडोक्रिनोलॉजिस्ट',
+        'provider.specialty.any': 'कोई भी विशेषज्ञता',
+        'provider.location': 'शहर या पिनकोड',
+        'provider.locationPlaceholder': 'जैसे मुंबई या 400050',
+        'provider.telehealthOnly': 'केवल ऑनलाइन परामर्श',
+        'provider.search': 'खोजें',
+        'provider.suggested': 'सुझाए गए विशेषज्ञ: {specialty}। {reason}',
+        'provider.choose': 'खोजने के लिए विशेषज्ञता और स्थान चुनें।',
+        'provider.sample': 'ये केवल प्रदर्शन के लिए नमूना सूचियाँ हैं, असली क्लिनिक नहीं।',
+        'provider.empty': 'इन फ़िल्टर से कोई डॉक्टर नहीं मिला। कोई दूसरा शहर आज़माएँ या क्लिनिक विज़िट भी शामिल करें।',
+        'provider.online': 'ऑनलाइन परामर्श',
+        'provider.languages': 'भाषाएँ: {languages}',
+        'provider.website': 'वेबसाइट',
+
+        'cycle.introTitle': 'चक्र ट्रैकर',
+        'cycle.introText': 'हर पीरियड के शुरू और ख़त्म होने की तारीख़ दर्ज करें। आपका लॉग इस ब्राउज़र में रखी एक गुमनाम आईडी के साथ सहेजा जाता है।',
+        'cycle.prevMonth': 'पिछला महीना',
+        'cycle.nextMonth': 'अगला महीना',
+        'cycle.legend.period': 'पीरियड',
+        'cycle.legend.predicted': 'अनुमानित शुरुआत',
+        'cycle.legend.today': 'आज',
+        'cycle.logTitle': 'पीरियड दर्ज करें',
+        'cycle.editTitle': 'पीरियड बदलें',
+        'cycle.startDate': 'शुरू होने की तारीख़',
+        'cycle.endDate': 'ख़त्म होने की तारीख़',
+        'cycle.flow': 'प्रवाह',
+        'cycle.flow.spotting': 'धब्बे',
+        'cycle.flow.light': 'हल्का',
+        'cycle.flow.medium': 'मध्यम',
+        'cycle.flow.heavy': 'ज़्यादा',
+        'cycle.flowMeta': '{flow} प्रवाह',
+        'cycle.notes': 'टिप्पणी',
+        'cycle.notesPlaceholder': 'जैसे पहले दिन ऐंठन',
+        'cycle.save': 'सहेजें',
+        'cycle.saving': 'सहेजा जा रहा है...',
+        'cycle.listTitle': 'दर्ज किए गए पीरियड्स',
+        'cycle.empty': 'अपना चक्र ट्रैक करना शुरू करने के लिए पहला पीरियड दर्ज करें।',
+        'cycle.listEmpty': 'अभी तक कोई पीरियड दर्ज नहीं किया गया।',
+        'cycle.stats.average': 'औसत चक्र',
+        'cycle.stats.range': '{shortest}–{longest} दिन',
+        'cycle.stats.needsTwo': 'दो दर्ज पीरियड्स चाहिए',
+        'cycle.stats.variability': 'परिवर्तनशीलता',
+        'cycle.stats.stdDev': '± {days} दिन',
+        'cycle.stats.needsThree': 'तीन दर्ज पीरियड्स चाहिए',
+        'cycle.stats.sinceLast': 'पिछले पीरियड से',
+        'cycle.stats.started': '{date} को शुरू हुआ',
+        'cycle.stats.next': 'अगला पीरियड',
+        'cycle.stats.estimate': 'आपके औसत से अनुमान',
+        'cycle.stats.notEnough': 'अभी पर्याप्त डेटा नहीं',
+        'cycle.variability.regular': 'नियमित',
+        'cycle.variability.somewhat irregular': 'कुछ अनियमित',
+        'cycle.variability.irregular': 'अनियमित',
+        'cycle.dataPoint.periodsLogged': 'दर्ज किए गए पीरियड्स',
+        'cycle.dataPoint.averageCycleLength': 'औसत चक्र अवधि (दिन)',
+        'cycle.dataPoint.cycleLengthRange': 'चक्र अवधि की सीमा (दिन)',
+        'cycle.dataPoint.variability': 'चक्र की नियमितता',
+        'cycle.dataPoint.longestGap': 'पीरियड्स के बीच सबसे लंबा अंतर (दिन)',
+        'cycle.dataPoint.missedCyclesLast6Months': 'पिछले 6 महीनों में छूटे चक्र',
+        'cycle.dataPoint.daysSinceLastPeriod': 'पिछला पीरियड शुरू हुए दिन',
+        'cycle.dataPoint.averagePeriodLength': 'पीरियड की औसत अवधि (दिन)',
+        'cycle.confirmDelete': '{date} से शुरू हुआ पीरियड हटाएँ?',
+        'cycle.weekdays': 'रवि,सोम,मंगल,बुध,गुरु,शुक्र,शनि',
+
+        'history.title': 'आपका इतिहास',
+        'history.close': 'इतिहास बंद करें',
+        'history.note': 'केवल इसी ब्राउज़र में सहेजा गया है। यहाँ से कुछ भी हमारे सर्वर पर नहीं भेजा जाता।',
+        'history.export': 'निर्यात करें',
+        'history.clear': 'सब हटाएँ',
+        'history.empty': 'आपकी पिछली बातचीत और लक्षण विश्लेषण यहाँ दिखेंगे।',
+        'history.type.general': 'बातचीत',
+        'history.type.symptom': 'लक्षण',
+        'history.deleteEntry': 'यह प्रविष्टि हटाएँ',
+        'history.confirmClear': 'क्या आप अपना पूरा सहेजा इतिहास हटाना चाहती हैं? इसे वापस नहीं लाया जा सकता।',
+
+        'voice.title': 'आवाज़ की सेटिंग',
+        'voice.close': 'आवाज़ की सेटिंग बंद करें',
+        'voice.note': 'इसी ब्राउज़र में सहेजी जाती है और हर बोले गए जवाब में इस्तेमाल होती है।',
+        'voice.voice': 'आवाज़',
+        'voice.default': 'हर मोड की डिफ़ॉल्ट आवाज़',
+        'voice.style': 'बोलने का अंदाज़',
+        'voice.style.none': 'सामान्य',
+        'voice.style.cheerful': 'खुशमिज़ाज',
+        'voice.style.empathetic': 'सहानुभूतिपूर्ण',
+        'voice.style.friendly': 'दोस्ताना',
+        'voice.style.hopeful': 'आशावादी',
+        'voice.style.chat': 'बातचीत वाला',
+        'voice.style.assistant': 'सहायक',
+        'voice.rate': 'बोलने की गति',
+        'voice.pitch': 'सुर',
+        'voice.unsupported': 'मौजूदा आवाज़ इंजन में उपलब्ध नहीं',
+        'voice.noVoices': 'इस सर्वर पर बोले गए जवाब बंद हैं।',
+        'voice.save': 'सहेजें',
+        'voice.reset': 'पहले जैसा करें',
+
+        'disclaimer': 'यह AI केवल सामान्य जानकारी देता है। चिकित्सीय सलाह के लिए हमेशा किसी स्वास्थ्य विशेषज्ञ से परामर्श करें।',
+        'modal.title': 'She Nurtures AI के बारे में',
+        'modal.intro': 'She Nurtures AI प्रजनन स्वास्थ्य, ख़ासकर PCOS और PCOD, को समझने के लिए आपकी सहानुभूतिपूर्ण मार्गदर्शक है।',
+        'modal.modesTitle': 'उपलब्ध मोड:',
+        'modal.mode.general': 'प्रजनन स्वास्थ्य के बारे में खुले सवाल पूछें',
+        'modal.mode.symptom': 'अपने लक्षणों के आधार पर व्यवस्थित जानकारी पाएँ',
+        'modal.mode.cycle': 'अपने पीरियड्स दर्ज करें और चक्र की अवधि व नियमितता देखें',
+        'modal.featuresTitle': 'सुविधाएँ:',
+        'modal.feature.empathy': 'चिकित्सीय सुरक्षा पर ध्यान के साथ सहानुभूतिपूर्ण AI जवाब',
+        'modal.feature.audio': 'Azure टेक्स्ट-टू-स्पीच से ऑडियो',
+        'modal.feature.bubbles': 'बातचीत के इतिहास के लिए चैट बबल',
+        'modal.feature.history': 'पिछली बातचीत और लक्षण विश्लेषण का इतिहास, इसी ब्राउज़र में सहेजा गया',
+        'modal.feature.analysis': 'व्यवस्थित लक्षण विश्लेषण',
+        'modal.feature.mobile': 'मोबाइल के अनुकूल डिज़ाइन',
+        'modal.feature.languages': 'अंग्रेज़ी और हिंदी में जवाब, आवाज़ें और इंटरफ़ेस',
+        'modal.importantTitle': 'ज़रूरी:',
+        'modal.important': 'यह AI सहायक केवल सामान्य शैक्षिक जानकारी देता है। यह पेशेवर चिकित्सीय सलाह, निदान या इलाज का विकल्प नहीं है। अपनी स्वास्थ्य संबंधी चिंताओं के लिए हमेशा योग्य डॉक्टर से परामर्श करें।',
+
+        'toast.serverIssue': 'सर्वर से जुड़ने में समस्या है। कुछ सुविधाएँ ठीक से काम नहीं कर सकतीं।',
+        'toast.emptyQuestion': 'भेजने से पहले कृपया अपना सवाल लिखें।',
+        'toast.questionTooLong': 'सवाल बहुत लंबा है। कृपया 500 अक्षरों तक सीमित रखें।',
+        'toast.responseBy': '{voice} द्वारा जवाब',
+        'toast.analysisBy': '{voice} द्वारा विश्लेषण',
+        'toast.audioFailedText': 'ऑडियो नहीं चल सका। टेक्स्ट जवाब उपलब्ध है।',
+        'toast.audioFailedAnalysis': 'ऑडियो नहीं चल सका। टेक्स्ट विश्लेषण उपलब्ध है।',
+        'toast.audioUnavailableText': 'ऑडियो उपलब्ध नहीं - टेक्स्ट जवाब दिया गया',
+        'toast.audioUnavailableAnalysis': 'ऑडियो उपलब्ध नहीं - टेक्स्ट विश्लेषण दिया गया',
+        'toast.selectSymptom': 'कृपया कम से कम एक लक्षण चुनें।',
+        'toast.chooseStartDate': 'कृपया वह तारीख़ चुनें जब आपका पीरियड शुरू हुआ।',
+        'toast.cycleLoadFailed': 'आपका चक्र लॉग लोड नहीं हो सका। कृपया फिर से कोशिश करें।',
+        'toast.periodUpdated': 'पीरियड अपडेट हुआ',
+        'toast.periodLogged': 'पीरियड दर्ज हुआ',
+        'toast.periodSaveFailed': 'यह पीरियड सहेजा नहीं जा सका।',
+        'toast.periodDeleted': 'पीरियड हटाया गया',
+        'toast.periodDeleteFailed': 'यह पीरियड हटाया नहीं जा सका।',
+        'toast.reportReady': 'आपके अपॉइंटमेंट नोट्स तैयार हैं',
+        'toast.reportFailed': 'आपके अपॉइंटमेंट नोट्स तैयार नहीं हो सके।',
+        'toast.providerSearchFailed': 'डॉक्टर निर्देशिका में खोज नहीं हो सकी। कृपया फिर से कोशिश करें।',
+        'toast.historyLoadFailed': 'आपका सहेजा इतिहास लोड नहीं हो सका।',
+        'toast.historyEntryDeleteFailed': 'यह प्रविष्टि हटाई नहीं जा सकी।',
+        'toast.historyDeleted': 'इतिहास हटाया गया',
+        'toast.historyDeleteFailed': 'आपका इतिहास हटाया नहीं जा सका।',
+        'toast.voiceSaved': 'आवाज़ की सेटिंग सहेजी गई',
+        'toast.micDenied': 'माइक्रोफ़ोन की अनुमति बंद है। बोलकर पूछने के लिए ब्राउज़र सेटिंग में इसे चालू करें।',
+        'toast.noSpeech': 'मैं सुन नहीं पाई। कृपया फिर से कोशिश करें या अपना सवाल लिखें।',
+        'toast.transcribeFailed': 'रिकॉर्डिंग समझ नहीं आई। कृपया फिर से कोशिश करें या अपना सवाल लिखें।',
+        'toast.voicesLoadFailed': 'उपलब्ध आवाज़ें लोड नहीं हो सकीं।',
+        'toast.historyExportFailed': 'आपका इतिहास निर्यात नहीं हो सका।',
+        'toast.connectionRestored': 'कनेक्शन वापस आ गया',
+        'toast.connectionLost': 'कनेक्शन टूट गया। कृपया अपना इंटरनेट कनेक्शन जाँचें।',
+        'toast.unexpectedError': 'एक अनपेक्षित त्रुटि हुई। कृपया पेज रीफ़्रेश करें।',
+        'toast.ratingFailed': 'आपकी रेटिंग सेव नहीं हो सकी।',
+        'error.generic': 'माफ़ कीजिए, आपका अनुरोध संसाधित करते समय एक त्रुटि हुई।',
+        'error.genericSymptoms': 'माफ़ कीजिए, आपके लक्षणों का विश्लेषण करते समय एक त्रुटि हुई।',
+        'error.timeout': 'अनुरोध का समय समाप्त हो गया। कृपया फिर से कोशिश करें।',
+        'error.timeoutShorter': 'अनुरोध का समय समाप्त हो गया। कृपया छोटे सवाल के साथ फिर से कोशिश करें।',
+        'error.network': 'नेटवर्क त्रुटि। कृपया अपना कनेक्शन जाँचकर फिर से कोशिश करें।',
+        'error.rateLimited': 'बहुत अधिक अनुरोध। कृपया थोड़ी देर रुककर फिर कोशिश करें।',
+        'error.retryQuestion': 'क्या आप अपना सवाल फिर से भेजना चाहेंगी?',
+        'error.retrySymptoms': 'क्या आप लक्षण विश्लेषण फिर से करना चाहेंगी?'
+    }
+};
+
+// Active UI locale - kept in localStorage, first visit follows the browser language
+class I18n {
+    static DEFAULT_LOCALE = 'en';
+    static STORAGE_KEY = 'sheNurturesLocale';
+    static ATTRIBUTES = ['placeholder', 'aria-label', 'data-question'];
+    static TAGS = { en: 'en-US', hi: 'hi-IN' };
+
+    static locale = I18n.detectLocale();
+
+    static isSupported(locale) {
+        return Object.prototype.hasOwnProperty.call(UI_STRINGS, locale);
+    }
+
+    static detectLocale() {
+        try {
+            const stored = localStorage.getItem(I18n.STORAGE_KEY);
+            if (stored && I18n.isSupported(stored)) return stored;
+        } catch (error) {
+            // Storage can be blocked (private mode); fall through to the browser language
+        }
+
+        const browserLanguage = (navigator.language || '').toLowerCase().split('-')[0];
+        return I18n.isSupported(browserLanguage) ? browserLanguage : I18n.DEFAULT_LOCALE;
+    }
+
+    // BCP 47 tag for Intl date formatting
+    static get tag() {
+        return I18n.TAGS[I18n.locale] || I18n.locale;
+    }
+
+    static t(key, params = {}) {
+        const template = UI_STRINGS[I18n.locale][key] ?? UI_STRINGS[I18n.DEFAULT_LOCALE][key] ?? key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+    }
+
+    // Translates every data-i18n element (and data-i18n-<attribute>) under root
+    static apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = I18n.t(element.dataset.i18n);
+        });
+
+        I18n.ATTRIBUTES.forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, I18n.t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+
+        document.documentElement.lang = I18n.locale;
+        document.title = I18n.t('app.title');
+    }
+
+    static setLocale(locale) {
+        if (!I18n.isSupported(locale)) return;
+
+        I18n.locale = locale;
+        try {
+            localStorage.setItem(I18n.STORAGE_KEY, locale);
+        } catch (error) {
+            // Not persisted, but the switch still applies for this page
+        }
+        I18n.apply();
+    }
+}
+
+const t = (key, params) => I18n.t(key, params);
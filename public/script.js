@@ -1,4 +1,347 @@
-// Enhanced script.js - Dual-Mode Interface with Chat Bubbles and Symptom Checker
+// Enhanced script.js - Dual-Mode Interface with Chat Bubbles, Symptom Checker and Cycle Tracker
+
+// Symptom detail choices - mirror the ranges accepted by /api/symptom-check.
+// Labels are i18n.js keys; severity labels are "severity.<1-5>"
+const SYMPTOM_DURATION_OPTIONS = [
+    { value: '', labelKey: 'common.notSure' },
+    { value: '1', labelKey: 'duration.1' },
+    { value: '2', labelKey: 'duration.2' },
+    { value: '4', labelKey: 'duration.4' },
+    { value: '12', labelKey: 'duration.12' },
+    { value: '26', labelKey: 'duration.26' },
+    { value: '52', labelKey: 'duration.52' },
+    { value: '104', labelKey: 'duration.104' }
+];
+
+const SYMPTOM_FREQUENCY_OPTIONS = [
+    { value: '', labelKey: 'common.notSure' },
+    { value: 'occasional', labelKey: 'frequency.occasional' },
+    { value: 'frequent', labelKey: 'frequency.frequent' },
+    { value: 'constant', labelKey: 'frequency.constant' }
+];
+
+// Audio formats the server can send (server/tts/audioFormats.js ids) with the type used to probe the
+// browser. Opus is listed first because it is the smallest download for the same quality.
+const AUDIO_FORMAT_TYPES = [
+    { id: 'opus', type: 'audio/ogg; codecs="opus"' },
+    { id: 'mp3', type: 'audio/mpeg' },
+    { id: 'wav', type: 'audio/wav' }
+];
+
+// Spoken-answer preferences sent as voice/rate/pitch/style - mirror the defaults of GET /api/voices.
+// Voice ids differ per language, so the chosen voice is kept per locale.
+const VOICE_SETTINGS_KEY = 'sheNurturesVoiceSettings';
+const DEFAULT_VOICE_SETTINGS = { voices: {}, style: null, rate: 0.9, pitch: 0 };
+
+// Local calendar date as YYYY-MM-DD (the format the cycle API stores)
+const toISODate = (date) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const parseISODate = (value) => {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+// Index of the last mark whose [key] time is at or before time, or -1 (marks are sorted by time)
+const findMarkAt = (marks, time, key) => {
+    let low = 0;
+    let high = marks.length - 1;
+    let found = -1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (marks[middle][key] <= time) {
+            found = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return found;
+};
+
+const formatDisplayDate = (value) => parseISODate(value).toLocaleDateString(I18n.tag, {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+});
+
+// Persistent conversation history - IndexedDB when available, in-memory otherwise
+class HistoryStore {
+    constructor(dbName = 'sheNurtures', storeName = 'history', maxEntries = 200) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.maxEntries = maxEntries;
+        this.memoryEntries = [];
+        this.nextMemoryId = 1;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                try {
+                    const request = indexedDB.open(this.dbName, 1);
+                    request.onupgradeneeded = () => {
+                        const store = request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                        store.createIndex('timestamp', 'timestamp');
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => {
+                        console.warn('IndexedDB unavailable, keeping history in memory:', request.error);
+                        resolve(null);
+                    };
+                } catch (error) {
+                    // Some private browsing modes throw instead of failing the request
+                    console.warn('IndexedDB unavailable, keeping history in memory:', error);
+                    resolve(null);
+                }
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Runs one request in its own transaction and resolves with its result
+    async run(mode, operation) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async add(entry) {
+        const db = await this.open();
+
+        if (!db) {
+            const stored = { ...entry, id: this.nextMemoryId++ };
+            this.memoryEntries.push(stored);
+            this.memoryEntries = this.memoryEntries.slice(-this.maxEntries);
+            return stored.id;
+        }
+
+        const id = await this.run('readwrite', store => store.add(entry));
+        await this.prune();
+        return id;
+    }
+
+    // Newest first
+    async getAll() {
+        const db = await this.open();
+        const entries = db ? await this.run('readonly', store => store.getAll()) : this.memoryEntries;
+        return [...entries].sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+
+    async delete(id) {
+        const db = await this.open();
+        if (!db) {
+            this.memoryEntries = this.memoryEntries.filter(entry => entry.id !== id);
+            return;
+        }
+        await this.run('readwrite', store => store.delete(id));
+    }
+
+    async clear() {
+        const db = await this.open();
+        if (!db) {
+            this.memoryEntries = [];
+            return;
+        }
+        await this.run('readwrite', store => store.clear());
+    }
+
+    // Drops the oldest entries beyond maxEntries
+    async prune() {
+        const entries = await this.getAll();
+        const stale = entries.slice(this.maxEntries);
+        for (const entry of stale) {
+            await this.delete(entry.id);
+        }
+    }
+}
+
+// Microphone input for general mode. Records with MediaRecorder for server-side transcription
+// (POST /api/transcribe) and falls back to the browser's Web Speech API when the server has no
+// STT engine or the browser cannot record.
+class VoiceInput {
+    static MAX_RECORDING_MS = 60000;
+    static SAMPLE_RATE = 16000; // what both server engines expect
+
+    constructor() {
+        this.mode = null; // 'server', 'browser' or null when neither works here
+        this.stopCurrent = null;
+    }
+
+    static getSpeechRecognition() {
+        return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+    }
+
+    static canRecord() {
+        return Boolean(navigator.mediaDevices?.getUserMedia && window.MediaRecorder &&
+            (window.AudioContext || window.webkitAudioContext) && window.OfflineAudioContext);
+    }
+
+    // serverAvailable comes from /api/health (features.speechToText)
+    configure(serverAvailable) {
+        if (serverAvailable && VoiceInput.canRecord()) {
+            this.mode = 'server';
+        } else {
+            this.mode = VoiceInput.getSpeechRecognition() ? 'browser' : null;
+        }
+    }
+
+    // After a server failure, later attempts use the browser's recognizer if there is one
+    fallBackToBrowser() {
+        if (this.mode === 'server' && VoiceInput.getSpeechRecognition()) {
+            this.mode = 'browser';
+        }
+    }
+
+    get available() {
+        return this.mode !== null;
+    }
+
+    get isActive() {
+        return this.stopCurrent !== null;
+    }
+
+    // Ends the current recording or recognition early; capture() then resolves as usual
+    stop() {
+        if (this.stopCurrent) this.stopCurrent();
+    }
+
+    // Resolves with { audio } (a WAV blob, null if nothing was recorded) or { text } from the browser
+    async capture(lang) {
+        if (this.mode === 'server') {
+            return { audio: await this.record() };
+        }
+        return { text: await this.recognize(lang) };
+    }
+
+    async record() {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        const recorder = new MediaRecorder(stream);
+        const chunks = [];
+
+        const recorded = new Promise((resolve, reject) => {
+            recorder.addEventListener('dataavailable', (e) => {
+                if (e.data.size > 0) chunks.push(e.data);
+            });
+            recorder.addEventListener('stop', () => resolve(new Blob(chunks, { type: recorder.mimeType })));
+            recorder.addEventListener('error', (e) => reject(e.error || new Error('Recording failed')));
+        });
+
+        const timer = setTimeout(() => this.stop(), VoiceInput.MAX_RECORDING_MS);
+        this.stopCurrent = () => {
+            if (recorder.state !== 'inactive') recorder.stop();
+        };
+        recorder.start();
+
+        try {
+            const clip = await recorded;
+            return clip.size > 0 ? await VoiceInput.toWav(clip) : null;
+        } finally {
+            clearTimeout(timer);
+            this.stopCurrent = null;
+            stream.getTracks().forEach(track => track.stop());
+        }
+    }
+
+    recognize(lang) {
+        const SpeechRecognition = VoiceInput.getSpeechRecognition();
+
+        return new Promise((resolve, reject) => {
+            const recognition = new SpeechRecognition();
+            recognition.lang = lang;
+            recognition.interimResults = false;
+            recognition.maxAlternatives = 1;
+
+            let transcript = '';
+            let failure = null;
+
+            recognition.onresult = (event) => {
+                transcript = Array.from(event.results).map(result => result[0].transcript).join(' ').trim();
+            };
+            recognition.onerror = (event) => {
+                // Silence is an empty transcript, not an error
+                if (event.error !== 'no-speech' && event.error !== 'aborted') {
+                    failure = new Error(event.error);
+                }
+            };
+            recognition.onend = () => {
+                this.stopCurrent = null;
+                if (failure) {
+                    reject(failure);
+                } else {
+                    resolve(transcript);
+                }
+            };
+
+            this.stopCurrent = () => recognition.stop();
+            recognition.start();
+        });
+    }
+
+    // MediaRecorder writes webm, ogg or mp4 depending on the browser; re-encode as 16 kHz mono 16-bit WAV
+    static async toWav(clip) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        const context = new AudioContextClass();
+        let decoded;
+        try {
+            decoded = await context.decodeAudioData(await clip.arrayBuffer());
+        } finally {
+            context.close();
+        }
+
+        const length = Math.ceil(decoded.duration * VoiceInput.SAMPLE_RATE);
+        if (length === 0) return null;
+
+        // A one-channel offline context mixes down and resamples in one pass
+        const offline = new OfflineAudioContext(1, length, VoiceInput.SAMPLE_RATE);
+        const source = offline.createBufferSource();
+        source.buffer = decoded;
+        source.connect(offline.destination);
+        source.start();
+        const samples = (await offline.startRendering()).getChannelData(0);
+
+        const view = new DataView(new ArrayBuffer(44 + samples.length * 2));
+        const writeText = (offset, text) => {
+            for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+        };
+
+        writeText(0, 'RIFF');
+        view.setUint32(4, 36 + samples.length * 2, true);
+        writeText(8, 'WAVE');
+        writeText(12, 'fmt ');
+        view.setUint32(16, 16, true); // fmt chunk size
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, 1, true); // mono
+        view.setUint32(24, VoiceInput.SAMPLE_RATE, true);
+        view.setUint32(28, VoiceInput.SAMPLE_RATE * 2, true); // bytes per second
+        view.setUint16(32, 2, true); // bytes per frame
+        view.setUint16(34, 16, true); // bits per sample
+        writeText(36, 'data');
+        view.setUint32(40, samples.length * 2, true);
+
+        samples.forEach((sample, i) => {
+            const clamped = Math.max(-1, Math.min(1, sample));
+            view.setInt16(44 + i * 2, clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff, true);
+        });
+
+        return new Blob([view], { type: 'audio/wav' });
+    }
+}
 
 // Application State Management
 class AppState {
@@ -10,8 +353,100 @@ class AppState {
         this.retryCount = 0;
         this.maxRetries = 3;
         this.isPlaying = false;
-        this.currentMode = 'general'; // 'general' or 'symptom'
+        this.currentMode = 'general'; // 'general', 'symptom' or 'cycle'
         this.selectedSymptoms = new Set();
+        this.symptomDetails = new Map(); // symptom id -> { severity, durationWeeks, frequency }
+        this.sessionId = this.loadSessionId();
+        this.userId = this.loadUserId();
+        this.historyStore = new HistoryStore();
+        this.lastSymptomCheck = null; // { symptoms, notes, analysis, includeCycleData } for the visit report
+        this.cycles = [];
+        this.cycleStats = null;
+        this.editingCycleId = null;
+        this.voiceSettings = this.loadVoiceSettings();
+        const now = new Date();
+        this.calendarMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+    }
+
+    loadUserId() {
+        // Anonymous, long-lived id that keys the server-side cycle log - never tied to an account
+        try {
+            let userId = localStorage.getItem('sheNurturesUserId');
+            if (!userId) {
+                userId = this.generateUserId();
+                localStorage.setItem('sheNurturesUserId', userId);
+            }
+            return userId;
+        } catch (error) {
+            return this.generateUserId();
+        }
+    }
+
+    generateUserId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `u-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+
+    loadVoiceSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(VOICE_SETTINGS_KEY)) || {};
+            return { ...DEFAULT_VOICE_SETTINGS, ...saved, voices: { ...saved.voices } };
+        } catch (error) {
+            return { ...DEFAULT_VOICE_SETTINGS, voices: {} };
+        }
+    }
+
+    // voice applies to the current locale only; style, rate and pitch to every language
+    saveVoiceSettings({ voice, style, rate, pitch }) {
+        const voices = { ...this.voiceSettings.voices };
+        if (voice) {
+            voices[I18n.locale] = voice;
+        } else {
+            delete voices[I18n.locale];
+        }
+
+        this.voiceSettings = { voices, style: style || null, rate, pitch };
+        try {
+            localStorage.setItem(VOICE_SETTINGS_KEY, JSON.stringify(this.voiceSettings));
+        } catch (error) {
+            // Storage unavailable (private mode) - keep the settings for this page only
+        }
+    }
+
+    // Fields added to chat and symptom requests; null leaves the choice to the server
+    getSpeechSettings() {
+        const { voices, style, rate, pitch } = this.voiceSettings;
+        return { voice: voices[I18n.locale] || null, style, rate, pitch };
+    }
+
+    setCycleData(cycles, stats) {
+        if (cycles) this.cycles = cycles;
+        if (stats !== undefined) this.cycleStats = stats;
+    }
+
+    shiftCalendarMonth(offset) {
+        this.calendarMonth = new Date(this.calendarMonth.getFullYear(), this.calendarMonth.getMonth() + offset, 1);
+    }
+
+    loadSessionId() {
+        // Session id lets the server keep earlier turns as context for follow-up questions
+        try {
+            return sessionStorage.getItem('sheNurturesSessionId');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setSessionId(sessionId) {
+        if (!sessionId || sessionId === this.sessionId) return;
+        this.sessionId = sessionId;
+        try {
+            sessionStorage.setItem('sheNurturesSessionId', sessionId);
+        } catch (error) {
+            // Storage unavailable (private mode) - keep the id in memory only
+        }
     }
 
     setLoading(loading) {
@@ -26,18 +461,38 @@ class AppState {
         this.currentMode = mode;
     }
 
-    addToHistory(question, response, type = 'general') {
-        this.conversationHistory.push({
+    // details carries what is needed to reopen the entry later (analysis, symptoms, triage...)
+    addToHistory(question, response, type = 'general', details = {}) {
+        const entry = {
             timestamp: new Date().toISOString(),
             question,
             response,
             type,
-            mode: this.currentMode
-        });
+            mode: this.currentMode,
+            ...details
+        };
+
+        this.conversationHistory.push(entry);
         // Keep only last 20 conversations in memory
         if (this.conversationHistory.length > 20) {
             this.conversationHistory.shift();
         }
+
+        // Saved copies survive reloads and feed the history drawer
+        this.historyStore.add(entry).catch(error => {
+            console.warn('Could not save history entry:', error);
+        });
+    }
+
+    // Refills the in-memory history from the saved one (newest 20, oldest first) so the visit report
+    // still has earlier answers after a reload
+    async loadConversationHistory() {
+        try {
+            const entries = await this.historyStore.getAll();
+            this.conversationHistory = entries.slice(0, 20).reverse();
+        } catch (error) {
+            console.warn('Could not load saved history:', error);
+        }
     }
 
     addSymptom(symptom) {
@@ -46,16 +501,32 @@ class AppState {
 
     removeSymptom(symptom) {
         this.selectedSymptoms.delete(symptom);
+        this.symptomDetails.delete(symptom);
     }
 
     clearSymptoms() {
         this.selectedSymptoms.clear();
+        this.symptomDetails.clear();
     }
 
     getSelectedSymptoms() {
         return Array.from(this.selectedSymptoms);
     }
 
+    setSymptomDetail(symptom, field, value) {
+        const details = this.symptomDetails.get(symptom) || {};
+        details[field] = value;
+        this.symptomDetails.set(symptom, details);
+    }
+
+    // Symptoms as sent to /api/symptom-check: { id, severity, durationWeeks, frequency }
+    getSymptomPayload() {
+        return this.getSelectedSymptoms().map(id => ({
+            id,
+            ...(this.symptomDetails.get(id) || {})
+        }));
+    }
+
     incrementRetry() {
         this.retryCount++;
     }
@@ -85,6 +556,10 @@ class UIController {
         this.setupSuggestionChips();
         this.setupModeSelection();
         this.setupSymptomChecker();
+        this.setupCycleTracker();
+        this.setupHistoryDrawer();
+        this.setupLanguageSelect();
+        this.setupVoiceSettings();
         this.initializeUI();
     }
 
@@ -94,18 +569,22 @@ class UIController {
             avatarPlaceholder: document.getElementById('avatar-placeholder'),
             avatarImage: document.querySelector('.avatar-image'),
             avatarWrapper: document.querySelector('.avatar-wrapper'),
+            avatarMouth: document.getElementById('avatar-mouth'),
             
             // Mode selection
             generalModeBtn: document.getElementById('general-mode-btn'),
             symptomModeBtn: document.getElementById('symptom-mode-btn'),
+            cycleModeBtn: document.getElementById('cycle-mode-btn'),
             generalModeContent: document.getElementById('general-mode-content'),
             symptomModeContent: document.getElementById('symptom-mode-content'),
+            cycleModeContent: document.getElementById('cycle-mode-content'),
             
             // General mode elements
             chatMessages: document.getElementById('chat-messages'),
             generalInput: document.getElementById('general-input'),
             generalAskButton: document.getElementById('general-ask-button'),
             generalClearButton: document.getElementById('general-clear-button'),
+            generalMicButton: document.getElementById('general-mic-button'),
             generalCharCount: document.getElementById('general-char-count'),
             
             // Symptom checker elements
@@ -114,7 +593,40 @@ class UIController {
             clearSymptoms: document.getElementById('clear-symptoms'),
             symptomResults: document.getElementById('symptom-results'),
             symptomAnalysis: document.getElementById('symptom-analysis'),
+            analysisDetails: document.getElementById('analysis-details'),
+            symptomNotes: document.getElementById('symptom-notes'),
+            includeCycleData: document.getElementById('include-cycle-data'),
             connectDoctor: document.getElementById('connect-doctor'),
+            prepareReport: document.getElementById('prepare-report'),
+            providerSearch: document.getElementById('provider-search'),
+            providerForm: document.getElementById('provider-form'),
+            providerSpecialty: document.getElementById('provider-specialty'),
+            providerLocation: document.getElementById('provider-location'),
+            providerTelehealth: document.getElementById('provider-telehealth'),
+            providerRecommendation: document.getElementById('provider-recommendation'),
+            providerNotice: document.getElementById('provider-notice'),
+            providerResults: document.getElementById('provider-results'),
+            
+            // Cycle tracker elements
+            cycleStats: document.getElementById('cycle-stats'),
+            cycleCalendar: document.getElementById('cycle-calendar'),
+            cycleMonthLabel: document.getElementById('cycle-month-label'),
+            cyclePrevMonth: document.getElementById('cycle-prev-month'),
+            cycleNextMonth: document.getElementById('cycle-next-month'),
+            cycleForm: document.getElementById('cycle-form'),
+            cycleFormTitle: document.getElementById('cycle-form-title'),
+            cycleStartDate: document.getElementById('cycle-start-date'),
+            cycleEndDate: document.getElementById('cycle-end-date'),
+            cycleFlow: document.getElementById('cycle-flow'),
+            cycleNotes: document.getElementById('cycle-notes'),
+            cycleSave: document.getElementById('cycle-save'),
+            cycleCancelEdit: document.getElementById('cycle-cancel-edit'),
+            cycleList: document.getElementById('cycle-list'),
+            
+            // Emergency triage alert
+            triageAlert: document.getElementById('triage-alert'),
+            triageAlertMessage: document.getElementById('triage-alert-message'),
+            triageAlertClose: document.getElementById('triage-alert-close'),
             
             // Audio controls
             audioControls: document.getElementById('audio-controls'),
@@ -124,6 +636,35 @@ class UIController {
             playIcon: document.getElementById('play-icon'),
             pauseIcon: document.getElementById('pause-icon'),
             
+            // History drawer
+            historyButton: document.getElementById('history-button'),
+            historyDrawer: document.getElementById('history-drawer'),
+            historyOverlay: document.getElementById('history-overlay'),
+            historyClose: document.getElementById('history-close'),
+            historyList: document.getElementById('history-list'),
+            historyExport: document.getElementById('history-export'),
+            historyClear: document.getElementById('history-clear'),
+            
+            // Language switcher
+            languageSelect: document.getElementById('language-select'),
+            
+            // Voice settings
+            voiceButton: document.getElementById('voice-button'),
+            voiceModal: document.getElementById('voice-modal'),
+            voiceClose: document.getElementById('voice-close'),
+            voiceForm: document.getElementById('voice-form'),
+            voiceEmpty: document.getElementById('voice-empty'),
+            voiceSelect: document.getElementById('voice-select'),
+            voiceStyle: document.getElementById('voice-style'),
+            voiceStyleUnsupported: document.getElementById('voice-style-unsupported'),
+            voiceRate: document.getElementById('voice-rate'),
+            voiceRateValue: document.getElementById('voice-rate-value'),
+            voiceRateUnsupported: document.getElementById('voice-rate-unsupported'),
+            voicePitch: document.getElementById('voice-pitch'),
+            voicePitchValue: document.getElementById('voice-pitch-value'),
+            voicePitchUnsupported: document.getElementById('voice-pitch-unsupported'),
+            voiceReset: document.getElementById('voice-reset'),
+            
             // Modal elements
             infoButton: document.getElementById('info-button'),
             infoModal: document.getElementById('info-modal'),
@@ -148,6 +689,8 @@ class UIController {
     }
 
     initializeUI() {
+        I18n.apply();
+        
         // Hide loading screen after initialization
         setTimeout(() => {
             if (this.elements.loadingScreen) {
@@ -186,6 +729,10 @@ class UIController {
             this.elements.generalClearButton.addEventListener('click', () => this.clearGeneralInput());
         }
         
+        if (this.elements.generalMicButton) {
+            this.elements.generalMicButton.addEventListener('click', () => app.handleVoiceInput());
+        }
+        
         // Audio control events
         if (this.elements.playPauseBtn) {
             this.elements.playPauseBtn.addEventListener('click', () => this.toggleAudio());
@@ -195,6 +742,10 @@ class UIController {
             this.elements.stopBtn.addEventListener('click', () => this.stopAudio());
         }
         
+        if (this.elements.triageAlertClose) {
+            this.elements.triageAlertClose.addEventListener('click', () => this.hideTriageAlert());
+        }
+        
         // Modal events
         if (this.elements.infoButton) {
             this.elements.infoButton.addEventListener('click', () => this.showModal());
@@ -219,6 +770,12 @@ class UIController {
                 if (this.elements.infoModal && this.elements.infoModal.style.display !== 'none') {
                     this.hideModal();
                 }
+                if (this.elements.historyDrawer?.classList.contains('open')) {
+                    this.closeHistoryDrawer();
+                }
+                if (this.isVoiceModalOpen()) {
+                    this.hideVoiceModal();
+                }
             }
         });
     }
@@ -231,6 +788,10 @@ class UIController {
         if (this.elements.symptomModeBtn) {
             this.elements.symptomModeBtn.addEventListener('click', () => this.switchMode('symptom'));
         }
+        
+        if (this.elements.cycleModeBtn) {
+            this.elements.cycleModeBtn.addEventListener('click', () => this.switchMode('cycle'));
+        }
     }
 
     setupSymptomChecker() {
@@ -252,6 +813,19 @@ class UIController {
             this.elements.connectDoctor.addEventListener('click', () => this.handleConnectDoctor());
         }
         
+        // Appointment report button
+        if (this.elements.prepareReport) {
+            this.elements.prepareReport.addEventListener('click', () => app.prepareVisitReport());
+        }
+        
+        // Provider directory search
+        if (this.elements.providerForm) {
+            this.elements.providerForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                app.searchProviders(this.getProviderFilters());
+            });
+        }
+        
         // Symptom checkboxes
         const symptomCheckboxes = document.querySelectorAll('input[name="symptom"]');
         symptomCheckboxes.forEach(checkbox => {
@@ -280,14 +854,20 @@ class UIController {
             btn.classList.remove('active');
         });
         
-        if (mode === 'general') {
-            this.elements.generalModeBtn?.classList.add('active');
-            this.elements.generalModeContent.classList.add('active');
-            this.elements.symptomModeContent.classList.remove('active');
-        } else if (mode === 'symptom') {
-            this.elements.symptomModeBtn?.classList.add('active');
-            this.elements.symptomModeContent.classList.add('active');
-            this.elements.generalModeContent.classList.remove('active');
+        const modes = {
+            general: [this.elements.generalModeBtn, this.elements.generalModeContent],
+            symptom: [this.elements.symptomModeBtn, this.elements.symptomModeContent],
+            cycle: [this.elements.cycleModeBtn, this.elements.cycleModeContent]
+        };
+        
+        Object.entries(modes).forEach(([name, [button, content]]) => {
+            button?.classList.toggle('active', name === mode);
+            content?.classList.toggle('active', name === mode);
+        });
+        
+        // Refresh the cycle log each time the tracker is opened
+        if (mode === 'cycle' && app) {
+            app.loadCycles();
         }
         
         // Stop any current audio
@@ -321,10 +901,13 @@ class UIController {
 
     handleSymptomChange(e) {
         const symptom = e.target.value;
+        const option = e.target.closest('.symptom-option');
         if (e.target.checked) {
             appState.addSymptom(symptom);
+            this.showSymptomDetails(option, symptom);
         } else {
             appState.removeSymptom(symptom);
+            this.hideSymptomDetails(option);
         }
         
         // Update analyze button state
@@ -335,12 +918,80 @@ class UIController {
     }
 
     handleSymptomSubmission() {
-        const selectedSymptoms = appState.getSelectedSymptoms();
-        if (selectedSymptoms.length > 0 && !appState.isLoading) {
-            app.processSymptomCheck(selectedSymptoms);
+        const symptoms = appState.getSymptomPayload();
+        const notes = this.elements.symptomNotes ? this.elements.symptomNotes.value.trim() : '';
+        const includeCycleData = this.elements.includeCycleData ? this.elements.includeCycleData.checked : false;
+        if (symptoms.length > 0 && !appState.isLoading) {
+            app.processSymptomCheck(symptoms, notes, includeCycleData);
+        }
+    }
+
+    // Severity, duration and frequency controls shown under a checked symptom
+    showSymptomDetails(option, symptom) {
+        if (!option || (option.nextElementSibling && option.nextElementSibling.classList.contains('symptom-details'))) {
+            return;
+        }
+
+        const details = this.createElement('div', 'symptom-details');
+
+        const severityField = this.createElement('label', 'symptom-detail-field');
+        severityField.appendChild(this.createTranslatedElement('span', 'symptom-detail-label', 'symptom.severity'));
+        const severityInput = document.createElement('input');
+        severityInput.type = 'range';
+        severityInput.min = '1';
+        severityInput.max = '5';
+        severityInput.step = '1';
+        severityInput.value = '3';
+        const severityValue = this.createTranslatedElement('span', 'symptom-severity-value', 'severity.3');
+        severityInput.addEventListener('input', () => {
+            const severity = parseInt(severityInput.value, 10);
+            severityValue.dataset.i18n = `severity.${severity}`;
+            severityValue.textContent = t(severityValue.dataset.i18n);
+            appState.setSymptomDetail(symptom, 'severity', severity);
+        });
+        severityField.appendChild(severityInput);
+        severityField.appendChild(severityValue);
+
+        const durationField = this.createElement('label', 'symptom-detail-field');
+        durationField.appendChild(this.createTranslatedElement('span', 'symptom-detail-label', 'symptom.duration'));
+        const durationSelect = this.createSelect(SYMPTOM_DURATION_OPTIONS, (value) => {
+            appState.setSymptomDetail(symptom, 'durationWeeks', value ? Number(value) : null);
+        });
+        durationField.appendChild(durationSelect);
+
+        const frequencyField = this.createElement('label', 'symptom-detail-field');
+        frequencyField.appendChild(this.createTranslatedElement('span', 'symptom-detail-label', 'symptom.frequency'));
+        const frequencySelect = this.createSelect(SYMPTOM_FREQUENCY_OPTIONS, (value) => {
+            appState.setSymptomDetail(symptom, 'frequency', value || null);
+        });
+        frequencyField.appendChild(frequencySelect);
+
+        details.appendChild(severityField);
+        details.appendChild(durationField);
+        details.appendChild(frequencyField);
+        option.insertAdjacentElement('afterend', details);
+
+        appState.setSymptomDetail(symptom, 'severity', 3);
+    }
+
+    hideSymptomDetails(option) {
+        const details = option ? option.nextElementSibling : null;
+        if (details && details.classList.contains('symptom-details')) {
+            details.remove();
         }
     }
 
+    createSelect(options, onChange) {
+        const select = document.createElement('select');
+        options.forEach(({ value, labelKey }) => {
+            const optionElement = this.createTranslatedElement('option', '', labelKey);
+            optionElement.value = value;
+            select.appendChild(optionElement);
+        });
+        select.addEventListener('change', () => onChange(select.value));
+        return select;
+    }
+
     clearSelectedSymptoms() {
         appState.clearSymptoms();
         
@@ -348,6 +999,11 @@ class UIController {
         document.querySelectorAll('input[name="symptom"]').forEach(checkbox => {
             checkbox.checked = false;
         });
+        document.querySelectorAll('.symptom-details').forEach(details => details.remove());
+        
+        if (this.elements.symptomNotes) {
+            this.elements.symptomNotes.value = '';
+        }
         
         // Disable analyze button
         if (this.elements.analyzeSymptoms) {
@@ -358,16 +1014,600 @@ class UIController {
         if (this.elements.symptomResults) {
             this.elements.symptomResults.style.display = 'none';
         }
+        this.renderAnalysisDetails(null);
     }
 
+    // Opens the provider directory, pre-filtered to the specialty recommended for the analyzed symptoms
     handleConnectDoctor() {
-        // In a real implementation, this would integrate with a telemedicine service
-        this.showToast('Redirecting to healthcare provider directory...', 'success');
+        if (!this.elements.providerSearch) return;
         
-        // For now, show information about finding healthcare
-        setTimeout(() => {
-            alert('For personalized medical advice, please:\n\n1. Contact your primary care physician\n2. Visit a gynecologist or endocrinologist\n3. Use telemedicine services like Teladoc or MDLive\n4. Search for local healthcare providers\n\nAlways consult qualified healthcare professionals for medical concerns.');
-        }, 1000);
+        this.elements.providerSearch.style.display = 'block';
+        this.elements.providerSearch.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        app.searchProviders(this.getProviderFilters());
+    }
+
+    getProviderFilters() {
+        const location = this.elements.providerLocation ? this.elements.providerLocation.value.trim() : '';
+        // Anything with a digit is treated as a postcode, otherwise as a city name
+        const isPostcode = /\d/.test(location);
+        
+        return {
+            specialty: this.elements.providerSpecialty ? this.elements.providerSpecialty.value : '',
+            city: isPostcode ? '' : location,
+            postcode: isPostcode ? location : '',
+            telehealth: this.elements.providerTelehealth ? this.elements.providerTelehealth.checked : false
+        };
+    }
+
+    renderProviderResults(result) {
+        const list = this.elements.providerResults;
+        if (!list) return;
+        
+        const specialtyName = (specialty) => t(`provider.specialty.${specialty}`);
+        
+        if (this.elements.providerRecommendation) {
+            this.elements.providerRecommendation.textContent = result.recommendedSpecialty
+                ? t('provider.suggested', { specialty: specialtyName(result.recommendedSpecialty), reason: result.recommendationReason })
+                : t('provider.choose');
+        }
+        
+        if (this.elements.providerNotice) {
+            this.elements.providerNotice.style.display = result.sampleData ? 'block' : 'none';
+            this.elements.providerNotice.textContent = result.sampleData
+                ? t('provider.sample')
+                : '';
+        }
+        
+        list.innerHTML = '';
+        
+        if (result.providers.length === 0) {
+            list.appendChild(this.createElement('li', 'provider-empty', t('provider.empty')));
+            return;
+        }
+        
+        result.providers.forEach(provider => {
+            const item = this.createElement('li', 'provider-card');
+            const header = this.createElement('div', 'provider-header');
+            header.appendChild(this.createElement('h5', '', provider.name));
+            if (provider.telehealth) {
+                header.appendChild(this.createElement('span', 'provider-tag', t('provider.online')));
+            }
+            item.appendChild(header);
+            
+            item.appendChild(this.createElement('p', 'provider-specialties',
+                provider.specialties.map(specialtyName).join(' · ')));
+            
+            const location = [provider.address, provider.city, provider.postcode].filter(Boolean).join(', ');
+            if (location) {
+                item.appendChild(this.createElement('p', 'provider-location', location));
+            }
+            if (provider.languages.length) {
+                item.appendChild(this.createElement('p', 'provider-languages', t('provider.languages', { languages: provider.languages.join(', ') })));
+            }
+            
+            const contact = this.createElement('div', 'provider-contact');
+            if (provider.phone) {
+                const phoneLink = this.createElement('a', '', provider.phone);
+                phoneLink.href = `tel:${provider.phone.replace(/[^\d+]/g, '')}`;
+                contact.appendChild(phoneLink);
+            }
+            if (provider.website && /^https?:\/\//i.test(provider.website)) {
+                const websiteLink = this.createElement('a', '', t('provider.website'));
+                websiteLink.href = provider.website;
+                websiteLink.target = '_blank';
+                websiteLink.rel = 'noopener noreferrer';
+                contact.appendChild(websiteLink);
+            }
+            if (contact.childElementCount) {
+                item.appendChild(contact);
+            }
+            
+            list.appendChild(item);
+        });
+    }
+
+    setupCycleTracker() {
+        if (this.elements.cycleForm) {
+            this.elements.cycleForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleCycleSubmission();
+            });
+        }
+        
+        if (this.elements.cycleCancelEdit) {
+            this.elements.cycleCancelEdit.addEventListener('click', () => this.resetCycleForm());
+        }
+        
+        if (this.elements.cyclePrevMonth) {
+            this.elements.cyclePrevMonth.addEventListener('click', () => {
+                appState.shiftCalendarMonth(-1);
+                this.renderCycleCalendar();
+            });
+        }
+        
+        if (this.elements.cycleNextMonth) {
+            this.elements.cycleNextMonth.addEventListener('click', () => {
+                appState.shiftCalendarMonth(1);
+                this.renderCycleCalendar();
+            });
+        }
+        
+        const today = toISODate(new Date());
+        [this.elements.cycleStartDate, this.elements.cycleEndDate].forEach(input => {
+            if (input) input.max = today;
+        });
+        
+        this.renderCycleTracker();
+    }
+
+    handleCycleSubmission() {
+        const startDate = this.elements.cycleStartDate ? this.elements.cycleStartDate.value : '';
+        if (!startDate) {
+            this.showToast(t('toast.chooseStartDate'), 'error');
+            return;
+        }
+        
+        const entry = {
+            startDate,
+            endDate: this.elements.cycleEndDate?.value || null,
+            flow: this.elements.cycleFlow?.value || null,
+            notes: this.elements.cycleNotes?.value.trim() || ''
+        };
+        
+        app.saveCycle(entry, appState.editingCycleId);
+    }
+
+    editCycle(cycle) {
+        appState.editingCycleId = cycle.id;
+        
+        if (this.elements.cycleStartDate) this.elements.cycleStartDate.value = cycle.startDate;
+        if (this.elements.cycleEndDate) this.elements.cycleEndDate.value = cycle.endDate || '';
+        if (this.elements.cycleFlow) this.elements.cycleFlow.value = cycle.flow || '';
+        if (this.elements.cycleNotes) this.elements.cycleNotes.value = cycle.notes || '';
+        this.setTranslatedText(this.elements.cycleFormTitle, 'cycle.editTitle');
+        if (this.elements.cycleCancelEdit) this.elements.cycleCancelEdit.style.display = '';
+        
+        this.elements.cycleForm?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    resetCycleForm() {
+        appState.editingCycleId = null;
+        this.elements.cycleForm?.reset();
+        this.setTranslatedText(this.elements.cycleFormTitle, 'cycle.logTitle');
+        if (this.elements.cycleCancelEdit) this.elements.cycleCancelEdit.style.display = 'none';
+    }
+
+    setCycleSaving(saving) {
+        if (!this.elements.cycleSave) return;
+        
+        this.elements.cycleSave.disabled = saving;
+        const buttonText = this.elements.cycleSave.querySelector('.button-text');
+        this.setTranslatedText(buttonText, saving ? 'cycle.saving' : 'cycle.save');
+    }
+
+    renderCycleTracker() {
+        this.renderCycleStats();
+        this.renderCycleCalendar();
+        this.renderCycleList();
+    }
+
+    renderCycleStats() {
+        const container = this.elements.cycleStats;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        const stats = appState.cycleStats;
+        
+        if (!stats || stats.periodsLogged === 0) {
+            container.appendChild(this.createElement('p', 'cycle-empty', t('cycle.empty')));
+            return;
+        }
+        
+        const cards = [
+            {
+                label: t('cycle.stats.average'),
+                value: stats.averageCycleLength !== null ? t('common.days', { count: stats.averageCycleLength }) : '—',
+                hint: stats.averageCycleLength !== null
+                    ? t('cycle.stats.range', { shortest: stats.shortestCycle, longest: stats.longestCycle })
+                    : t('cycle.stats.needsTwo')
+            },
+            {
+                label: t('cycle.stats.variability'),
+                value: stats.variability ? t(`cycle.variability.${stats.variability}`) : '—',
+                hint: stats.cycleLengthStdDev !== null ? t('cycle.stats.stdDev', { days: stats.cycleLengthStdDev }) : t('cycle.stats.needsThree')
+            },
+            {
+                label: t('cycle.stats.sinceLast'),
+                value: t('common.days', { count: stats.daysSinceLastPeriod }),
+                hint: t('cycle.stats.started', { date: formatDisplayDate(stats.lastPeriodStart) })
+            },
+            {
+                label: t('cycle.stats.next'),
+                value: stats.predictedNextPeriod ? formatDisplayDate(stats.predictedNextPeriod) : '—',
+                hint: stats.predictedNextPeriod ? t('cycle.stats.estimate') : t('cycle.stats.notEnough')
+            }
+        ];
+        
+        cards.forEach(({ label, value, hint }) => {
+            const card = this.createElement('div', 'cycle-stat');
+            card.appendChild(this.createElement('span', 'cycle-stat-label', label));
+            card.appendChild(this.createElement('strong', 'cycle-stat-value', value));
+            card.appendChild(this.createElement('small', 'cycle-stat-hint', hint));
+            container.appendChild(card);
+        });
+    }
+
+    renderCycleCalendar() {
+        const container = this.elements.cycleCalendar;
+        if (!container) return;
+        
+        const month = appState.calendarMonth;
+        if (this.elements.cycleMonthLabel) {
+            this.elements.cycleMonthLabel.textContent = month.toLocaleDateString(I18n.tag, { month: 'long', year: 'numeric' });
+        }
+        
+        // Days covered by a logged period (start only when no end date was logged)
+        const periodDays = new Set();
+        appState.cycles.forEach(cycle => {
+            const day = parseISODate(cycle.startDate);
+            const end = parseISODate(cycle.endDate || cycle.startDate);
+            while (day <= end) {
+                periodDays.add(toISODate(day));
+                day.setDate(day.getDate() + 1);
+            }
+        });
+        
+        const today = toISODate(new Date());
+        const predicted = appState.cycleStats?.predictedNextPeriod;
+        
+        container.innerHTML = '';
+        t('cycle.weekdays').split(',').forEach(name => {
+            container.appendChild(this.createElement('span', 'calendar-weekday', name));
+        });
+        
+        for (let i = 0; i < month.getDay(); i++) {
+            container.appendChild(this.createElement('span', 'calendar-day empty'));
+        }
+        
+        const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+        for (let dayOfMonth = 1; dayOfMonth <= daysInMonth; dayOfMonth++) {
+            const date = toISODate(new Date(month.getFullYear(), month.getMonth(), dayOfMonth));
+            const cell = this.createElement('button', 'calendar-day', String(dayOfMonth));
+            cell.type = 'button';
+            cell.classList.toggle('period', periodDays.has(date));
+            cell.classList.toggle('predicted', date === predicted);
+            cell.classList.toggle('today', date === today);
+            
+            if (date > today) {
+                cell.disabled = true;
+            } else {
+                // Picking a day starts a new entry from that date
+                cell.addEventListener('click', () => {
+                    this.resetCycleForm();
+                    if (this.elements.cycleStartDate) this.elements.cycleStartDate.value = date;
+                    this.elements.cycleEndDate?.focus();
+                });
+            }
+            
+            container.appendChild(cell);
+        }
+    }
+
+    renderCycleList() {
+        const list = this.elements.cycleList;
+        if (!list) return;
+        
+        list.innerHTML = '';
+        
+        if (appState.cycles.length === 0) {
+            list.appendChild(this.createElement('li', 'cycle-empty', t('cycle.listEmpty')));
+            return;
+        }
+        
+        appState.cycles.forEach(cycle => {
+            const item = this.createElement('li', 'cycle-entry');
+            const details = this.createElement('div', 'cycle-entry-details');
+            const range = cycle.endDate
+                ? `${formatDisplayDate(cycle.startDate)} – ${formatDisplayDate(cycle.endDate)}`
+                : formatDisplayDate(cycle.startDate);
+            details.appendChild(this.createElement('strong', null, range));
+            
+            const meta = [cycle.flow ? t('cycle.flowMeta', { flow: t(`cycle.flow.${cycle.flow}`).toLowerCase() }) : null, cycle.notes || null].filter(Boolean).join(' · ');
+            if (meta) {
+                details.appendChild(this.createElement('small', null, meta));
+            }
+            
+            const actions = this.createElement('div', 'cycle-entry-actions');
+            const editButton = this.createElement('button', 'secondary-button small', t('common.edit'));
+            editButton.type = 'button';
+            editButton.addEventListener('click', () => this.editCycle(cycle));
+            
+            const deleteButton = this.createElement('button', 'secondary-button small danger', t('common.delete'));
+            deleteButton.type = 'button';
+            deleteButton.addEventListener('click', () => {
+                if (confirm(t('cycle.confirmDelete', { date: formatDisplayDate(cycle.startDate) }))) {
+                    app.deleteCycle(cycle.id);
+                }
+            });
+            
+            actions.appendChild(editButton);
+            actions.appendChild(deleteButton);
+            item.appendChild(details);
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+    }
+
+    setupHistoryDrawer() {
+        if (this.elements.historyButton) {
+            this.elements.historyButton.addEventListener('click', () => this.openHistoryDrawer());
+        }
+        
+        if (this.elements.historyClose) {
+            this.elements.historyClose.addEventListener('click', () => this.closeHistoryDrawer());
+        }
+        
+        if (this.elements.historyOverlay) {
+            this.elements.historyOverlay.addEventListener('click', () => this.closeHistoryDrawer());
+        }
+        
+        if (this.elements.historyExport) {
+            this.elements.historyExport.addEventListener('click', () => app.exportHistory());
+        }
+        
+        if (this.elements.historyClear) {
+            this.elements.historyClear.addEventListener('click', () => {
+                if (confirm(t('history.confirmClear'))) {
+                    app.clearHistory();
+                }
+            });
+        }
+    }
+
+    setupLanguageSelect() {
+        if (!this.elements.languageSelect) return;
+
+        this.elements.languageSelect.value = I18n.locale;
+        this.elements.languageSelect.addEventListener('change', () => {
+            I18n.setLocale(this.elements.languageSelect.value);
+            this.handleLocaleChange();
+        });
+    }
+
+    setupVoiceSettings() {
+        if (!this.elements.voiceModal) return;
+
+        this.voiceCatalog = null; // last GET /api/voices answer, for redrawing the style list
+
+        if (this.elements.voiceButton) {
+            this.elements.voiceButton.addEventListener('click', () => app.openVoiceSettings());
+        }
+
+        if (this.elements.voiceClose) {
+            this.elements.voiceClose.addEventListener('click', () => this.hideVoiceModal());
+        }
+
+        this.elements.voiceModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.voiceModal) {
+                this.hideVoiceModal();
+            }
+        });
+
+        this.elements.voiceSelect.addEventListener('change', () => this.renderVoiceStyles(this.elements.voiceStyle.value));
+        this.elements.voiceRate.addEventListener('input', () => this.updateVoiceOutputs());
+        this.elements.voicePitch.addEventListener('input', () => this.updateVoiceOutputs());
+
+        this.elements.voiceReset.addEventListener('click', () => {
+            if (this.voiceCatalog) {
+                this.renderVoiceSettings(this.voiceCatalog, { ...DEFAULT_VOICE_SETTINGS, voices: {} });
+            }
+        });
+
+        this.elements.voiceForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            app.saveVoiceSettings(this.getVoiceFormValues());
+        });
+    }
+
+    isVoiceModalOpen() {
+        return Boolean(this.elements.voiceModal) && this.elements.voiceModal.style.display !== 'none';
+    }
+
+    showVoiceModal() {
+        if (!this.elements.voiceModal) return;
+
+        this.elements.voiceModal.style.display = 'flex';
+        this.elements.voiceModal.classList.add('modal-show');
+        document.body.style.overflow = 'hidden';
+    }
+
+    hideVoiceModal() {
+        if (!this.elements.voiceModal) return;
+
+        this.elements.voiceModal.style.display = 'none';
+        this.elements.voiceModal.classList.remove('modal-show');
+        document.body.style.overflow = 'auto';
+    }
+
+    // catalog is the GET /api/voices data; controls the engine cannot honour are disabled
+    renderVoiceSettings(catalog, settings) {
+        this.voiceCatalog = catalog;
+        const { voices, limits, defaults, supports } = catalog;
+        const select = this.elements.voiceSelect;
+
+        select.innerHTML = '';
+        const defaultOption = this.createTranslatedElement('option', '', 'voice.default');
+        defaultOption.value = '';
+        select.appendChild(defaultOption);
+        voices.forEach(voice => {
+            const option = this.createElement('option', '', voice.name);
+            option.value = voice.id;
+            select.appendChild(option);
+        });
+
+        const savedVoice = settings.voices[catalog.locale];
+        select.value = voices.some(voice => voice.id === savedVoice) ? savedVoice : '';
+        select.disabled = voices.length === 0;
+        this.elements.voiceEmpty.style.display = voices.length === 0 ? 'block' : 'none';
+
+        this.renderVoiceStyles(settings.style);
+
+        [['voiceRate', 'rate'], ['voicePitch', 'pitch']].forEach(([element, field]) => {
+            const input = this.elements[element];
+            input.min = limits[field].min;
+            input.max = limits[field].max;
+            input.value = settings[field] ?? defaults[field];
+            input.disabled = !supports[field];
+            this.elements[`${element}Unsupported`].style.display = supports[field] ? 'none' : 'block';
+        });
+
+        this.updateVoiceOutputs();
+    }
+
+    // Styles of the chosen voice, or of any voice when the mode default is used (the server skips unknown ones)
+    renderVoiceStyles(selectedStyle) {
+        const catalog = this.voiceCatalog;
+        const styleSelect = this.elements.voiceStyle;
+        if (!catalog) return;
+
+        const chosen = catalog.voices.find(voice => voice.id === this.elements.voiceSelect.value);
+        const styles = chosen ? chosen.styles : [...new Set(catalog.voices.flatMap(voice => voice.styles))];
+
+        styleSelect.innerHTML = '';
+        const naturalOption = this.createTranslatedElement('option', '', 'voice.style.none');
+        naturalOption.value = '';
+        styleSelect.appendChild(naturalOption);
+        styles.forEach(style => {
+            const key = `voice.style.${style}`;
+            const option = this.createElement('option', '', t(key) === key ? style : t(key));
+            option.value = style;
+            styleSelect.appendChild(option);
+        });
+
+        styleSelect.value = styles.includes(selectedStyle) ? selectedStyle : '';
+        styleSelect.disabled = !catalog.supports.style || styles.length === 0;
+        this.elements.voiceStyleUnsupported.style.display = catalog.supports.style ? 'none' : 'block';
+    }
+
+    updateVoiceOutputs() {
+        const rate = Number(this.elements.voiceRate.value);
+        const pitch = Number(this.elements.voicePitch.value);
+        this.elements.voiceRateValue.textContent = `${rate.toFixed(1)}×`;
+        this.elements.voicePitchValue.textContent = `${pitch > 0 ? '+' : ''}${pitch}%`;
+    }
+
+    getVoiceFormValues() {
+        return {
+            voice: this.elements.voiceSelect.value || null,
+            style: this.elements.voiceStyle.value || null,
+            rate: Number(this.elements.voiceRate.value),
+            pitch: Number(this.elements.voicePitch.value)
+        };
+    }
+
+    // Static markup is re-translated by I18n.apply(); redraw the parts built in script
+    handleLocaleChange() {
+        this.renderCycleTracker();
+        this.updateCharCount();
+
+        if (this.elements.historyDrawer?.classList.contains('open')) {
+            app.loadHistory();
+        }
+
+        // Voices differ per language
+        if (this.isVoiceModalOpen()) {
+            app.openVoiceSettings();
+        }
+
+        if (this.elements.providerSearch && this.elements.providerSearch.style.display !== 'none') {
+            app.searchProviders(this.getProviderFilters());
+        }
+    }
+
+    async openHistoryDrawer() {
+        if (!this.elements.historyDrawer) return;
+        
+        this.elements.historyDrawer.classList.add('open');
+        this.elements.historyDrawer.setAttribute('aria-hidden', 'false');
+        if (this.elements.historyOverlay) {
+            this.elements.historyOverlay.style.display = 'block';
+        }
+        
+        await app.loadHistory();
+    }
+
+    closeHistoryDrawer() {
+        if (!this.elements.historyDrawer) return;
+        
+        this.elements.historyDrawer.classList.remove('open');
+        this.elements.historyDrawer.setAttribute('aria-hidden', 'true');
+        if (this.elements.historyOverlay) {
+            this.elements.historyOverlay.style.display = 'none';
+        }
+    }
+
+    renderHistory(entries) {
+        const list = this.elements.historyList;
+        if (!list) return;
+        
+        list.innerHTML = '';
+        
+        if (this.elements.historyExport) this.elements.historyExport.disabled = entries.length === 0;
+        if (this.elements.historyClear) this.elements.historyClear.disabled = entries.length === 0;
+        
+        if (entries.length === 0) {
+            list.appendChild(this.createElement('li', 'history-empty', t('history.empty')));
+            return;
+        }
+        
+        entries.forEach(entry => {
+            const item = this.createElement('li', `history-item history-${entry.type}`);
+            
+            const openButton = this.createElement('button', 'history-open');
+            openButton.type = 'button';
+            const meta = this.createElement('div', 'history-meta');
+            meta.appendChild(this.createElement('span', 'history-type', t(`history.type.${entry.type}`)));
+            meta.appendChild(this.createElement('time', 'history-time', new Date(entry.timestamp).toLocaleString(I18n.tag, {
+                day: 'numeric',
+                month: 'short',
+                hour: '2-digit',
+                minute: '2-digit'
+            })));
+            openButton.appendChild(meta);
+            openButton.appendChild(this.createElement('p', 'history-question', entry.question));
+            openButton.addEventListener('click', () => {
+                this.reopenHistoryEntry(entry);
+                this.closeHistoryDrawer();
+            });
+            
+            const deleteButton = this.createElement('button', 'icon-button small history-delete');
+            deleteButton.type = 'button';
+            deleteButton.setAttribute('aria-label', t('history.deleteEntry'));
+            deleteButton.textContent = '✕';
+            deleteButton.addEventListener('click', () => app.deleteHistoryEntry(entry.id));
+            
+            item.appendChild(openButton);
+            item.appendChild(deleteButton);
+            list.appendChild(item);
+        });
+    }
+
+    // Shows a saved entry again in the mode it came from
+    reopenHistoryEntry(entry) {
+        if (entry.type === 'symptom') {
+            this.switchMode('symptom');
+            this.displaySymptomAnalysis(entry.response, entry.analysis || null, entry.cycleDataPoints || [], entry.citations || []);
+            return;
+        }
+        
+        this.switchMode('general');
+        this.hideSuggestionChips();
+        this.addMessageToChat(entry.question, true);
+        const messageDiv = this.addMessageToChat(entry.response, false);
+        if (entry.triage === 'emergency') {
+            this.markMessageAsEmergency(messageDiv);
+        }
+        this.addMessageSources(messageDiv, entry.citations || []);
     }
 
     updateCharCount() {
@@ -397,11 +1637,11 @@ class UIController {
                 if (loading) {
                     this.elements.generalAskButton.classList.add('loading');
                     const buttonText = this.elements.generalAskButton.querySelector('.button-text');
-                    if (buttonText) buttonText.textContent = 'Processing...';
+                    this.setTranslatedText(buttonText, 'chat.processing');
                 } else {
                     this.elements.generalAskButton.classList.remove('loading');
                     const buttonText = this.elements.generalAskButton.querySelector('.button-text');
-                    if (buttonText) buttonText.textContent = 'Ask Question';
+                    this.setTranslatedText(buttonText, 'chat.ask');
                 }
             }
             
@@ -415,16 +1655,16 @@ class UIController {
                 if (loading) {
                     this.elements.analyzeSymptoms.classList.add('loading');
                     const buttonText = this.elements.analyzeSymptoms.querySelector('.button-text');
-                    if (buttonText) buttonText.textContent = 'Analyzing...';
+                    this.setTranslatedText(buttonText, 'symptom.analyzing');
                 } else {
                     this.elements.analyzeSymptoms.classList.remove('loading');
                     const buttonText = this.elements.analyzeSymptoms.querySelector('.button-text');
-                    if (buttonText) buttonText.textContent = 'Get Information';
+                    this.setTranslatedText(buttonText, 'symptom.submit');
                 }
             }
         }
         
-        this.updateStatus(loading ? 'Processing your request...' : 'Ready to help', loading ? 'processing' : 'ready');
+        this.updateStatus(t(loading ? 'status.processing' : 'status.ready'), loading ? 'processing' : 'ready');
     }
 
     updateStatus(text, status = 'ready') {
@@ -455,12 +1695,90 @@ class UIController {
         if (this.elements.avatarWrapper) {
             this.elements.avatarWrapper.classList.add('speaking');
         }
+        this.runSpeechSync();
     }
 
     stopAvatarAnimation() {
         if (this.elements.avatarWrapper) {
             this.elements.avatarWrapper.classList.remove('speaking');
         }
+        cancelAnimationFrame(this.speechSyncFrame);
+        this.highlightCaptionWord(null);
+        this.setMouthShape('rest');
+    }
+
+    // sync: { marks, captionElement, text } - the server's speechMarks and the element showing the spoken text
+    prepareSpeechSync({ marks = null, captionElement = null, text = '' } = {}) {
+        this.highlightCaptionWord(null);
+        this.speechSync = marks && marks.words ? { marks, spans: this.wrapCaptionWords(captionElement, text, marks.words) } : null;
+    }
+
+    // Splits the caption into one span per spoken word; skipped if the element no longer shows that text
+    wrapCaptionWords(element, text, words) {
+        if (!element || element.textContent !== text) return [];
+
+        // Offsets count from the trimmed text the engine spoke
+        const base = text.length - text.trimStart().length;
+        const fragment = document.createDocumentFragment();
+        const spans = [];
+        let position = 0;
+
+        words.forEach(word => {
+            const start = base + word.offset;
+            if (start < position) return;
+            fragment.appendChild(document.createTextNode(text.slice(position, start)));
+            const span = this.createElement('span', 'caption-word', text.substr(start, word.length));
+            fragment.appendChild(span);
+            spans.push(span);
+            position = start + word.length;
+        });
+        fragment.appendChild(document.createTextNode(text.slice(position)));
+
+        element.textContent = '';
+        element.appendChild(fragment);
+        return spans;
+    }
+
+    // Follows appState.currentAudio every frame: highlights the spoken word and sets the mouth shape
+    runSpeechSync() {
+        cancelAnimationFrame(this.speechSyncFrame);
+        const sync = this.speechSync;
+        const audio = appState.currentAudio;
+        if (!sync || !audio) return;
+
+        const tick = () => {
+            // Marks are estimates; stretch them to the clip's real length once the browser knows it
+            const scale = isFinite(audio.duration) && sync.marks.durationMs
+                ? (audio.duration * 1000) / sync.marks.durationMs
+                : 1;
+            const time = (audio.currentTime * 1000) / scale;
+
+            const wordIndex = findMarkAt(sync.marks.words, time, 'start');
+            this.highlightCaptionWord(wordIndex === -1 ? null : sync.spans[wordIndex]);
+
+            const visemeIndex = findMarkAt(sync.marks.visemes, time, 'time');
+            this.setMouthShape(visemeIndex === -1 ? 'rest' : sync.marks.visemes[visemeIndex].shape);
+
+            this.speechSyncFrame = requestAnimationFrame(tick);
+        };
+        tick();
+    }
+
+    highlightCaptionWord(span) {
+        if (this.currentCaptionWord === span) return;
+        if (this.currentCaptionWord) {
+            this.currentCaptionWord.classList.remove('speaking-word');
+        }
+        if (span) {
+            span.classList.add('speaking-word');
+        }
+        this.currentCaptionWord = span || null;
+    }
+
+    setMouthShape(shape) {
+        if (this.elements.avatarMouth && this.elements.avatarMouth.dataset.shape !== shape) {
+            this.elements.avatarMouth.dataset.shape = shape;
+        }
     }
 
     addMessageToChat(message, isUser = false, animate = true) {
@@ -482,16 +1800,222 @@ class UIController {
         return messageDiv;
     }
 
-    displaySymptomAnalysis(analysis) {
-        if (this.elements.symptomAnalysis && this.elements.symptomResults) {
-            this.elements.symptomAnalysis.textContent = analysis;
-            this.elements.symptomResults.style.display = 'block';
-            
-            // Scroll to results
-            this.elements.symptomResults.scrollIntoView({ 
-                behavior: 'smooth', 
-                block: 'nearest' 
+    updateMessageContent(messageDiv, message) {
+        const contentDiv = messageDiv?.querySelector('.message-content');
+        if (!contentDiv) return;
+
+        contentDiv.textContent = message;
+
+        // Keep following the text while it grows
+        if (this.elements.chatMessages) {
+            this.elements.chatMessages.scrollTop = this.elements.chatMessages.scrollHeight;
+        }
+    }
+
+    // Knowledge base articles the answer was grounded in, as links under the bubble
+    addMessageSources(messageDiv, citations = []) {
+        if (!messageDiv || !citations.length) return;
+
+        messageDiv.appendChild(this.createSourceList(citations));
+
+        if (this.elements.chatMessages) {
+            this.elements.chatMessages.scrollTop = this.elements.chatMessages.scrollHeight;
+        }
+    }
+
+    createSourceList(citations) {
+        const container = this.createElement('div', 'message-sources');
+        container.appendChild(this.createTranslatedElement('span', 'message-sources-title', 'sources.title'));
+
+        const list = this.createElement('ol');
+        citations.forEach(citation => {
+            const item = this.createElement('li');
+            const link = this.createElement('a', '', citation.title);
+            link.href = citation.url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            item.appendChild(link);
+
+            const details = [citation.source, citation.reviewed && t('sources.reviewed', { date: citation.reviewed })].filter(Boolean);
+            if (details.length) {
+                item.appendChild(this.createElement('span', 'message-source-details', ` - ${details.join(', ')}`));
+            }
+            list.appendChild(item);
+        });
+
+        container.appendChild(list);
+        return container;
+    }
+
+    // Thumbs up/down under an answer; only answers with a responseId can be rated
+    addMessageRating(container, responseId) {
+        if (!container || !responseId) return;
+
+        const rating = this.createElement('div', 'message-rating');
+        rating.appendChild(this.createTranslatedElement('span', 'message-rating-prompt', 'rating.prompt'));
+
+        [['up', '👍', 'rating.up'], ['down', '👎', 'rating.down']].forEach(([value, icon, labelKey]) => {
+            const button = this.createElement('button', 'icon-button small rating-button', icon);
+            button.type = 'button';
+            button.dataset.rating = value;
+            button.setAttribute('aria-label', t(labelKey));
+            button.setAttribute('aria-pressed', 'false');
+            button.addEventListener('click', () => app.rateResponse(responseId, value, rating));
+            rating.appendChild(button);
+        });
+
+        container.appendChild(rating);
+    }
+
+    markMessageRated(ratingElement, value) {
+        if (!ratingElement) return;
+
+        ratingElement.querySelectorAll('.rating-button').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.rating === value));
+        });
+        this.setTranslatedText(ratingElement.querySelector('.message-rating-prompt'), 'rating.thanks');
+    }
+
+    markMessageAsEmergency(messageDiv) {
+        if (messageDiv) {
+            messageDiv.classList.add('emergency-message');
+        }
+    }
+
+    showTriageAlert(message) {
+        if (this.elements.triageAlert && this.elements.triageAlertMessage) {
+            this.elements.triageAlertMessage.textContent = message;
+            this.elements.triageAlert.style.display = 'flex';
+            this.elements.triageAlert.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    hideTriageAlert() {
+        if (this.elements.triageAlert) {
+            this.elements.triageAlert.style.display = 'none';
+        }
+    }
+
+    setMessageStreaming(messageDiv, streaming) {
+        if (messageDiv) {
+            messageDiv.classList.toggle('streaming', streaming);
+        }
+    }
+
+    displaySymptomAnalysis(text, analysis = null, cycleDataPoints = [], citations = []) {
+        if (this.elements.symptomAnalysis && this.elements.symptomResults) {
+            this.elements.symptomAnalysis.textContent = text;
+            this.renderAnalysisDetails(analysis, cycleDataPoints);
+            if (citations.length && this.elements.analysisDetails) {
+                this.elements.analysisDetails.appendChild(this.createSourceList(citations));
+            }
+            this.elements.symptomResults.style.display = 'block';
+            
+            // Scroll to results
+            this.elements.symptomResults.scrollIntoView({ 
+                behavior: 'smooth', 
+                block: 'nearest' 
+            });
+        }
+    }
+
+    createElement(tag, className = '', text = null) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== null) element.textContent = text;
+        return element;
+    }
+
+    // Element whose text follows the language switcher (see I18n.apply)
+    createTranslatedElement(tag, className, key) {
+        const element = this.createElement(tag, className, t(key));
+        element.dataset.i18n = key;
+        return element;
+    }
+
+    setTranslatedText(element, key) {
+        if (!element) return;
+        element.dataset.i18n = key;
+        element.textContent = t(key);
+    }
+
+    setTranslatedAttribute(element, attribute, key) {
+        if (!element) return;
+        element.setAttribute(`data-i18n-${attribute}`, key);
+        element.setAttribute(attribute, t(key));
+    }
+
+    // Renders the structured analysis (conditions, urgency, tests, lifestyle steps) as cards,
+    // plus the cycle log figures the server included in the prompt
+    renderAnalysisDetails(analysis, cycleDataPoints = []) {
+        const container = this.elements.analysisDetails;
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (cycleDataPoints.length) {
+            const cycleCard = this.createElement('div', 'analysis-card cycle-data-card');
+            cycleCard.appendChild(this.createElement('h5', '', t('analysis.cycleLog')));
+            const list = this.createElement('ul');
+            cycleDataPoints.forEach(point => {
+                const label = t(`cycle.dataPoint.${point.id}`);
+                const value = point.id === 'variability' ? t(`cycle.variability.${point.value}`) : point.value;
+                list.appendChild(this.createElement('li', '', `${label}: ${value}`));
+            });
+            cycleCard.appendChild(list);
+            container.appendChild(cycleCard);
+        }
+
+        if (!analysis) return;
+
+        if (analysis.urgency) {
+            const urgency = this.createElement('div', `urgency-badge urgency-${analysis.urgency}`);
+            urgency.appendChild(this.createElement('strong', '', t('analysis.urgency')));
+            urgency.appendChild(document.createTextNode(t(`analysis.urgency.${analysis.urgency}`)));
+            container.appendChild(urgency);
+        }
+
+        if (analysis.conditions?.length) {
+            container.appendChild(this.createElement('h4', 'analysis-section-title', t('analysis.conditions')));
+            const cards = this.createElement('div', 'analysis-cards');
+
+            analysis.conditions.forEach(condition => {
+                const card = this.createElement('div', 'analysis-card condition-card');
+                const header = this.createElement('div', 'condition-header');
+                header.appendChild(this.createElement('h5', '', condition.name));
+                header.appendChild(this.createElement(
+                    'span',
+                    `likelihood-tag likelihood-${condition.likelihood.replace(/\s+/g, '-')}`,
+                    t(`analysis.likelihood.${condition.likelihood}`)
+                ));
+                card.appendChild(header);
+                if (condition.explanation) {
+                    card.appendChild(this.createElement('p', '', condition.explanation));
+                }
+                cards.appendChild(card);
+            });
+
+            container.appendChild(cards);
+        }
+
+        const lists = [
+            { title: t('analysis.tests'), items: analysis.suggestedTests },
+            { title: t('analysis.lifestyle'), items: analysis.lifestyleSteps }
+        ].filter(list => list.items?.length);
+
+        if (lists.length) {
+            const listCards = this.createElement('div', 'analysis-cards');
+
+            lists.forEach(({ title, items }) => {
+                const card = this.createElement('div', 'analysis-card');
+                card.appendChild(this.createElement('h5', '', title));
+                const list = this.createElement('ul');
+                items.forEach(item => list.appendChild(this.createElement('li', '', item)));
+                card.appendChild(list);
+                listCards.appendChild(card);
             });
+
+            container.appendChild(listCards);
         }
     }
 
@@ -531,54 +2055,63 @@ class UIController {
         }
     }
 
-    playAudio(audioData, mimeType = 'audio/wav') {
+    // source is { url } for audio cached on the server, or { data } for inline base64;
+    // mimeType is the type the server reported for the clip; sync drives captions and lip sync (prepareSpeechSync)
+    playAudio(source, mimeType = 'audio/mpeg', sync = {}) {
         return new Promise((resolve, reject) => {
             try {
-                // Convert base64 to blob
-                const binaryString = atob(audioData);
-                const bytes = new Uint8Array(binaryString.length);
-                for (let i = 0; i < binaryString.length; i++) {
-                    bytes[i] = binaryString.charCodeAt(i);
+                let audioUrl = source.url;
+                if (!audioUrl) {
+                    // Convert base64 to blob
+                    const binaryString = atob(source.data);
+                    const bytes = new Uint8Array(binaryString.length);
+                    for (let i = 0; i < binaryString.length; i++) {
+                        bytes[i] = binaryString.charCodeAt(i);
+                    }
+                    const blob = new Blob([bytes], { type: mimeType });
+                    audioUrl = URL.createObjectURL(blob);
                 }
-                const blob = new Blob([bytes], { type: mimeType });
-                const audioUrl = URL.createObjectURL(blob);
+                const releaseUrl = () => {
+                    if (!source.url) URL.revokeObjectURL(audioUrl);
+                };
                 
                 // Create and configure audio element
                 const audio = new Audio(audioUrl);
                 audio.preload = 'auto';
+                this.prepareSpeechSync(sync);
                 
                 // Set up event listeners
                 audio.addEventListener('loadstart', () => {
-                    this.updateStatus('Loading audio...', 'processing');
+                    this.updateStatus(t('audio.loading'), 'processing');
                 });
                 
                 audio.addEventListener('canplay', () => {
-                    this.updateStatus('Audio ready', 'ready');
+                    this.updateStatus(t('audio.ready'), 'ready');
                     this.showAudioControls();
                 });
                 
                 audio.addEventListener('play', () => {
                     appState.setPlaying(true);
                     this.startAvatarAnimation();
-                    this.updateStatus('Speaking...', 'speaking');
+                    this.updateStatus(t('audio.speaking'), 'speaking');
                     this.updateAudioControls(true);
                 });
                 
                 audio.addEventListener('pause', () => {
                     appState.setPlaying(false);
                     this.stopAvatarAnimation();
-                    this.updateStatus('Audio paused', 'ready');
+                    this.updateStatus(t('audio.paused'), 'ready');
                     this.updateAudioControls(false);
                 });
                 
                 audio.addEventListener('ended', () => {
                     appState.setPlaying(false);
                     this.stopAvatarAnimation();
-                    this.updateStatus('Response complete', 'ready');
+                    this.updateStatus(t('audio.complete'), 'ready');
                     this.updateAudioControls(false);
-                    URL.revokeObjectURL(audioUrl);
+                    releaseUrl();
                     setTimeout(() => {
-                        this.updateStatus('Ready to help', 'ready');
+                        this.updateStatus(t('status.ready'), 'ready');
                         this.hideAudioControls();
                     }, 3000);
                     resolve();
@@ -587,8 +2120,8 @@ class UIController {
                 audio.addEventListener('error', (e) => {
                     appState.setPlaying(false);
                     this.stopAvatarAnimation();
-                    this.updateStatus('Audio playback failed', 'error');
-                    URL.revokeObjectURL(audioUrl);
+                    this.updateStatus(t('audio.playbackFailed'), 'error');
+                    releaseUrl();
                     reject(new Error('Audio playback failed'));
                 });
                 
@@ -605,19 +2138,44 @@ class UIController {
                         })
                         .catch((error) => {
                             console.error('Audio play failed:', error);
-                            this.updateStatus('Audio play failed', 'error');
+                            this.updateStatus(t('audio.playFailed'), 'error');
                             reject(error);
                         });
                 }
                 
             } catch (error) {
                 console.error('Audio setup failed:', error);
-                this.updateStatus('Audio setup failed', 'error');
+                this.updateStatus(t('audio.setupFailed'), 'error');
                 reject(error);
             }
         });
     }
 
+    // The microphone stays hidden until the app knows server or browser recognition works here
+    setVoiceInputAvailable(available) {
+        if (this.elements.generalMicButton) {
+            this.elements.generalMicButton.style.display = available ? 'flex' : 'none';
+        }
+    }
+
+    // state: 'listening', 'transcribing' or 'idle'
+    setVoiceInputState(state) {
+        const button = this.elements.generalMicButton;
+        if (!button) return;
+
+        button.classList.toggle('recording', state === 'listening');
+        button.disabled = state === 'transcribing';
+        this.setTranslatedAttribute(button, 'aria-label', state === 'listening' ? 'chat.stopVoiceInput' : 'chat.voiceInput');
+
+        if (state === 'listening') {
+            this.updateStatus(t('status.listening'), 'processing');
+        } else if (state === 'transcribing') {
+            this.updateStatus(t('status.transcribing'), 'processing');
+        } else {
+            this.updateStatus(t('status.ready'), 'ready');
+        }
+    }
+
     showModal() {
         if (this.elements.infoModal) {
             this.elements.infoModal.style.display = 'flex';
@@ -679,7 +2237,7 @@ class UIController {
             appState.currentAudio.currentTime = 0;
             appState.setPlaying(false);
             this.stopAvatarAnimation();
-            this.updateStatus('Audio stopped', 'ready');
+            this.updateStatus(t('audio.stopped'), 'ready');
             this.hideAudioControls();
         }
     }
@@ -693,6 +2251,25 @@ class APIService {
     'http://localhost:3000' : 
     window.location.origin;
         this.timeout = 120000; // 2 minutes timeout
+        this.audioFormats = this.detectAudioFormats();
+    }
+
+    // Format ids this browser can play, best first - sent as `formats` so the server picks one of them
+    detectAudioFormats() {
+        try {
+            const probe = document.createElement('audio');
+            const playable = AUDIO_FORMAT_TYPES
+                .filter(format => probe.canPlayType(format.type) !== '')
+                .map(format => format.id);
+            return playable.length ? playable : ['mp3'];
+        } catch (error) {
+            return ['mp3'];
+        }
+    }
+
+    // Voice preferences plus playable formats, added to every request that returns speech
+    speechParams() {
+        return { ...appState.getSpeechSettings(), formats: this.audioFormats };
     }
 
     async makeRequest(endpoint, data, options = {}) {
@@ -700,15 +2277,16 @@ class APIService {
         const timeoutId = setTimeout(() => controller.abort(), this.timeout);
 
         try {
+            const { headers = {}, ...fetchOptions } = options;
             const response = await fetch(`${this.baseURL}${endpoint}`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
-                    ...options.headers
+                    ...headers
                 },
-                body: JSON.stringify(data),
+                body: data === undefined ? undefined : JSON.stringify(data),
                 signal: controller.signal,
-                ...options
+                ...fetchOptions
             });
 
             clearTimeout(timeoutId);
@@ -730,12 +2308,212 @@ class APIService {
         }
     }
 
-    async sendGeneralMessage(text) {
-        return this.makeRequest('/api/chat', { text, mode: 'general' });
+    async sendGeneralMessage(text, sessionId = null) {
+        return this.makeRequest('/api/chat', { text, mode: 'general', sessionId, locale: I18n.locale, ...this.speechParams() });
+    }
+
+    supportsStreaming() {
+        return typeof ReadableStream !== 'undefined' &&
+               typeof TextDecoder !== 'undefined' &&
+               typeof Response !== 'undefined' &&
+               'body' in Response.prototype;
+    }
+
+    // Reads the /api/chat/stream SSE response, calling handlers[event] for each event,
+    // and resolves with the same { success, data } shape as the non-streaming endpoint
+    async streamGeneralMessage(text, sessionId = null, handlers = {}) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(`${this.baseURL}/api/chat/stream`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'text/event-stream'
+                },
+                body: JSON.stringify({ text, sessionId, locale: I18n.locale, ...this.speechParams() }),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let finalData = null;
+
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const frames = buffer.split('\n\n');
+                buffer = frames.pop();
+
+                for (const frame of frames) {
+                    const event = this.parseSSEFrame(frame);
+                    if (!event) continue;
+
+                    if (event.type === 'error') {
+                        throw new Error(event.data.error || 'Streaming request failed');
+                    }
+                    if (event.type === 'done') {
+                        finalData = event.data;
+                    }
+                    if (handlers[event.type]) {
+                        handlers[event.type](event.data);
+                    }
+                }
+            }
+
+            clearTimeout(timeoutId);
+
+            if (!finalData) {
+                throw new Error('Response stream ended unexpectedly');
+            }
+
+            return { success: true, data: finalData };
+        } catch (error) {
+            clearTimeout(timeoutId);
+
+            if (error.name === 'AbortError') {
+                throw new Error('Request timed out. Please try again.');
+            }
+
+            throw error;
+        }
+    }
+
+    parseSSEFrame(frame) {
+        let type = 'message';
+        const dataLines = [];
+
+        frame.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+                type = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).trim());
+            }
+        });
+
+        if (dataLines.length === 0) return null;
+
+        try {
+            return { type, data: JSON.parse(dataLines.join('\n')) };
+        } catch (error) {
+            console.warn('Ignoring malformed SSE frame:', frame);
+            return null;
+        }
+    }
+
+    // Cycle log requests carry the anonymous user id and today's local date, which the server needs to
+    // accept a period that started today and to count days since the last one
+    userHeaders(userId) {
+        return { 'X-User-Id': userId, 'X-Client-Date': toISODate(new Date()) };
+    }
+
+    // With includeCycleData the server summarizes the cycle log stored under userId into the prompt
+    async sendSymptomCheck(symptoms, notes = '', includeCycleData = false, userId = null, sessionId = null) {
+        const headers = includeCycleData && userId ? this.userHeaders(userId) : {};
+        return this.makeRequest('/api/symptom-check', {
+            symptoms,
+            notes,
+            includeCycleData,
+            sessionId,
+            locale: I18n.locale,
+            ...this.speechParams()
+        }, { headers });
+    }
+
+    // rating is 'up' or 'down'; responseId comes with answers written during an experiment
+    async rateResponse(responseId, rating) {
+        return this.makeRequest('/api/ratings', { responseId, rating });
+    }
+
+    // Cycle log endpoints are keyed by the anonymous user id
+    async getCycles(userId) {
+        return this.makeRequest('/api/cycles', undefined, { method: 'GET', headers: this.userHeaders(userId) });
+    }
+
+    async createCycle(userId, entry) {
+        return this.makeRequest('/api/cycles', entry, { headers: this.userHeaders(userId) });
+    }
+
+    async updateCycle(userId, cycleId, entry) {
+        return this.makeRequest(`/api/cycles/${encodeURIComponent(cycleId)}`, entry, { method: 'PUT', headers: this.userHeaders(userId) });
+    }
+
+    async deleteCycle(userId, cycleId) {
+        return this.makeRequest(`/api/cycles/${encodeURIComponent(cycleId)}`, undefined, { method: 'DELETE', headers: this.userHeaders(userId) });
+    }
+
+    // Returns the printable report HTML as text (the endpoint answers with HTML, not JSON)
+    async requestVisitReport(payload, userId = null) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(`${this.baseURL}/api/report`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(payload.includeCycleData && userId ? this.userHeaders(userId) : {})
+                },
+                body: JSON.stringify({ ...payload, locale: I18n.locale }),
+                signal: controller.signal
+            });
+
+            clearTimeout(timeoutId);
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            return await response.text();
+        } catch (error) {
+            clearTimeout(timeoutId);
+
+            if (error.name === 'AbortError') {
+                throw new Error('Request timed out. Please try again.');
+            }
+
+            throw error;
+        }
+    }
+
+    async searchProviders(filters = {}, symptomIds = []) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) params.set(key, value === true ? 'true' : value);
+        });
+        if (symptomIds.length) {
+            params.set('symptoms', symptomIds.join(','));
+        }
+        params.set('locale', I18n.locale);
+        return this.makeRequest(`/api/providers?${params.toString()}`, undefined, { method: 'GET' });
+    }
+
+    // Server-cached audio is played from /api/audio/:id; base64 only arrives when the cache is off
+    audioSource(audioUrl, audioData) {
+        return audioUrl ? { url: `${this.baseURL}${audioUrl}` } : { data: audioData };
     }
 
-    async sendSymptomCheck(symptoms) {
-        return this.makeRequest('/api/symptom-check', { symptoms });
+    // Voices, limits and supported settings of the server's TTS engine for the current locale
+    async getVoices() {
+        return this.makeRequest(`/api/voices?locale=${encodeURIComponent(I18n.locale)}`, undefined, { method: 'GET' });
+    }
+
+    // wavBlob is the 16 kHz mono recording from VoiceInput
+    async transcribeAudio(wavBlob) {
+        return this.makeRequest(`/api/transcribe?locale=${encodeURIComponent(I18n.locale)}`, undefined, {
+            headers: { 'Content-Type': 'audio/wav' },
+            body: wavBlob
+        });
     }
 
     async checkHealth() {
@@ -754,18 +2532,26 @@ class SheNurturesApp {
     constructor() {
         this.ui = new UIController();
         this.api = new APIService();
+        this.voiceInput = new VoiceInput();
         this.initialize();
     }
 
     async initialize() {
         console.log('🌸 She Nurtures AI - Dual Mode initialized');
+
+        await appState.loadConversationHistory();
         
         // Check server health
         const health = await this.api.checkHealth();
         console.log('Health check:', health);
         
-        if (health.status !== 'healthy') {
-            this.ui.showToast('Server connection issue detected. Some features may not work properly.', 'error');
+        this.voiceInput.configure(Boolean(health.features && health.features.speechToText));
+        this.ui.setVoiceInputAvailable(this.voiceInput.available);
+        
+        if (health.status === 'degraded') {
+            this.ui.updateStatus(t('status.readyTextOnly'), 'ready');
+        } else if (health.status !== 'healthy') {
+            this.ui.showToast(t('toast.serverIssue'), 'error');
         }
     }
 
@@ -778,12 +2564,12 @@ class SheNurturesApp {
         try {
             // Validate input
             if (!userText || userText.trim().length === 0) {
-                this.ui.showToast('Please enter a question before submitting.', 'error');
+                this.ui.showToast(t('toast.emptyQuestion'), 'error');
                 return;
             }
 
             if (userText.length > 500) {
-                this.ui.showToast('Question too long. Please limit to 500 characters.', 'error');
+                this.ui.showToast(t('toast.questionTooLong'), 'error');
                 return;
             }
 
@@ -800,39 +2586,48 @@ class SheNurturesApp {
 
             console.log('Processing general input:', userText);
 
-            // Send request to backend
-            const response = await this.api.sendGeneralMessage(userText);
+            // Send request to backend (renders the AI bubble as the answer arrives)
+            const { response, messageDiv } = await this.requestGeneralResponse(userText);
 
-            if (!response.success) {
-                throw new Error(response.error || 'Failed to get response from server');
-            }
+            const {
+                audioData, audioUrl, mimeType, speechMarks, text, isFallback, voiceName, sessionId, responseId, triage, citations
+            } = response.data;
+            appState.setSessionId(sessionId);
 
-            const { audioData, text, isFallback, voiceName } = response.data;
+            // Red-flag triage: the server skipped the AI and sent urgent-care guidance
+            if (triage === 'emergency') {
+                this.ui.markMessageAsEmergency(messageDiv);
+                this.ui.showTriageAlert(text);
+            }
 
-            // Add AI response to chat
-            this.ui.addMessageToChat(text, false);
+            this.ui.addMessageSources(messageDiv, citations || []);
+            this.ui.addMessageRating(messageDiv, responseId);
 
             // Handle audio response
-            if (audioData && !isFallback) {
-                console.log('Playing Azure TTS audio:', voiceName);
+            if ((audioUrl || audioData) && !isFallback) {
+                console.log('Playing TTS audio:', voiceName);
                 try {
-                    await this.ui.playAudio(audioData, 'audio/wav');
-                    this.ui.showToast(`Response by ${voiceName}`, 'success');
+                    await this.ui.playAudio(this.api.audioSource(audioUrl, audioData), mimeType, {
+                        marks: speechMarks,
+                        captionElement: messageDiv?.querySelector('.message-content'),
+                        text
+                    });
+                    this.ui.showToast(t('toast.responseBy', { voice: voiceName }), 'success');
                 } catch (audioError) {
                     console.error('Audio playback error:', audioError);
-                    this.ui.showToast('Audio playback failed. Text response available.', 'error');
+                    this.ui.showToast(t('toast.audioFailedText'), 'error');
                 }
             } else if (isFallback) {
                 console.log('Using fallback response');
-                this.ui.showToast('Audio generation unavailable - text response provided', 'error');
-                this.ui.updateStatus('Response ready (text only)', 'ready');
+                this.ui.showToast(t('toast.audioUnavailableText'), 'error');
+                this.ui.updateStatus(t('status.responseTextOnly'), 'ready');
             } else {
                 console.log('No audio data provided');
-                this.ui.updateStatus('Response ready (text only)', 'ready');
+                this.ui.updateStatus(t('status.responseTextOnly'), 'ready');
             }
 
             // Add to conversation history
-            appState.addToHistory(userText, text, 'general');
+            appState.addToHistory(userText, text, 'general', { triage: triage || null, citations: citations || [] });
             appState.resetRetry();
 
             // Clear input
@@ -843,23 +2638,23 @@ class SheNurturesApp {
         } catch (error) {
             console.error('Error processing general input:', error);
 
-            let errorMessage = 'Sorry, I encountered an error processing your request.';
+            let errorMessage = t('error.generic');
             
             if (error.message.includes('timeout') || error.message.includes('timed out')) {
-                errorMessage = 'Request timed out. Please try again with a shorter question.';
+                errorMessage = t('error.timeoutShorter');
             } else if (error.message.includes('network') || error.message.includes('fetch')) {
-                errorMessage = 'Network error. Please check your connection and try again.';
+                errorMessage = t('error.network');
             } else if (error.message.includes('rate limit')) {
-                errorMessage = 'Too many requests. Please wait a moment before trying again.';
+                errorMessage = t('error.rateLimited');
             }
 
             this.ui.showToast(errorMessage, 'error');
-            this.ui.updateStatus('Error occurred', 'error');
+            this.ui.updateStatus(t('status.error'), 'error');
 
             // Offer retry option for certain errors
             if (appState.canRetry() && !error.message.includes('rate limit')) {
                 setTimeout(() => {
-                    if (confirm('Would you like to retry your question?')) {
+                    if (confirm(t('error.retryQuestion'))) {
                         appState.incrementRetry();
                         this.processGeneralInput(userText);
                         return;
@@ -875,7 +2670,88 @@ class SheNurturesApp {
         }
     }
 
-    async processSymptomCheck(symptoms) {
+    // Microphone button: a second click stops listening; the transcript is asked like a typed question
+    async handleVoiceInput() {
+        if (this.voiceInput.isActive) {
+            this.voiceInput.stop();
+            return;
+        }
+
+        if (appState.isLoading || !this.voiceInput.available) return;
+
+        this.ui.stopCurrentAudio();
+        this.ui.setVoiceInputState('listening');
+
+        try {
+            const { audio, text } = await this.voiceInput.capture(I18n.tag);
+            let transcript = text;
+
+            if (audio) {
+                this.ui.setVoiceInputState('transcribing');
+                const result = await this.api.transcribeAudio(audio);
+                transcript = result.data.text;
+            }
+
+            this.ui.setVoiceInputState('idle');
+
+            if (!transcript || !transcript.trim()) {
+                this.ui.showToast(t('toast.noSpeech'), 'error');
+                return;
+            }
+
+            await this.processGeneralInput(transcript.trim().substring(0, 500));
+        } catch (error) {
+            console.error('Voice input failed:', error);
+            this.ui.setVoiceInputState('idle');
+
+            if (error.name === 'NotAllowedError' || error.message === 'not-allowed') {
+                this.ui.showToast(t('toast.micDenied'), 'error');
+                return;
+            }
+
+            this.voiceInput.fallBackToBrowser();
+            this.ui.showToast(t('toast.transcribeFailed'), 'error');
+        }
+    }
+
+    async requestGeneralResponse(userText) {
+        if (!this.api.supportsStreaming()) {
+            const response = await this.api.sendGeneralMessage(userText, appState.sessionId);
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to get response from server');
+            }
+
+            const messageDiv = this.ui.addMessageToChat(response.data.text, false);
+            return { response, messageDiv };
+        }
+
+        // Stream tokens into an empty bubble so the UI updates while the model is still writing
+        const aiMessage = this.ui.addMessageToChat('', false);
+        this.ui.setMessageStreaming(aiMessage, true);
+        let streamedText = '';
+
+        try {
+            const response = await this.api.streamGeneralMessage(userText, appState.sessionId, {
+                meta: ({ sessionId }) => appState.setSessionId(sessionId),
+                token: ({ text }) => {
+                    streamedText += text;
+                    this.ui.updateMessageContent(aiMessage, streamedText);
+                },
+                replace: ({ text }) => this.ui.updateMessageContent(aiMessage, text)
+            });
+
+            this.ui.updateMessageContent(aiMessage, response.data.text);
+            return { response, messageDiv: aiMessage };
+        } catch (error) {
+            aiMessage?.remove();
+            throw error;
+        } finally {
+            this.ui.setMessageStreaming(aiMessage, false);
+        }
+    }
+
+    async processSymptomCheck(symptoms, notes = '', includeCycleData = false) {
         if (appState.isLoading) {
             console.log('Already processing symptom check');
             return;
@@ -884,7 +2760,7 @@ class SheNurturesApp {
         try {
             // Validate symptoms
             if (!symptoms || symptoms.length === 0) {
-                this.ui.showToast('Please select at least one symptom.', 'error');
+                this.ui.showToast(t('toast.selectSymptom'), 'error');
                 return;
             }
 
@@ -898,38 +2774,59 @@ class SheNurturesApp {
             console.log('Processing symptom check:', symptoms);
 
             // Send request to backend
-            const response = await this.api.sendSymptomCheck(symptoms);
+            const response = await this.api.sendSymptomCheck(symptoms, notes, includeCycleData, appState.userId, appState.sessionId);
 
             if (!response.success) {
                 throw new Error(response.error || 'Failed to get symptom analysis from server');
             }
 
-            const { audioData, text, isFallback, voiceName } = response.data;
+            const {
+                audioData, audioUrl, mimeType, speechMarks, text, isFallback, voiceName, analysis, triage, cycleDataPoints, citations,
+                sessionId, responseId
+            } = response.data;
+            appState.setSessionId(sessionId);
 
             // Display symptom analysis
-            this.ui.displaySymptomAnalysis(text);
+            this.ui.displaySymptomAnalysis(text, analysis, cycleDataPoints || [], citations || []);
+            this.ui.addMessageRating(this.ui.elements.analysisDetails, responseId);
+
+            if (triage === 'emergency') {
+                this.ui.showTriageAlert(text);
+            }
 
             // Handle audio response
-            if (audioData && !isFallback) {
+            if ((audioUrl || audioData) && !isFallback) {
                 console.log('Playing symptom analysis audio:', voiceName);
                 try {
-                    await this.ui.playAudio(audioData, 'audio/wav');
-                    this.ui.showToast(`Analysis by ${voiceName}`, 'success');
+                    await this.ui.playAudio(this.api.audioSource(audioUrl, audioData), mimeType, {
+                        marks: speechMarks,
+                        captionElement: this.ui.elements.symptomAnalysis,
+                        text
+                    });
+                    this.ui.showToast(t('toast.analysisBy', { voice: voiceName }), 'success');
                 } catch (audioError) {
                     console.error('Audio playback error:', audioError);
-                    this.ui.showToast('Audio playback failed. Text analysis available.', 'error');
+                    this.ui.showToast(t('toast.audioFailedAnalysis'), 'error');
                 }
             } else if (isFallback) {
                 console.log('Using fallback response for symptom analysis');
-                this.ui.showToast('Audio generation unavailable - text analysis provided', 'error');
-                this.ui.updateStatus('Analysis ready (text only)', 'ready');
+                this.ui.showToast(t('toast.audioUnavailableAnalysis'), 'error');
+                this.ui.updateStatus(t('status.analysisTextOnly'), 'ready');
             } else {
                 console.log('No audio data provided for symptom analysis');
-                this.ui.updateStatus('Analysis ready (text only)', 'ready');
+                this.ui.updateStatus(t('status.analysisTextOnly'), 'ready');
             }
 
             // Add to conversation history
-            appState.addToHistory(symptoms.join(', '), text, 'symptom');
+            appState.lastSymptomCheck = { symptoms, notes, analysis: analysis || null, includeCycleData };
+            appState.addToHistory(this.describeSymptomQuestion(symptoms, notes), text, 'symptom', {
+                symptoms,
+                notes,
+                analysis: analysis || null,
+                cycleDataPoints: cycleDataPoints || [],
+                citations: citations || [],
+                triage: triage || null
+            });
             appState.resetRetry();
 
             console.log('Symptom check completed successfully');
@@ -937,25 +2834,25 @@ class SheNurturesApp {
         } catch (error) {
             console.error('Error processing symptom check:', error);
 
-            let errorMessage = 'Sorry, I encountered an error analyzing your symptoms.';
+            let errorMessage = t('error.genericSymptoms');
             
             if (error.message.includes('timeout') || error.message.includes('timed out')) {
-                errorMessage = 'Request timed out. Please try again.';
+                errorMessage = t('error.timeout');
             } else if (error.message.includes('network') || error.message.includes('fetch')) {
-                errorMessage = 'Network error. Please check your connection and try again.';
+                errorMessage = t('error.network');
             } else if (error.message.includes('rate limit')) {
-                errorMessage = 'Too many requests. Please wait a moment before trying again.';
+                errorMessage = t('error.rateLimited');
             }
 
             this.ui.showToast(errorMessage, 'error');
-            this.ui.updateStatus('Error occurred', 'error');
+            this.ui.updateStatus(t('status.error'), 'error');
 
             // Offer retry option for certain errors
             if (appState.canRetry() && !error.message.includes('rate limit')) {
                 setTimeout(() => {
-                    if (confirm('Would you like to retry the symptom analysis?')) {
+                    if (confirm(t('error.retrySymptoms'))) {
                         appState.incrementRetry();
-                        this.processSymptomCheck(symptoms);
+                        this.processSymptomCheck(symptoms, notes, includeCycleData);
                         return;
                     }
                     appState.resetRetry();
@@ -969,6 +2866,200 @@ class SheNurturesApp {
         }
     }
 
+    async loadCycles() {
+        try {
+            const response = await this.api.getCycles(appState.userId);
+            appState.setCycleData(response.data.cycles, response.data.stats);
+            this.ui.renderCycleTracker();
+        } catch (error) {
+            console.error('Error loading cycle log:', error);
+            this.ui.showToast(t('toast.cycleLoadFailed'), 'error');
+        }
+    }
+
+    async saveCycle(entry, cycleId = null) {
+        this.ui.setCycleSaving(true);
+        
+        try {
+            const response = cycleId
+                ? await this.api.updateCycle(appState.userId, cycleId, entry)
+                : await this.api.createCycle(appState.userId, entry);
+            
+            appState.setCycleData(null, response.data.stats);
+            this.ui.resetCycleForm();
+            this.ui.showToast(t(cycleId ? 'toast.periodUpdated' : 'toast.periodLogged'), 'success');
+            await this.loadCycles();
+        } catch (error) {
+            console.error('Error saving cycle entry:', error);
+            this.ui.showToast(error.message || t('toast.periodSaveFailed'), 'error');
+        } finally {
+            this.ui.setCycleSaving(false);
+        }
+    }
+
+    async deleteCycle(cycleId) {
+        try {
+            await this.api.deleteCycle(appState.userId, cycleId);
+            if (appState.editingCycleId === cycleId) {
+                this.ui.resetCycleForm();
+            }
+            this.ui.showToast(t('toast.periodDeleted'), 'success');
+            await this.loadCycles();
+        } catch (error) {
+            console.error('Error deleting cycle entry:', error);
+            this.ui.showToast(error.message || t('toast.periodDeleteFailed'), 'error');
+        }
+    }
+
+    async rateResponse(responseId, rating, ratingElement) {
+        try {
+            await this.api.rateResponse(responseId, rating);
+            this.ui.markMessageRated(ratingElement, rating);
+        } catch (error) {
+            console.error('Error rating response:', error);
+            this.ui.showToast(t('toast.ratingFailed'), 'error');
+        }
+    }
+
+    // Readable label for a saved symptom check, e.g. "Acne (severe), Fatigue"
+    describeSymptomQuestion(symptoms, notes = '') {
+        const names = symptoms.map(symptom => {
+            const checkbox = document.querySelector(`input[name="symptom"][value="${symptom.id}"]`);
+            const name = checkbox?.closest('.symptom-option')?.querySelector('strong')?.textContent || symptom.id;
+            return symptom.severity ? `${name} (${t(`severity.${symptom.severity}`).toLowerCase()})` : name;
+        });
+        return notes ? `${names.join(', ')} - "${notes}"` : names.join(', ');
+    }
+
+    // Builds the doctor-visit report from the last symptom check and recent chat questions,
+    // then opens it in a new tab where it can be printed or saved as PDF
+    async prepareVisitReport() {
+        // Open the tab before awaiting so popup blockers treat it as user-initiated
+        const reportWindow = window.open('', '_blank');
+        const lastCheck = appState.lastSymptomCheck || {
+            symptoms: appState.getSymptomPayload(),
+            notes: '',
+            analysis: null,
+            includeCycleData: false
+        };
+        const conversation = appState.conversationHistory
+            .filter(entry => entry.type === 'general' && entry.triage !== 'emergency')
+            .slice(-5)
+            .map(({ question, response }) => ({ question, response }));
+
+        try {
+            const html = await this.api.requestVisitReport({ ...lastCheck, conversation }, appState.userId);
+            const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+
+            if (reportWindow) {
+                reportWindow.location.href = url;
+            } else {
+                // Popup blocked - download the page instead
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = `she-nurtures-appointment-${toISODate(new Date())}.html`;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+            }
+
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+            this.ui.showToast(t('toast.reportReady'), 'success');
+        } catch (error) {
+            reportWindow?.close();
+            console.error('Error preparing visit report:', error);
+            this.ui.showToast(error.message || t('toast.reportFailed'), 'error');
+        }
+    }
+
+    async searchProviders(filters) {
+        // Recommend a specialty from the last analyzed symptoms, or whatever is checked right now
+        const symptoms = appState.lastSymptomCheck?.symptoms || appState.getSymptomPayload();
+        
+        try {
+            const response = await this.api.searchProviders(filters, symptoms.map(symptom => symptom.id));
+            this.ui.renderProviderResults(response.data);
+        } catch (error) {
+            console.error('Error searching providers:', error);
+            this.ui.showToast(t('toast.providerSearchFailed'), 'error');
+        }
+    }
+
+    async loadHistory() {
+        try {
+            this.ui.renderHistory(await appState.historyStore.getAll());
+        } catch (error) {
+            console.error('Error loading history:', error);
+            this.ui.showToast(t('toast.historyLoadFailed'), 'error');
+        }
+    }
+
+    async deleteHistoryEntry(id) {
+        try {
+            await appState.historyStore.delete(id);
+            await appState.loadConversationHistory();
+            await this.loadHistory();
+        } catch (error) {
+            console.error('Error deleting history entry:', error);
+            this.ui.showToast(t('toast.historyEntryDeleteFailed'), 'error');
+        }
+    }
+
+    async clearHistory() {
+        try {
+            await appState.historyStore.clear();
+            appState.conversationHistory = [];
+            await this.loadHistory();
+            this.ui.showToast(t('toast.historyDeleted'), 'success');
+        } catch (error) {
+            console.error('Error clearing history:', error);
+            this.ui.showToast(t('toast.historyDeleteFailed'), 'error');
+        }
+    }
+
+    // Downloads every saved entry as a JSON file
+    async exportHistory() {
+        try {
+            const entries = await appState.historyStore.getAll();
+            const payload = JSON.stringify({
+                exportedAt: new Date().toISOString(),
+                entries
+            }, null, 2);
+            
+            const url = URL.createObjectURL(new Blob([payload], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `she-nurtures-history-${toISODate(new Date())}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            console.error('Error exporting history:', error);
+            this.ui.showToast(t('toast.historyExportFailed'), 'error');
+        }
+    }
+
+    async openVoiceSettings() {
+        this.ui.showVoiceModal();
+
+        try {
+            const result = await this.api.getVoices();
+            if (result.success) {
+                this.ui.renderVoiceSettings(result.data, appState.voiceSettings);
+            }
+        } catch (error) {
+            console.error('Error loading voices:', error);
+            this.ui.showToast(t('toast.voicesLoadFailed'), 'error');
+        }
+    }
+
+    saveVoiceSettings(values) {
+        appState.saveVoiceSettings(values);
+        this.ui.hideVoiceModal();
+        this.ui.showToast(t('toast.voiceSaved'), 'success');
+    }
+
     // Utility method to handle page visibility changes
     handleVisibilityChange() {
         if (document.hidden) {
@@ -1019,14 +3110,14 @@ document.addEventListener('visibilitychange', () => {
 window.addEventListener('online', () => {
     console.log('Network connection restored');
     if (app && app.ui) {
-        app.ui.showToast('Connection restored', 'success');
+        app.ui.showToast(t('toast.connectionRestored'), 'success');
     }
 });
 
 window.addEventListener('offline', () => {
     console.log('Network connection lost');
     if (app && app.ui) {
-        app.ui.showToast('Connection lost. Please check your internet connection.', 'error');
+        app.ui.showToast(t('toast.connectionLost'), 'error');
     }
 });
 
@@ -1034,7 +3125,7 @@ window.addEventListener('offline', () => {
 window.addEventListener('error', (event) => {
     console.error('Global error:', event.error);
     if (app && app.ui && !appState.isLoading) {
-        app.ui.showToast('An unexpected error occurred. Please refresh the page.', 'error');
+        app.ui.showToast(t('toast.unexpectedError'), 'error');
     }
 });
 
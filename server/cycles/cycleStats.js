@@ -0,0 +1,148 @@
+// Cycle statistics computed from logged period start/end dates
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cycle length range (longest - shortest) used to label variability
+const VARIABILITY_THRESHOLDS = {
+    regular: 7,
+    somewhatIrregular: 20
+};
+
+// "YYYY-MM-DD" -> days since the epoch (UTC), so differences are whole days regardless of DST
+const toDayNumber = (dateString) => Math.round(Date.parse(`${dateString}T00:00:00Z`) / DAY_MS);
+
+const toDateString = (dayNumber) => new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+
+const todayString = () => new Date().toISOString().slice(0, 10);
+
+// The user's calendar date: the browser's local "YYYY-MM-DD" when it is within a day of the UTC date (every
+// time zone is), otherwise the UTC date. East of UTC the local date is ahead, so "today" must come from the client.
+const resolveToday = (clientDate) => {
+    const today = todayString();
+    const valid = typeof clientDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(clientDate) &&
+        Math.abs(toDayNumber(clientDate) - toDayNumber(today)) <= 1;
+    return valid ? clientDate : today;
+};
+
+const round = (value, places = 1) => {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+};
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const standardDeviation = (values) => {
+    const mean = average(values);
+    return Math.sqrt(average(values.map(value => Math.pow(value - mean, 2))));
+};
+
+// Gaps longer than LONG_CYCLE_DAYS count as missed cycles, about one per EXPECTED_CYCLE_DAYS beyond the first
+const EXPECTED_CYCLE_DAYS = 28;
+const LONG_CYCLE_DAYS = 35;
+const RECENT_WINDOW_DAYS = 183;
+
+const countMissedCycles = (gap) => gap > LONG_CYCLE_DAYS
+    ? Math.max(1, Math.round(gap / EXPECTED_CYCLE_DAYS) - 1)
+    : 0;
+
+const describeVariability = (range) => {
+    if (range <= VARIABILITY_THRESHOLDS.regular) return 'regular';
+    if (range <= VARIABILITY_THRESHOLDS.somewhatIrregular) return 'somewhat irregular';
+    return 'irregular';
+};
+
+// cycles: [{ startDate, endDate }] in any order. Cycle lengths are the gaps between consecutive starts.
+const computeCycleStats = (cycles = [], today = todayString()) => {
+    const sorted = [...cycles].sort((a, b) => a.startDate.localeCompare(b.startDate));
+    const starts = sorted.map(cycle => toDayNumber(cycle.startDate));
+
+    const cycleLengths = starts.slice(1).map((start, index) => start - starts[index]);
+    const periodLengths = sorted
+        .filter(cycle => cycle.endDate)
+        .map(cycle => toDayNumber(cycle.endDate) - toDayNumber(cycle.startDate) + 1);
+
+    const stats = {
+        periodsLogged: sorted.length,
+        cycleLengths,
+        averageCycleLength: null,
+        shortestCycle: null,
+        longestCycle: null,
+        cycleLengthStdDev: null,
+        variability: null,
+        averagePeriodLength: periodLengths.length ? round(average(periodLengths)) : null,
+        lastPeriodStart: sorted.length ? sorted[sorted.length - 1].startDate : null,
+        daysSinceLastPeriod: null,
+        predictedNextPeriod: null
+    };
+
+    if (cycleLengths.length > 0) {
+        stats.averageCycleLength = round(average(cycleLengths));
+        stats.shortestCycle = Math.min(...cycleLengths);
+        stats.longestCycle = Math.max(...cycleLengths);
+    }
+
+    // Variability needs at least two cycles to mean anything
+    if (cycleLengths.length > 1) {
+        stats.cycleLengthStdDev = round(standardDeviation(cycleLengths));
+        stats.variability = describeVariability(stats.longestCycle - stats.shortestCycle);
+    }
+
+    if (stats.lastPeriodStart) {
+        const lastStart = starts[starts.length - 1];
+        stats.daysSinceLastPeriod = toDayNumber(today) - lastStart;
+
+        if (stats.averageCycleLength) {
+            stats.predictedNextPeriod = toDateString(lastStart + Math.round(stats.averageCycleLength));
+        }
+    }
+
+    return stats;
+};
+
+// Compact history for the symptom prompt. Returns null without any logged periods, otherwise
+// { dataPoints: [{ id, label, value }], text } listing only the figures the log can support.
+const summarizeCycleHistory = (cycles = [], today = todayString()) => {
+    if (!cycles.length) {
+        return null;
+    }
+
+    const stats = computeCycleStats(cycles, today);
+    const todayNumber = toDayNumber(today);
+    const starts = cycles.map(cycle => toDayNumber(cycle.startDate)).sort((a, b) => a - b);
+
+    // Closed gaps that ended in the window, plus the open gap since the last period
+    const recentGaps = starts.slice(1)
+        .map((start, index) => ({ end: start, length: start - starts[index] }))
+        .filter(gap => todayNumber - gap.end <= RECENT_WINDOW_DAYS)
+        .map(gap => gap.length);
+    const openGap = stats.daysSinceLastPeriod;
+    const missedCycles = [...recentGaps, openGap].reduce((total, gap) => total + countMissedCycles(gap), 0);
+    // An ongoing gap only counts once it is already longer than a typical cycle
+    const longestGap = stats.cycleLengths.length || openGap > LONG_CYCLE_DAYS
+        ? Math.max(...stats.cycleLengths, openGap)
+        : null;
+
+    const dataPoints = [
+        { id: 'periodsLogged', label: 'periods logged', value: stats.periodsLogged },
+        { id: 'averageCycleLength', label: 'average cycle length (days)', value: stats.averageCycleLength },
+        { id: 'cycleLengthRange', label: 'cycle length range (days)', value: stats.shortestCycle !== null ? `${stats.shortestCycle}-${stats.longestCycle}` : null },
+        { id: 'variability', label: 'cycle regularity', value: stats.variability },
+        { id: 'longestGap', label: 'longest gap between periods (days)', value: longestGap },
+        { id: 'missedCyclesLast6Months', label: 'missed cycles in the last 6 months', value: missedCycles },
+        { id: 'daysSinceLastPeriod', label: 'days since the last period started', value: stats.daysSinceLastPeriod },
+        { id: 'averagePeriodLength', label: 'average period length (days)', value: stats.averagePeriodLength }
+    ].filter(point => point.value !== null);
+
+    return {
+        dataPoints,
+        text: dataPoints.map(point => `${point.label}: ${point.value}`).join('; ')
+    };
+};
+
+module.exports = {
+    computeCycleStats,
+    summarizeCycleHistory,
+    toDayNumber,
+    toDateString,
+    todayString,
+    resolveToday
+};
@@ -0,0 +1,227 @@
+// File-backed period log - one JSON file per anonymous user id
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logWithTimestamp } = require('../utils');
+const { toDayNumber, todayString } = require('./cycleStats');
+
+const FLOW_LEVELS = ['spotting', 'light', 'medium', 'heavy'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const LIMITS = {
+    maxEntriesPerUser: 500,
+    maxPeriodDays: 15,
+    maxNotesLength: 200
+};
+
+// Carries an HTTP status so the routes can answer 400/404 instead of 500
+const createStoreError = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const isValidDate = (value) => {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === value;
+};
+
+class CycleStore {
+    static FLOW_LEVELS = FLOW_LEVELS;
+    static LIMITS = LIMITS;
+
+    constructor({ dataDir }) {
+        this.dataDir = dataDir;
+        // Per-user promise chains so concurrent writes to the same file don't interleave
+        this.writeQueues = new Map();
+    }
+
+    static isValidUserId(userId) {
+        return typeof userId === 'string' && /^[A-Za-z0-9_-]{8,64}$/.test(userId);
+    }
+
+    describe() {
+        return {
+            store: 'file',
+            dataDir: this.dataDir
+        };
+    }
+
+    filePath(userId) {
+        return path.join(this.dataDir, `${userId}.json`);
+    }
+
+    async readEntries(userId) {
+        try {
+            const content = await fs.promises.readFile(this.filePath(userId), 'utf8');
+            const parsed = JSON.parse(content);
+            return Array.isArray(parsed.cycles) ? parsed.cycles : [];
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    // Write to a temp file and rename so a crash never leaves a half-written log
+    async writeEntries(userId, cycles) {
+        await fs.promises.mkdir(this.dataDir, { recursive: true });
+
+        const target = this.filePath(userId);
+        const tempFile = `${target}.${process.pid}.tmp`;
+        const payload = JSON.stringify({ userId, updatedAt: new Date().toISOString(), cycles }, null, 2);
+
+        await fs.promises.writeFile(tempFile, payload, 'utf8');
+        await fs.promises.rename(tempFile, target);
+    }
+
+    withUserLock(userId, task) {
+        const previous = this.writeQueues.get(userId) || Promise.resolve();
+        const next = previous.catch(() => {}).then(task);
+
+        this.writeQueues.set(userId, next);
+        next.catch(() => {}).then(() => {
+            if (this.writeQueues.get(userId) === next) {
+                this.writeQueues.delete(userId);
+            }
+        });
+
+        return next;
+    }
+
+    // Validates a full entry (create) or a partial one (update) and returns the cleaned fields.
+    // today is the user's local date (see resolveToday), so a period logged today is not in the future.
+    validateEntry(input = {}, existing = null, today = todayString()) {
+        const entry = { ...existing };
+
+        if (!existing || input.startDate !== undefined) {
+            if (!isValidDate(input.startDate)) {
+                throw createStoreError('startDate must be a valid date in YYYY-MM-DD format.', 400);
+            }
+            entry.startDate = input.startDate;
+        }
+
+        if (input.endDate !== undefined) {
+            if (input.endDate !== null && input.endDate !== '' && !isValidDate(input.endDate)) {
+                throw createStoreError('endDate must be a valid date in YYYY-MM-DD format.', 400);
+            }
+            entry.endDate = input.endDate || null;
+        }
+
+        if (input.flow !== undefined) {
+            if (input.flow !== null && input.flow !== '' && !FLOW_LEVELS.includes(input.flow)) {
+                throw createStoreError(`flow must be one of: ${FLOW_LEVELS.join(', ')}.`, 400);
+            }
+            entry.flow = input.flow || null;
+        }
+
+        if (input.notes !== undefined) {
+            entry.notes = typeof input.notes === 'string' ? input.notes.trim().substring(0, LIMITS.maxNotesLength) : '';
+        }
+
+        if (entry.startDate > today) {
+            throw createStoreError('startDate cannot be in the future.', 400);
+        }
+
+        if (entry.endDate) {
+            const periodDays = toDayNumber(entry.endDate) - toDayNumber(entry.startDate) + 1;
+            if (periodDays < 1) {
+                throw createStoreError('endDate cannot be before startDate.', 400);
+            }
+            if (periodDays > LIMITS.maxPeriodDays) {
+                throw createStoreError(`A period entry cannot be longer than ${LIMITS.maxPeriodDays} days.`, 400);
+            }
+        }
+
+        return {
+            startDate: entry.startDate,
+            endDate: entry.endDate || null,
+            flow: entry.flow || null,
+            notes: entry.notes || ''
+        };
+    }
+
+    static sortEntries(cycles) {
+        return [...cycles].sort((a, b) => b.startDate.localeCompare(a.startDate));
+    }
+
+    // Newest first
+    async list(userId) {
+        return CycleStore.sortEntries(await this.readEntries(userId));
+    }
+
+    async create(userId, input, today = todayString()) {
+        return this.withUserLock(userId, async () => {
+            const cycles = await this.readEntries(userId);
+
+            if (cycles.length >= LIMITS.maxEntriesPerUser) {
+                throw createStoreError(`You can log up to ${LIMITS.maxEntriesPerUser} periods.`, 400);
+            }
+
+            const fields = this.validateEntry(input, null, today);
+            if (cycles.some(cycle => cycle.startDate === fields.startDate)) {
+                throw createStoreError(`A period starting on ${fields.startDate} is already logged.`, 409);
+            }
+
+            const now = new Date().toISOString();
+            const entry = {
+                id: crypto.randomUUID(),
+                ...fields,
+                createdAt: now,
+                updatedAt: now
+            };
+
+            await this.writeEntries(userId, [...cycles, entry]);
+            logWithTimestamp('Cycle entry created', { startDate: entry.startDate, totalEntries: cycles.length + 1 });
+
+            return entry;
+        });
+    }
+
+    async update(userId, cycleId, input, today = todayString()) {
+        return this.withUserLock(userId, async () => {
+            const cycles = await this.readEntries(userId);
+            const index = cycles.findIndex(cycle => cycle.id === cycleId);
+
+            if (index === -1) {
+                throw createStoreError('Cycle entry not found.', 404);
+            }
+
+            const fields = this.validateEntry(input, cycles[index], today);
+            if (cycles.some(cycle => cycle.id !== cycleId && cycle.startDate === fields.startDate)) {
+                throw createStoreError(`A period starting on ${fields.startDate} is already logged.`, 409);
+            }
+
+            const entry = {
+                id: cycleId,
+                ...fields,
+                createdAt: cycles[index].createdAt,
+                updatedAt: new Date().toISOString()
+            };
+
+            cycles[index] = entry;
+            await this.writeEntries(userId, cycles);
+
+            return entry;
+        });
+    }
+
+    async remove(userId, cycleId) {
+        return this.withUserLock(userId, async () => {
+            const cycles = await this.readEntries(userId);
+            const remaining = cycles.filter(cycle => cycle.id !== cycleId);
+
+            if (remaining.length === cycles.length) {
+                throw createStoreError('Cycle entry not found.', 404);
+            }
+
+            await this.writeEntries(userId, remaining);
+            return true;
+        });
+    }
+}
+
+module.exports = CycleStore;
@@ -0,0 +1,20 @@
+// Period log store factory
+//
+// CYCLE_DATA_DIR   where per-user JSON logs are written (default: data/cycles in the project root)
+const path = require('path');
+const CycleStore = require('./cycleStore');
+const { computeCycleStats, summarizeCycleHistory, resolveToday } = require('./cycleStats');
+
+const DEFAULT_DATA_DIR = path.resolve(__dirname, '..', '..', 'data', 'cycles');
+
+const createCycleStore = (env = process.env) => new CycleStore({
+    dataDir: env.CYCLE_DATA_DIR ? path.resolve(env.CYCLE_DATA_DIR) : DEFAULT_DATA_DIR
+});
+
+module.exports = {
+    createCycleStore,
+    computeCycleStats,
+    summarizeCycleHistory,
+    resolveToday,
+    CycleStore
+};
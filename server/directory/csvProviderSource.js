@@ -0,0 +1,92 @@
+// Provider listings from a CSV file with a header row:
+// id,name,specialties,city,postcode,address,phone,telehealth,languages,website
+// List columns (specialties, languages) are separated by semicolons.
+const fs = require('fs');
+const path = require('path');
+
+const LIST_COLUMNS = ['specialties', 'languages'];
+
+// Splits CSV text into rows of fields, honouring quoted fields with commas, newlines and "" escapes
+const parseCSV = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim()));
+};
+
+class CSVProviderSource {
+    constructor({ filePath }) {
+        this.name = 'csv';
+        this.filePath = filePath;
+    }
+
+    describe() {
+        return {
+            source: this.name,
+            file: path.basename(this.filePath)
+        };
+    }
+
+    async load() {
+        const content = await fs.promises.readFile(this.filePath, 'utf8');
+        // Spreadsheet exports often start with a byte order mark
+        const [header, ...rows] = parseCSV(content.replace(/^\uFEFF/, ''));
+
+        if (!header) {
+            return [];
+        }
+
+        const columns = header.map(column => column.trim());
+
+        return rows.map(fields => columns.reduce((provider, column, index) => {
+            const value = (fields[index] || '').trim();
+
+            if (LIST_COLUMNS.includes(column)) {
+                provider[column] = value ? value.split(';').map(item => item.trim()).filter(Boolean) : [];
+            } else if (column === 'telehealth') {
+                provider[column] = /^(true|yes|1|y)$/i.test(value);
+            } else {
+                provider[column] = value || null;
+            }
+
+            return provider;
+        }, {}));
+    }
+}
+
+module.exports = CSVProviderSource;
@@ -0,0 +1,46 @@
+// Provider directory factory - picks the listing source from environment config
+//
+// PROVIDER_SOURCE=json  (default) reads PROVIDER_DATA_FILE, or the bundled sample listings
+// PROVIDER_SOURCE=csv   reads PROVIDER_DATA_FILE (required), see csvProviderSource.js for the columns
+const path = require('path');
+const ProviderDirectory = require('./providerDirectory');
+const JSONProviderSource = require('./jsonProviderSource');
+const CSVProviderSource = require('./csvProviderSource');
+const { logWithTimestamp } = require('../utils');
+
+const PROVIDER_SOURCES = ['json', 'csv'];
+
+const BUNDLED_DATA_FILE = path.join(__dirname, 'data', 'providers.json');
+
+const createProviderDirectory = (env = process.env) => {
+    const sourceName = (env.PROVIDER_SOURCE || 'json').toLowerCase();
+    const dataFile = env.PROVIDER_DATA_FILE ? path.resolve(env.PROVIDER_DATA_FILE) : null;
+
+    switch (sourceName) {
+        case 'csv':
+            if (dataFile) {
+                return new ProviderDirectory({ source: new CSVProviderSource({ filePath: dataFile }) });
+            }
+            logWithTimestamp('PROVIDER_SOURCE=csv needs PROVIDER_DATA_FILE - using the bundled sample listings');
+            break;
+        case 'json':
+            break;
+        default:
+            logWithTimestamp(`Unknown PROVIDER_SOURCE "${sourceName}" - using the bundled sample listings`, { expected: PROVIDER_SOURCES });
+    }
+
+    const useBundled = !(sourceName === 'json' && dataFile);
+
+    return new ProviderDirectory({
+        source: new JSONProviderSource({ filePath: useBundled ? BUNDLED_DATA_FILE : dataFile }),
+        sample: useBundled
+    });
+};
+
+module.exports = {
+    PROVIDER_SOURCES,
+    createProviderDirectory,
+    ProviderDirectory,
+    JSONProviderSource,
+    CSVProviderSource
+};
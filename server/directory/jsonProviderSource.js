@@ -0,0 +1,31 @@
+// Provider listings from a JSON file: either an array or { providers: [...] }
+const fs = require('fs');
+const path = require('path');
+
+class JSONProviderSource {
+    constructor({ filePath }) {
+        this.name = 'json';
+        this.filePath = filePath;
+    }
+
+    describe() {
+        return {
+            source: this.name,
+            file: path.basename(this.filePath)
+        };
+    }
+
+    async load() {
+        const content = await fs.promises.readFile(this.filePath, 'utf8');
+        const parsed = JSON.parse(content);
+        const providers = Array.isArray(parsed) ? parsed : parsed.providers;
+
+        if (!Array.isArray(providers)) {
+            throw new Error(`${this.filePath} does not contain a providers array`);
+        }
+
+        return providers;
+    }
+}
+
+module.exports = JSONProviderSource;
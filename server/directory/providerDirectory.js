@@ -0,0 +1,152 @@
+// Provider search over a pluggable listing source, with a specialty recommendation from symptoms
+const { logWithTimestamp } = require('../utils');
+const { DEFAULT_LOCALE, getCatalog } = require('../i18n');
+
+const SPECIALTIES = ['gynecologist', 'endocrinologist'];
+
+// Which specialist usually sees each symptom first; ties go to the gynecologist
+const SYMPTOM_SPECIALTIES = {
+    irregular_periods: 'gynecologist',
+    missed_periods: 'gynecologist',
+    heavy_periods: 'gynecologist',
+    painful_periods: 'gynecologist',
+    fertility_issues: 'gynecologist',
+    weight_gain: 'endocrinologist',
+    acne: 'endocrinologist',
+    hair_growth: 'endocrinologist',
+    hair_loss: 'endocrinologist',
+    fatigue: 'endocrinologist',
+    cravings: 'endocrinologist',
+    mood_changes: 'gynecologist',
+    sleep_issues: 'endocrinologist',
+    headaches: 'gynecologist'
+};
+
+const normalizeText = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+const normalizePostcode = (value) => normalizeText(value).replace(/\s+/g, '');
+
+class ProviderDirectory {
+    static SPECIALTIES = SPECIALTIES;
+    static SYMPTOM_SPECIALTIES = SYMPTOM_SPECIALTIES;
+
+    // sample marks the bundled demo listings so the UI can say they are not real clinics
+    constructor({ source, sample = false }) {
+        this.source = source;
+        this.sample = sample;
+        this.providers = null;
+        this.loadPromise = null;
+    }
+
+    describe() {
+        return {
+            ...this.source.describe(),
+            sample: this.sample,
+            loaded: Array.isArray(this.providers),
+            providers: this.providers ? this.providers.length : null
+        };
+    }
+
+    // Loads the listing once; a failed load is retried on the next search
+    async getProviders() {
+        if (this.providers) {
+            return this.providers;
+        }
+
+        if (!this.loadPromise) {
+            this.loadPromise = this.source.load()
+                .then(rawProviders => {
+                    this.providers = rawProviders.map(provider => this.normalizeProvider(provider)).filter(Boolean);
+                    logWithTimestamp('Provider directory loaded', { ...this.source.describe(), providers: this.providers.length });
+                    return this.providers;
+                })
+                .finally(() => {
+                    this.loadPromise = null;
+                });
+        }
+
+        return this.loadPromise;
+    }
+
+    normalizeProvider(provider) {
+        if (!provider || !provider.name) {
+            return null;
+        }
+
+        const specialties = (Array.isArray(provider.specialties) ? provider.specialties : [provider.specialty])
+            .map(normalizeText)
+            .filter(Boolean);
+
+        return {
+            id: String(provider.id || provider.name),
+            name: String(provider.name),
+            specialties,
+            city: provider.city || null,
+            postcode: provider.postcode ? String(provider.postcode) : null,
+            address: provider.address || null,
+            phone: provider.phone || null,
+            telehealth: provider.telehealth === true,
+            languages: Array.isArray(provider.languages) ? provider.languages : [],
+            website: provider.website || null
+        };
+    }
+
+    // Returns { specialty, reason } for the given symptom ids, or null when none map to a specialty.
+    // The reason is written in the given locale.
+    recommendSpecialty(symptomIds = [], locale = DEFAULT_LOCALE) {
+        const counts = {};
+
+        symptomIds.forEach(id => {
+            const specialty = SYMPTOM_SPECIALTIES[id];
+            if (specialty) {
+                counts[specialty] = (counts[specialty] || 0) + 1;
+            }
+        });
+
+        const ranked = SPECIALTIES
+            .filter(specialty => counts[specialty])
+            .sort((a, b) => counts[b] - counts[a]);
+
+        if (ranked.length === 0) {
+            return null;
+        }
+
+        return {
+            specialty: ranked[0],
+            reason: getCatalog(locale).specialtyReasons[ranked[0]]
+        };
+    }
+
+    // Filters: specialty, city (exact, case-insensitive), postcode (prefix), telehealth (true = online only).
+    // Telehealth-only listings without a location still match a city/postcode search.
+    async search({ specialty = null, city = '', postcode = '', telehealth = false, limit = 10 } = {}) {
+        const providers = await this.getProviders();
+        const cityFilter = normalizeText(city);
+        const postcodeFilter = normalizePostcode(postcode);
+
+        const matches = providers.filter(provider => {
+            if (specialty && !provider.specialties.includes(specialty)) return false;
+            if (telehealth && !provider.telehealth) return false;
+
+            const isOnlineOnly = !provider.city && !provider.postcode && provider.telehealth;
+            if (cityFilter && normalizeText(provider.city) !== cityFilter && !isOnlineOnly) return false;
+            if (postcodeFilter && !normalizePostcode(provider.postcode).startsWith(postcodeFilter) && !isOnlineOnly) return false;
+
+            return true;
+        });
+
+        // In-person matches first, then online-only listings, alphabetical within each group
+        matches.sort((a, b) => {
+            const aOnline = !a.city ? 1 : 0;
+            const bOnline = !b.city ? 1 : 0;
+            return aOnline - bOnline || a.name.localeCompare(b.name);
+        });
+
+        return {
+            total: matches.length,
+            providers: matches.slice(0, limit)
+        };
+    }
+}
+
+module.exports = ProviderDirectory;
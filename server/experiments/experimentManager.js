@@ -0,0 +1,345 @@
+// A/B experiments over the prompt version, model and sampling parameters
+//
+// One experiment runs at a time, defined in a JSON file:
+// {
+//   "id": "prompt-v2-2026-10",
+//   "variants": [
+//     { "id": "control", "weight": 50 },
+//     { "id": "v2-warmer", "weight": 50, "promptVersion": 2, "model": "openai/gpt-4o-mini", "params": { "temperature": 0.5 } }
+//   ]
+// }
+// A variant only lists what it changes; a bare { "id", "weight" } keeps the server defaults (including the latest
+// prompt templates), so pin the control's promptVersion when a newer template is what is being tested. A
+// promptVersion needs general and symptom template files of that version for every locale, or the definition
+// is rejected.
+//
+// Sessions are bucketed by hashing the experiment id with the session id, so a session keeps its variant without
+// anything being stored, and a new experiment id reshuffles everyone. Per-variant results (answer paths, latency,
+// ratings) are kept per experiment id in the results file so a restart does not lose a running test.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logWithTimestamp } = require('../utils');
+const { SUPPORTED_LOCALES } = require('../i18n');
+
+// Sampling parameters a variant may override (the rest of OpenRouterService.GENERATION_PARAMS stays)
+const SAMPLING_PARAMS = ['temperature', 'top_p', 'max_tokens', 'frequency_penalty', 'presence_penalty'];
+
+// Templates a variant's promptVersion selects (see getSystemPrompt in server.js)
+const VERSIONED_TEMPLATES = ['general', 'symptom'];
+
+const ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const RATINGS = ['up', 'down'];
+
+// Latencies kept per variant for the percentiles; the mean uses every response
+const MAX_LATENCY_SAMPLES = 1000;
+
+// Answers that can still be rated, oldest dropped first
+const MAX_RATEABLE_RESPONSES = 5000;
+
+// Results are written at most this often
+const SAVE_DELAY_MS = 2000;
+
+const invalid = (message) => new Error(`Invalid experiment: ${message}`);
+
+const emptyMetrics = () => ({
+    responses: 0,
+    paths: {},
+    latencyTotalMs: 0,
+    latencySamples: [],
+    ratings: { up: 0, down: 0 }
+});
+
+const percentile = (sorted, fraction) => sorted.length
+    ? sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))]
+    : null;
+
+const ratio = (count, total) => (total ? Math.round((count / total) * 1000) / 1000 : null);
+
+class ExperimentManager {
+    static SAMPLING_PARAMS = SAMPLING_PARAMS;
+    static RATINGS = RATINGS;
+
+    // experiment is the parsed definition (see parse) or null when no experiment is running
+    constructor({ experiment = null, resultsFile }) {
+        this.experiment = experiment;
+        this.resultsFile = resultsFile;
+        // experiment id -> { startedAt, variants: { variant id -> metrics } }
+        this.results = {};
+        // responseId -> { experimentId, variantId, rating }
+        this.responses = new Map();
+        this.saveTimer = null;
+
+        if (experiment) {
+            this.ensureResults();
+        }
+    }
+
+    get enabled() {
+        return !!this.experiment;
+    }
+
+    // Validates a definition; throws naming the first problem. With promptRegistry, each promptVersion must
+    // exist as a template file.
+    static parse(config, { promptRegistry = null } = {}) {
+        if (!config || typeof config !== 'object') {
+            throw invalid('expected a JSON object');
+        }
+        if (typeof config.id !== 'string' || !ID_PATTERN.test(config.id)) {
+            throw invalid('"id" must be 1-64 letters, digits, ".", "_" or "-"');
+        }
+        if (!Array.isArray(config.variants) || config.variants.length < 2) {
+            throw invalid('"variants" needs at least two variants to compare');
+        }
+
+        const variants = config.variants.map((variant, index) => {
+            const label = `variant ${index + 1}`;
+            if (!variant || typeof variant.id !== 'string' || !ID_PATTERN.test(variant.id)) {
+                throw invalid(`${label} needs an "id" of 1-64 letters, digits, ".", "_" or "-"`);
+            }
+
+            const weight = variant.weight === undefined ? 1 : Number(variant.weight);
+            if (!isFinite(weight) || weight <= 0) {
+                throw invalid(`"${variant.id}" weight must be a positive number`);
+            }
+            if (variant.promptVersion !== undefined && !(Number.isInteger(variant.promptVersion) && variant.promptVersion > 0)) {
+                throw invalid(`"${variant.id}" promptVersion must be a positive integer`);
+            }
+            if (variant.promptVersion !== undefined && promptRegistry) {
+                const missing = VERSIONED_TEMPLATES.flatMap(name => SUPPORTED_LOCALES
+                    .filter(locale => !promptRegistry.versions(name, locale).includes(variant.promptVersion))
+                    .map(locale => `${name}.${locale}.v${variant.promptVersion}.txt`));
+                if (missing.length) {
+                    throw invalid(`"${variant.id}" promptVersion ${variant.promptVersion} has no template: ${missing.join(', ')}`);
+                }
+            }
+            if (variant.model !== undefined && (typeof variant.model !== 'string' || !variant.model.trim())) {
+                throw invalid(`"${variant.id}" model must be a non-empty string`);
+            }
+
+            const params = variant.params || {};
+            Object.entries(params).forEach(([name, value]) => {
+                if (!SAMPLING_PARAMS.includes(name)) {
+                    throw invalid(`"${variant.id}" cannot set "${name}" (allowed: ${SAMPLING_PARAMS.join(', ')})`);
+                }
+                if (typeof value !== 'number' || !isFinite(value)) {
+                    throw invalid(`"${variant.id}" ${name} must be a number`);
+                }
+            });
+
+            return {
+                id: variant.id,
+                weight,
+                promptVersion: variant.promptVersion || null,
+                model: variant.model ? variant.model.trim() : null,
+                params: { ...params }
+            };
+        });
+
+        const ids = variants.map(variant => variant.id);
+        const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+        if (duplicate) {
+            throw invalid(`variant id "${duplicate}" is used twice`);
+        }
+
+        return { id: config.id, variants };
+    }
+
+    describe() {
+        return {
+            enabled: this.enabled,
+            experiment: this.experiment ? this.experiment.id : null,
+            variants: this.experiment ? this.experiment.variants.map(variant => variant.id) : [],
+            resultsFile: this.resultsFile
+        };
+    }
+
+    // { experimentId, variantId } for response stats and logs - nulls outside an experiment
+    static describeVariant(variant) {
+        return {
+            experimentId: variant ? variant.experimentId : null,
+            variantId: variant ? variant.id : null
+        };
+    }
+
+    // The session's variant ({ experimentId, id, promptVersion, model, params }), or null when no experiment
+    // is running. The same session id always lands in the same variant.
+    assign(sessionId) {
+        if (!this.experiment || !sessionId) {
+            return null;
+        }
+
+        const { id: experimentId, variants } = this.experiment;
+        const hash = crypto.createHash('sha256').update(`${experimentId}:${sessionId}`).digest();
+        const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+        let position = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+
+        const variant = variants.find(candidate => (position -= candidate.weight) < 0) || variants[variants.length - 1];
+        return { experimentId, ...variant };
+    }
+
+    // Counts a model answer for its variant. outcome: { path, latencyMs }. Returns the responseId the client
+    // rates the answer with, or null outside an experiment.
+    record(variant, { path: responsePath, latencyMs }) {
+        if (!variant || !this.experiment || variant.experimentId !== this.experiment.id) {
+            return null;
+        }
+
+        const metrics = this.metricsFor(variant.id);
+        metrics.responses++;
+        metrics.paths[responsePath] = (metrics.paths[responsePath] || 0) + 1;
+        metrics.latencyTotalMs += latencyMs;
+        metrics.latencySamples.push(latencyMs);
+        if (metrics.latencySamples.length > MAX_LATENCY_SAMPLES) {
+            metrics.latencySamples.shift();
+        }
+
+        const responseId = crypto.randomUUID();
+        this.responses.set(responseId, { experimentId: variant.experimentId, variantId: variant.id, rating: null });
+        if (this.responses.size > MAX_RATEABLE_RESPONSES) {
+            this.responses.delete(this.responses.keys().next().value);
+        }
+
+        this.scheduleSave();
+        return responseId;
+    }
+
+    // Records the user's rating ('up' or 'down') of an answer; rating it again replaces the earlier rating.
+    // Returns { experimentId, variantId, rating }, or null when the responseId is unknown or has expired.
+    rate(responseId, rating) {
+        if (!RATINGS.includes(rating)) {
+            throw Object.assign(new Error(`rating must be one of: ${RATINGS.join(', ')}`), { status: 400 });
+        }
+
+        const response = this.responses.get(responseId);
+        if (!response) {
+            return null;
+        }
+
+        const metrics = this.metricsFor(response.variantId, response.experimentId);
+        if (response.rating) {
+            metrics.ratings[response.rating]--;
+        }
+        metrics.ratings[rating]++;
+        response.rating = rating;
+
+        this.scheduleSave();
+        return { experimentId: response.experimentId, variantId: response.variantId, rating };
+    }
+
+    // Per-variant comparison for the running experiment (or experimentId's stored results)
+    report(experimentId = this.experiment && this.experiment.id) {
+        const results = experimentId && this.results[experimentId];
+        if (!results) {
+            return null;
+        }
+
+        const definitions = this.experiment && this.experiment.id === experimentId ? this.experiment.variants : [];
+        const variantIds = [...new Set([...definitions.map(variant => variant.id), ...Object.keys(results.variants)])];
+
+        return {
+            experiment: experimentId,
+            running: definitions.length > 0,
+            startedAt: results.startedAt,
+            variants: variantIds.map(id => {
+                const definition = definitions.find(variant => variant.id === id) || null;
+                const metrics = results.variants[id] || emptyMetrics();
+                const latencies = [...metrics.latencySamples].sort((a, b) => a - b);
+                const rated = metrics.ratings.up + metrics.ratings.down;
+
+                return {
+                    id,
+                    weight: definition ? definition.weight : null,
+                    promptVersion: definition ? definition.promptVersion : null,
+                    model: definition ? definition.model : null,
+                    params: definition ? definition.params : null,
+                    responses: metrics.responses,
+                    // Answers that passed validation and the safety filter as the model first wrote them
+                    validationPassRate: ratio(metrics.paths.model || 0, metrics.responses),
+                    fallbackRate: ratio(metrics.paths.fallback || 0, metrics.responses),
+                    paths: metrics.paths,
+                    latencyMs: {
+                        mean: metrics.responses ? Math.round(metrics.latencyTotalMs / metrics.responses) : null,
+                        p50: percentile(latencies, 0.5),
+                        p95: percentile(latencies, 0.95)
+                    },
+                    ratings: {
+                        up: metrics.ratings.up,
+                        down: metrics.ratings.down,
+                        positiveRate: ratio(metrics.ratings.up, rated)
+                    }
+                };
+            })
+        };
+    }
+
+    // Experiment ids with stored results, newest first
+    listExperiments() {
+        return Object.entries(this.results)
+            .sort(([, a], [, b]) => b.startedAt.localeCompare(a.startedAt))
+            .map(([id, results]) => ({ id, startedAt: results.startedAt, running: !!this.experiment && this.experiment.id === id }));
+    }
+
+    ensureResults(experimentId = this.experiment.id) {
+        if (!this.results[experimentId]) {
+            this.results[experimentId] = { startedAt: new Date().toISOString(), variants: {} };
+        }
+        return this.results[experimentId];
+    }
+
+    metricsFor(variantId, experimentId = this.experiment.id) {
+        const results = this.ensureResults(experimentId);
+        if (!results.variants[variantId]) {
+            results.variants[variantId] = emptyMetrics();
+        }
+        return results.variants[variantId];
+    }
+
+    // Restores earlier results; a missing or unreadable file starts empty
+    async load() {
+        try {
+            const saved = JSON.parse(await fs.promises.readFile(this.resultsFile, 'utf8'));
+            if (saved && saved.experiments && typeof saved.experiments === 'object') {
+                this.results = { ...this.results, ...saved.experiments };
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logWithTimestamp('Experiment results could not be read - starting empty', { error: error.message });
+            }
+        }
+
+        if (this.experiment) {
+            this.ensureResults();
+            logWithTimestamp(`Experiment "${this.experiment.id}" running`, {
+                variants: this.experiment.variants.map(({ id, weight }) => `${id} (${weight})`)
+            });
+        }
+        return this;
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, SAVE_DELAY_MS);
+        this.saveTimer.unref();
+    }
+
+    async save() {
+        try {
+            await fs.promises.mkdir(path.dirname(this.resultsFile), { recursive: true });
+            const tempFile = `${this.resultsFile}.${process.pid}.${crypto.randomUUID()}.tmp`;
+            await fs.promises.writeFile(tempFile, JSON.stringify({
+                savedAt: new Date().toISOString(),
+                experiments: this.results
+            }), 'utf8');
+            await fs.promises.rename(tempFile, this.resultsFile);
+        } catch (error) {
+            logWithTimestamp('Experiment results could not be saved', { error: error.message });
+        }
+    }
+}
+
+module.exports = ExperimentManager;
@@ -0,0 +1,38 @@
+// Experiments factory - A/B tests of prompt versions, models and sampling parameters
+//
+// EXPERIMENTS_FILE          JSON definition of the running experiment (see experimentManager.js and
+//                           experiments.example.json); unset runs without an experiment
+// EXPERIMENTS_RESULTS_FILE  where per-variant results are kept (default: data/experiment-results.json in the project root)
+//
+// An unreadable or invalid definition (including a promptVersion the prompt registry does not have) is logged and
+// the server runs without an experiment.
+const fs = require('fs');
+const path = require('path');
+const ExperimentManager = require('./experimentManager');
+const { logWithTimestamp } = require('../utils');
+
+const DEFAULT_RESULTS_FILE = path.resolve(__dirname, '..', '..', 'data', 'experiment-results.json');
+
+const readExperiment = (file, promptRegistry) => {
+    if (!file) {
+        return null;
+    }
+
+    try {
+        return ExperimentManager.parse(JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')), { promptRegistry });
+    } catch (error) {
+        logWithTimestamp(`EXPERIMENTS_FILE "${file}" is unusable - running without an experiment`, { error: error.message });
+        return null;
+    }
+};
+
+// promptRegistry checks each variant's promptVersion against the template files
+const createExperimentManager = (promptRegistry, env = process.env) => new ExperimentManager({
+    experiment: readExperiment(env.EXPERIMENTS_FILE, promptRegistry),
+    resultsFile: env.EXPERIMENTS_RESULTS_FILE ? path.resolve(env.EXPERIMENTS_RESULTS_FILE) : DEFAULT_RESULTS_FILE
+});
+
+module.exports = {
+    createExperimentManager,
+    ExperimentManager
+};
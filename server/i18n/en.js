@@ -0,0 +1,230 @@
+// English catalog - the default locale, and the fallback for any section another catalog leaves out
+
+// ============================================================================
+// FALLBACK RESPONSES
+// ============================================================================
+
+const SYMPTOM_ANALYSIS_FALLBACK = {
+    conditions: [
+        {
+            name: 'PCOS (Polycystic Ovary Syndrome)',
+            likelihood: 'possible',
+            explanation: 'Often links irregular cycles, acne, weight gain and excess hair growth through raised androgens.'
+        },
+        {
+            name: 'Thyroid disorder',
+            likelihood: 'possible',
+            explanation: 'An under- or overactive thyroid can change cycle length, energy, weight and mood.'
+        },
+        {
+            name: 'Other hormonal imbalance',
+            likelihood: 'possible',
+            explanation: 'Stress, sleep and weight changes can shift estrogen and progesterone levels.'
+        }
+    ],
+    urgency: 'routine',
+    suggestedTests: [
+        'Hormone panel (LH, FSH, testosterone)',
+        'Thyroid function tests (TSH)',
+        'Blood sugar and insulin levels',
+        'Pelvic ultrasound'
+    ],
+    lifestyleSteps: [
+        'Track your cycles and symptoms for a few months',
+        'Aim for balanced meals with fiber and protein',
+        'Stay active with regular exercise you enjoy',
+        'Prioritize consistent sleep and stress management'
+    ]
+};
+
+// ============================================================================
+// TRIAGE MESSAGES
+// ============================================================================
+
+const EMERGENCY_CARE_MESSAGE = "What you're describing could be a medical emergency. Please don't wait: call your local emergency number (911 in the US, 112 in India and Europe) or go to the nearest emergency department now. If you can, ask someone to stay with you or take you there. This assistant can't assess emergencies, but a doctor can help you right away.";
+
+const CRISIS_SUPPORT_MESSAGE = "I'm really sorry you're feeling this way, and I'm glad you told me. You deserve support right now. If you might act on these thoughts, please call your local emergency number or go to the nearest emergency department. You can also reach a crisis line any time: call or text 988 in the US, or call Tele-MANAS on 14416 in India. Please reach out to someone you trust and let them know how you're feeling.";
+
+// ============================================================================
+// INPUT GUARD MESSAGES
+// ============================================================================
+
+const INJECTION_REFUSAL_MESSAGE = "I can only help with questions about reproductive and hormonal health, and I can't change how I work or share my instructions. Feel free to ask me about periods, PCOS, fertility, hormones or any symptoms you're noticing.";
+
+const OFF_TOPIC_REFUSAL_MESSAGE = "I'm here to help with reproductive and hormonal health, so I can't help with that one. You can ask me about periods, PCOS, thyroid health, fertility or any symptoms you'd like to understand better.";
+
+const describeDuration = (weeks) => {
+    if (weeks < 1) return 'less than a week';
+    if (weeks < 8) return `${Math.round(weeks)} week${Math.round(weeks) === 1 ? '' : 's'}`;
+    if (weeks < 52) return `about ${Math.round(weeks / 4.345)} months`;
+
+    const years = Math.round(weeks / 52);
+    return `about ${years} year${years === 1 ? '' : 's'}`;
+};
+
+module.exports = {
+    code: 'en',
+    tag: 'en-US',
+    name: 'English',
+    nativeName: 'English',
+
+    // Format rules every spoken answer is validated and repaired against
+    response: {
+        wordLimits: { min: 70, max: 100 },
+        openings: {
+            general: 'I understand',
+            symptom: 'Thank you for sharing'
+        },
+        repairOpenings: {
+            general: 'I understand your question.',
+            symptom: 'Thank you for sharing these symptoms.'
+        },
+        consultLine: 'Please consult a healthcare provider for personalized guidance.',
+        consultTerms: ['healthcare provider', 'consult']
+    },
+
+    // The system prompts and canned prose answers are templates in ../prompts/templates
+    fallbacks: {
+        analysis: SYMPTOM_ANALYSIS_FALLBACK
+    },
+
+    // Re-prompts asking the model to fix its own answer, one line per problem
+    repair: {
+        request: (problems) => `Rewrite your previous answer to fix these problems:\n- ${problems.join('\n- ')}\nKeep the same facts and answer my original question.`,
+        wrongStart: (opening) => `It must start with "${opening}".`,
+        noHealthcareRec: (consultLine) => `It must end by telling the user to consult a healthcare provider, for example: "${consultLine}"`,
+        wrongLength: (min, max, wordCount) => `It must be ${min}-${max} words long, but it was ${wordCount} words.`,
+        analysisFormat: (issues) => `Your reply did not match the required JSON format:\n- ${issues.join('\n- ')}\nReply again with ONLY the corrected JSON object.`,
+        // One line per safety filter reason (see ../safety.js)
+        safety: {
+            drug_dosage: 'Do not give specific medicine doses or how many tablets to take - leave dosing to their doctor.',
+            stop_medication: 'Never advise stopping, skipping or replacing prescribed medicine - tell them to discuss any change with their doctor.',
+            definitive_diagnosis: 'Do not diagnose - say what the symptoms may suggest instead of telling them they have a condition.',
+            off_topic: 'Only answer questions about reproductive and hormonal health.'
+        }
+    },
+
+    triage: {
+        emergency: EMERGENCY_CARE_MESSAGE,
+        crisis: CRISIS_SUPPORT_MESSAGE
+    },
+
+    // Refusals sent instead of a model answer when the input guard stops a message
+    guard: {
+        injection: INJECTION_REFUSAL_MESSAGE,
+        offTopic: OFF_TOPIC_REFUSAL_MESSAGE
+    },
+
+    // Symptom text sent to the model, also used as the display label
+    symptoms: {
+        irregular_periods: 'irregular menstrual cycles',
+        missed_periods: 'absent menstruation',
+        heavy_periods: 'heavy menstrual bleeding',
+        painful_periods: 'severe menstrual pain',
+        weight_gain: 'unexplained weight gain or difficulty losing weight',
+        acne: 'persistent acne or skin issues',
+        hair_growth: 'excess hair growth on face or body',
+        hair_loss: 'hair thinning or male-pattern baldness',
+        fatigue: 'chronic fatigue or low energy',
+        mood_changes: 'mood swings, anxiety, or depression',
+        sleep_issues: 'sleep disturbances or insomnia',
+        fertility_issues: 'difficulty conceiving or fertility concerns',
+        cravings: 'intense food cravings, especially for carbohydrates',
+        headaches: 'frequent headaches or migraines'
+    },
+
+    symptomCategories: {
+        menstrual: 'Menstrual Health',
+        physical: 'Physical Symptoms',
+        energy_mood: 'Energy & Mood',
+        other: 'Other Concerns'
+    },
+
+    symptomDetails: {
+        severity: {
+            1: 'very mild',
+            2: 'mild',
+            3: 'moderate',
+            4: 'severe',
+            5: 'very severe'
+        },
+        frequency: {
+            occasional: 'occasional',
+            frequent: 'frequent',
+            constant: 'constant'
+        },
+        duration: describeDuration
+    },
+
+    // Labels for the summarizeCycleHistory() data points, keyed by data point id
+    cycleLabels: {
+        periodsLogged: 'Periods logged',
+        averageCycleLength: 'Average cycle length (days)',
+        cycleLengthRange: 'Cycle length range (days)',
+        variability: 'Cycle regularity',
+        longestGap: 'Longest gap between periods (days)',
+        missedCyclesLast6Months: 'Missed cycles in the last 6 months',
+        daysSinceLastPeriod: 'Days since the last period started',
+        averagePeriodLength: 'Average period length (days)'
+    },
+
+    specialtyReasons: {
+        gynecologist: 'Most of the symptoms you checked relate to your periods or fertility, which a gynecologist usually assesses first.',
+        endocrinologist: 'Most of the symptoms you checked relate to hormones and metabolism, which an endocrinologist specialises in.'
+    },
+
+    report: {
+        title: 'Appointment notes',
+        heading: 'Preparing for my appointment',
+        preparedOn: (date) => `Prepared with She Nurtures on ${date}`,
+        disclaimer: 'This summary was put together from information I entered and from general educational guidance. It is not a diagnosis - please use it as a starting point for our conversation.',
+        printButton: 'Print or save as PDF',
+        symptomsHeading: 'My symptoms',
+        symptomColumns: ['Symptom', 'Severity', 'How long', 'How often'],
+        noSymptoms: 'No symptoms were selected.',
+        notesLabel: 'In my own words:',
+        cycleHeading: 'Cycle log summary',
+        analysisHeading: 'Informational analysis',
+        conditionsLabel: 'Possible explanations to discuss',
+        testsLabel: 'Tests that may be relevant',
+        lifestyleLabel: 'Self-care steps I have read about',
+        conversationHeading: 'Questions I asked recently',
+        questionsHeading: 'Questions I would like to ask',
+        appointmentNotesHeading: 'Notes from the appointment',
+        footer: 'She Nurtures provides general educational information only and is not a substitute for professional medical advice, diagnosis or treatment.',
+        urgency: {
+            routine: 'Routine - mention it at your next check-up',
+            soon: 'Soon - book an appointment in the next few weeks',
+            urgent: 'Urgent - see a doctor within the next few days'
+        },
+        likelihood: {
+            likely: 'likely',
+            possible: 'possible',
+            'less likely': 'less likely'
+        },
+        questions: {
+            opening: 'Based on my symptoms, which conditions should we look into first?',
+            condition: (name) => `Could ${name} explain my symptoms, and how would we confirm or rule it out?`,
+            test: (test) => `Do I need this test: ${test}? What would the results tell us?`,
+            cycleLog: 'I have brought my cycle log - what does my cycle pattern tell you?',
+            safetyNet: 'Which symptoms should make me come back sooner or seek urgent care?'
+        },
+        // Questions prompted by individual symptom ids
+        symptomQuestions: {
+            irregular_periods: 'Is my cycle pattern worth investigating, and how long should I keep tracking it before we decide?',
+            missed_periods: 'What could be stopping my periods, and is it safe to go this long without one?',
+            heavy_periods: 'Could my heavy bleeding be lowering my iron levels, and should they be checked?',
+            painful_periods: 'What pain relief is safe for me, and when could period pain point to something like endometriosis?',
+            weight_gain: 'Could insulin resistance be involved, and should my blood sugar or insulin be tested?',
+            acne: 'Could raised androgen levels explain my skin changes, and what treatments are available?',
+            hair_growth: 'Could raised androgen levels explain the extra hair growth, and what treatments are available?',
+            hair_loss: 'What could be causing my hair thinning, and which tests would help find out?',
+            fatigue: 'Should my thyroid, iron and vitamin D levels be checked for my tiredness?',
+            mood_changes: 'Could my hormones be affecting my mood, and what support is available?',
+            sleep_issues: 'Could my sleep problems be linked to my hormones or to something like sleep apnoea?',
+            fertility_issues: 'If I want to get pregnant, what should I do now, and when should I see a fertility specialist?',
+            cravings: 'Could my cravings be related to blood sugar or insulin resistance?',
+            headaches: 'Could my headaches be linked to my cycle, and which treatments are safe for me?'
+        }
+    }
+};
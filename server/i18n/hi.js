@@ -0,0 +1,226 @@
+// Hindi catalog - everything shown to the user is in Hindi. The matching prompt templates
+// (../prompts/templates/*.hi.v*.txt) keep their instructions in English, which models follow more reliably.
+
+// ============================================================================
+// FALLBACK RESPONSES
+// ============================================================================
+
+const SYMPTOM_ANALYSIS_FALLBACK = {
+    conditions: [
+        {
+            name: 'PCOS (पॉलीसिस्टिक ओवरी सिंड्रोम)',
+            likelihood: 'possible',
+            explanation: 'बढ़े हुए androgen हार्मोन से अक्सर अनियमित पीरियड्स, मुँहासे, वज़न बढ़ना और ज़्यादा बाल एक साथ दिखते हैं।'
+        },
+        {
+            name: 'Thyroid की समस्या',
+            likelihood: 'possible',
+            explanation: 'Thyroid के कम या ज़्यादा सक्रिय होने से मासिक चक्र, ऊर्जा, वज़न और मूड बदल सकते हैं।'
+        },
+        {
+            name: 'अन्य हार्मोनल असंतुलन',
+            likelihood: 'possible',
+            explanation: 'तनाव, नींद और वज़न में बदलाव से estrogen और progesterone का स्तर बदल सकता है।'
+        }
+    ],
+    urgency: 'routine',
+    suggestedTests: [
+        'हार्मोन जाँच (LH, FSH, testosterone)',
+        'Thyroid जाँच (TSH)',
+        'ब्लड शुगर और insulin का स्तर',
+        'पेल्विक अल्ट्रासाउंड'
+    ],
+    lifestyleSteps: [
+        'कुछ महीनों तक अपने मासिक चक्र और लक्षणों को दर्ज करें',
+        'फाइबर और प्रोटीन वाला संतुलित भोजन लें',
+        'अपनी पसंद का नियमित व्यायाम करें',
+        'नियमित नींद और तनाव कम करने पर ध्यान दें'
+    ]
+};
+
+// ============================================================================
+// TRIAGE MESSAGES
+// ============================================================================
+
+const EMERGENCY_CARE_MESSAGE = 'आप जो बता रही हैं वह एक मेडिकल इमरजेंसी हो सकती है। कृपया इंतज़ार न करें: अभी अपने स्थानीय आपातकालीन नंबर पर कॉल करें (भारत में 112, अमेरिका में 911) या सबसे नज़दीकी इमरजेंसी विभाग में जाएँ। हो सके तो किसी से कहें कि वे आपके साथ रहें या आपको वहाँ ले जाएँ। यह सहायक इमरजेंसी का आकलन नहीं कर सकता, लेकिन डॉक्टर तुरंत आपकी मदद कर सकते हैं।';
+
+const CRISIS_SUPPORT_MESSAGE = 'मुझे सच में दुख है कि आप ऐसा महसूस कर रही हैं, और मुझे खुशी है कि आपने मुझे बताया। आपको इस समय सहारा मिलना चाहिए। अगर आपको लगता है कि आप इन विचारों पर अमल कर सकती हैं, तो कृपया अपने स्थानीय आपातकालीन नंबर (भारत में 112) पर कॉल करें या सबसे नज़दीकी इमरजेंसी विभाग में जाएँ। आप किसी भी समय Tele-MANAS हेल्पलाइन 14416 पर कॉल कर सकती हैं, या अमेरिका में 988 पर कॉल या मैसेज कर सकती हैं। कृपया किसी भरोसेमंद व्यक्ति से बात करें और उन्हें बताएँ कि आप कैसा महसूस कर रही हैं।';
+
+// ============================================================================
+// INPUT GUARD MESSAGES
+// ============================================================================
+
+const INJECTION_REFUSAL_MESSAGE = 'मैं केवल प्रजनन और हार्मोन से जुड़े स्वास्थ्य सवालों में मदद कर सकती हूँ, और मैं अपने काम करने का तरीका नहीं बदल सकती या अपने निर्देश साझा नहीं कर सकती। आप मुझसे पीरियड्स, पीसीओएस, प्रजनन क्षमता, हार्मोन या अपने किसी भी लक्षण के बारे में पूछ सकती हैं।';
+
+const OFF_TOPIC_REFUSAL_MESSAGE = 'मैं प्रजनन और हार्मोन से जुड़े स्वास्थ्य में मदद के लिए हूँ, इसलिए इस सवाल में मदद नहीं कर सकती। आप मुझसे पीरियड्स, पीसीओएस, थायराइड, प्रजनन क्षमता या किसी भी लक्षण के बारे में पूछ सकती हैं।';
+
+const describeDuration = (weeks) => {
+    if (weeks < 1) return 'एक हफ़्ते से कम';
+    if (weeks < 8) return `${Math.round(weeks)} हफ़्ते`;
+    if (weeks < 52) return `लगभग ${Math.round(weeks / 4.345)} महीने`;
+
+    return `लगभग ${Math.round(weeks / 52)} साल`;
+};
+
+module.exports = {
+    code: 'hi',
+    tag: 'hi-IN',
+    name: 'Hindi',
+    nativeName: 'हिन्दी',
+
+    // Hindi needs more words than English for the same content (postpositions are separate words)
+    response: {
+        wordLimits: { min: 80, max: 130 },
+        openings: {
+            general: 'मैं समझती हूँ',
+            symptom: 'साझा करने के लिए धन्यवाद'
+        },
+        repairOpenings: {
+            general: 'मैं समझती हूँ, यह एक अच्छा सवाल है।',
+            symptom: 'साझा करने के लिए धन्यवाद, इन लक्षणों के बारे में बताना एक अच्छा कदम है।'
+        },
+        consultLine: 'व्यक्तिगत सलाह के लिए कृपया डॉक्टर से परामर्श करें।',
+        consultTerms: ['डॉक्टर', 'चिकित्सक', 'परामर्श', 'doctor', 'healthcare provider']
+    },
+
+    // The system prompts and canned prose answers are templates in ../prompts/templates
+    fallbacks: {
+        analysis: SYMPTOM_ANALYSIS_FALLBACK
+    },
+
+    // Re-prompts are in Hindi so the rewritten answer stays in Hindi
+    repair: {
+        request: (problems) => `अपने पिछले जवाब को हिंदी में दोबारा लिखें और इन समस्याओं को ठीक करें:\n- ${problems.join('\n- ')}\nवही तथ्य रखें और मेरे मूल सवाल का जवाब दें।`,
+        wrongStart: (opening) => `जवाब "${opening}" से शुरू होना चाहिए।`,
+        noHealthcareRec: (consultLine) => `जवाब के अंत में डॉक्टर से परामर्श करने की सलाह होनी चाहिए, जैसे: "${consultLine}"`,
+        wrongLength: (min, max, wordCount) => `जवाब ${min}-${max} शब्दों का होना चाहिए, लेकिन यह ${wordCount} शब्दों का था।`,
+        analysisFormat: (issues) => `आपका जवाब ज़रूरी JSON फ़ॉर्मेट में नहीं था:\n- ${issues.join('\n- ')}\nअब केवल सुधारा हुआ JSON ऑब्जेक्ट भेजें।`,
+        safety: {
+            drug_dosage: 'दवा की खुराक या कितनी गोलियाँ लेनी हैं, यह न बताएँ - खुराक उनके डॉक्टर पर छोड़ दें।',
+            stop_medication: 'डॉक्टर की लिखी दवा बंद करने, छोड़ने या बदलने की सलाह कभी न दें - कहें कि कोई भी बदलाव डॉक्टर से बात करके ही करें।',
+            definitive_diagnosis: 'निदान न करें - यह कहने के बजाय कि उन्हें कोई बीमारी है, बताएँ कि लक्षण किस ओर इशारा कर सकते हैं।',
+            off_topic: 'केवल प्रजनन और हार्मोनल स्वास्थ्य से जुड़े सवालों का जवाब दें।'
+        }
+    },
+
+    triage: {
+        emergency: EMERGENCY_CARE_MESSAGE,
+        crisis: CRISIS_SUPPORT_MESSAGE
+    },
+
+    // Refusals sent instead of a model answer when the input guard stops a message
+    guard: {
+        injection: INJECTION_REFUSAL_MESSAGE,
+        offTopic: OFF_TOPIC_REFUSAL_MESSAGE
+    },
+
+    symptoms: {
+        irregular_periods: 'अनियमित मासिक चक्र',
+        missed_periods: 'पीरियड्स न आना',
+        heavy_periods: 'ज़्यादा रक्तस्राव',
+        painful_periods: 'पीरियड्स में तेज़ दर्द',
+        weight_gain: 'बिना कारण वज़न बढ़ना या वज़न कम करने में कठिनाई',
+        acne: 'लगातार मुँहासे या त्वचा की समस्याएँ',
+        hair_growth: 'चेहरे या शरीर पर ज़्यादा बाल',
+        hair_loss: 'बाल पतले होना या झड़ना',
+        fatigue: 'लगातार थकान या कम ऊर्जा',
+        mood_changes: 'मूड में बदलाव, चिंता या अवसाद',
+        sleep_issues: 'नींद में परेशानी या अनिद्रा',
+        fertility_issues: 'गर्भधारण में कठिनाई या प्रजनन संबंधी चिंता',
+        cravings: 'खाने की तेज़ इच्छा, खासकर कार्बोहाइड्रेट की',
+        headaches: 'बार-बार सिरदर्द या माइग्रेन'
+    },
+
+    symptomCategories: {
+        menstrual: 'मासिक धर्म स्वास्थ्य',
+        physical: 'शारीरिक लक्षण',
+        energy_mood: 'ऊर्जा और मूड',
+        other: 'अन्य चिंताएँ'
+    },
+
+    symptomDetails: {
+        severity: {
+            1: 'बहुत हल्का',
+            2: 'हल्का',
+            3: 'मध्यम',
+            4: 'तेज़',
+            5: 'बहुत तेज़'
+        },
+        frequency: {
+            occasional: 'कभी-कभी',
+            frequent: 'अक्सर',
+            constant: 'हर समय'
+        },
+        duration: describeDuration
+    },
+
+    cycleLabels: {
+        periodsLogged: 'दर्ज किए गए पीरियड्स',
+        averageCycleLength: 'औसत चक्र अवधि (दिन)',
+        cycleLengthRange: 'चक्र अवधि की सीमा (दिन)',
+        variability: 'चक्र की नियमितता',
+        longestGap: 'पीरियड्स के बीच सबसे लंबा अंतर (दिन)',
+        missedCyclesLast6Months: 'पिछले 6 महीनों में छूटे चक्र',
+        daysSinceLastPeriod: 'पिछला पीरियड शुरू हुए दिन',
+        averagePeriodLength: 'पीरियड की औसत अवधि (दिन)'
+    },
+
+    specialtyReasons: {
+        gynecologist: 'आपके चुने गए ज़्यादातर लक्षण पीरियड्स या प्रजनन से जुड़े हैं, जिनकी जाँच आम तौर पर पहले स्त्री रोग विशेषज्ञ (gynecologist) करती हैं।',
+        endocrinologist: 'आपके चुने गए ज़्यादातर लक्षण हार्मोन और मेटाबॉलिज़्म से जुड़े हैं, जो एंडोक्रिनोलॉजिस्ट (endocrinologist) का विषय है।'
+    },
+
+    report: {
+        title: 'अपॉइंटमेंट नोट्स',
+        heading: 'मेरे अपॉइंटमेंट की तैयारी',
+        preparedOn: (date) => `She Nurtures के साथ ${date} को तैयार किया गया`,
+        disclaimer: 'यह सारांश मेरी दी गई जानकारी और सामान्य शैक्षिक मार्गदर्शन से बनाया गया है। यह निदान नहीं है - कृपया इसे हमारी बातचीत की शुरुआत के रूप में इस्तेमाल करें।',
+        printButton: 'प्रिंट करें या PDF के रूप में सहेजें',
+        symptomsHeading: 'मेरे लक्षण',
+        symptomColumns: ['लक्षण', 'गंभीरता', 'कब से', 'कितनी बार'],
+        noSymptoms: 'कोई लक्षण नहीं चुना गया।',
+        notesLabel: 'मेरे अपने शब्दों में:',
+        cycleHeading: 'मासिक चक्र लॉग का सारांश',
+        analysisHeading: 'जानकारी के लिए विश्लेषण',
+        conditionsLabel: 'चर्चा के लिए संभावित कारण',
+        testsLabel: 'जाँचें जो उपयोगी हो सकती हैं',
+        lifestyleLabel: 'देखभाल के कदम जिनके बारे में मैंने पढ़ा है',
+        conversationHeading: 'हाल में पूछे गए मेरे सवाल',
+        questionsHeading: 'सवाल जो मैं पूछना चाहती हूँ',
+        appointmentNotesHeading: 'अपॉइंटमेंट के नोट्स',
+        footer: 'She Nurtures केवल सामान्य शैक्षिक जानकारी देता है। यह पेशेवर चिकित्सा सलाह, निदान या इलाज का विकल्प नहीं है।',
+        urgency: {
+            routine: 'सामान्य - अगली जाँच में इसका ज़िक्र करें',
+            soon: 'जल्द - अगले कुछ हफ़्तों में अपॉइंटमेंट लें',
+            urgent: 'तुरंत - अगले कुछ दिनों में डॉक्टर से मिलें'
+        },
+        likelihood: {
+            likely: 'संभावित',
+            possible: 'हो सकता है',
+            'less likely': 'कम संभावना'
+        },
+        questions: {
+            opening: 'मेरे लक्षणों के आधार पर हमें पहले किन स्थितियों की जाँच करनी चाहिए?',
+            condition: (name) => `क्या ${name} मेरे लक्षणों का कारण हो सकता है, और हम इसकी पुष्टि या खंडन कैसे करेंगे?`,
+            test: (test) => `क्या मुझे यह जाँच करानी चाहिए: ${test}? इसके नतीजों से क्या पता चलेगा?`,
+            cycleLog: 'मैं अपना मासिक चक्र लॉग लाई हूँ - मेरे चक्र का पैटर्न क्या बताता है?',
+            safetyNet: 'किन लक्षणों के होने पर मुझे जल्दी वापस आना चाहिए या तुरंत इलाज लेना चाहिए?'
+        },
+        symptomQuestions: {
+            irregular_periods: 'क्या मेरे मासिक चक्र के पैटर्न की जाँच होनी चाहिए, और कोई फ़ैसला लेने से पहले मुझे इसे कितने समय तक दर्ज करना चाहिए?',
+            missed_periods: 'मेरे पीरियड्स रुकने की क्या वजह हो सकती है, और क्या इतने समय तक पीरियड न आना सुरक्षित है?',
+            heavy_periods: 'क्या ज़्यादा रक्तस्राव से मेरे शरीर में आयरन कम हो रहा है, और क्या इसकी जाँच होनी चाहिए?',
+            painful_periods: 'मेरे लिए कौन सी दर्द की दवा सुरक्षित है, और पीरियड का दर्द कब एंडोमेट्रियोसिस जैसी समस्या का संकेत हो सकता है?',
+            weight_gain: 'क्या इसमें insulin resistance की भूमिका है, और क्या मेरे ब्लड शुगर या insulin की जाँच होनी चाहिए?',
+            acne: 'क्या बढ़े हुए androgen हार्मोन मेरी त्वचा में बदलाव का कारण हैं, और इसके कौन से इलाज उपलब्ध हैं?',
+            hair_growth: 'क्या बढ़े हुए androgen हार्मोन ज़्यादा बालों का कारण हैं, और इसके कौन से इलाज उपलब्ध हैं?',
+            hair_loss: 'मेरे बाल पतले होने की क्या वजह हो सकती है, और कौन सी जाँचें इसका पता लगाने में मदद करेंगी?',
+            fatigue: 'क्या मेरी थकान के लिए thyroid, आयरन और विटामिन D की जाँच होनी चाहिए?',
+            mood_changes: 'क्या मेरे हार्मोन मेरे मूड पर असर डाल रहे हैं, और किस तरह की मदद उपलब्ध है?',
+            sleep_issues: 'क्या मेरी नींद की समस्या हार्मोन से या स्लीप एपनिया जैसी किसी चीज़ से जुड़ी हो सकती है?',
+            fertility_issues: 'अगर मैं गर्भधारण करना चाहती हूँ तो मुझे अभी क्या करना चाहिए, और फ़र्टिलिटी विशेषज्ञ से कब मिलना चाहिए?',
+            cravings: 'क्या खाने की मेरी तेज़ इच्छा ब्लड शुगर या insulin resistance से जुड़ी हो सकती है?',
+            headaches: 'क्या मेरा सिरदर्द मेरे मासिक चक्र से जुड़ा हो सकता है, और मेरे लिए कौन से इलाज सुरक्षित हैं?'
+        }
+    }
+};
@@ -0,0 +1,38 @@
+// Locale catalogs - validation rules, fallbacks and user-facing strings per language (the system prompts are
+// versioned templates in ../prompts)
+//
+// Every endpoint takes an optional `locale` (body or query). Region tags such as "hi-IN" map to their
+// language, and anything unsupported falls back to DEFAULT_LOCALE.
+const en = require('./en');
+const hi = require('./hi');
+
+const DEFAULT_LOCALE = 'en';
+
+// Sections a catalog leaves out fall back to English
+const CATALOGS = {
+    en,
+    hi: { ...en, ...hi }
+};
+
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+const resolveLocale = (value) => {
+    const language = typeof value === 'string' ? value.trim().toLowerCase().split(/[-_]/)[0] : '';
+    return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+};
+
+const getCatalog = (locale) => CATALOGS[resolveLocale(locale)];
+
+// { code, tag, name, nativeName } for each supported locale, e.g. for a language picker
+const describeLocales = () => SUPPORTED_LOCALES.map(code => {
+    const { tag, name, nativeName } = CATALOGS[code];
+    return { code, tag, name, nativeName };
+});
+
+module.exports = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    resolveLocale,
+    getCatalog,
+    describeLocales
+};
@@ -0,0 +1,99 @@
+// Rule-based input guard for the chat - runs before the LLM so jailbreaks and unrelated requests get a
+// scoped refusal without spending a model call
+const { logWithTimestamp } = require('./utils');
+const { DEFAULT_LOCALE, getCatalog } = require('./i18n');
+
+// Attempts to override the system prompt, change the assistant's role or extract its instructions.
+// Any one pattern is enough.
+const INJECTION_RULES = [
+    {
+        id: 'override_instructions',
+        patterns: [
+            /\b(ignore|disregard|forget|override|bypass)\s+(all\s+|any\s+)?(of\s+)?(the\s+|your\s+|these\s+)?((previous|prior|above|earlier|preceding|original|system)\s+)?(instructions?|prompts?|rules|guidelines|restrictions)\b/i,
+            /\b(ignore|disregard|forget)\s+(everything|all)\s+(above|before|previous\w*|you were told)\b/i,
+            /\b(new|updated|real) (system )?instructions?\s*:/i,
+            /(पिछले|पहले के|सारे|सभी)\s+(निर्देशों?|नियमों?)\s*(को)?\s*(अनदेखा|भूल|नज़रअंदाज़|नजरअंदाज)/
+        ]
+    },
+    {
+        id: 'role_change',
+        patterns: [
+            /\b(you are|you're) (now|no longer)\b/i,
+            // Only as an instruction at the start of a sentence, so "my moods act like a rollercoaster" is a question
+            /(^|[.!?]\s+|\bnow,?\s+)(please\s+)?(pretend|act|behave|roleplay|role-play) (to be|as if|like|as)\b(?!.{0,20}\b(doctor|nurse|patient)\b)/i,
+            /\b(DAN|do anything now|developer mode|jailbreak\w*|god mode|unfiltered mode|no restrictions)\b/i
+        ]
+    },
+    {
+        id: 'prompt_extraction',
+        patterns: [
+            /\b(reveal|show|print|repeat|display|output|tell me|give me)\b.{0,30}\b(system prompt|your (initial |original |hidden )?(prompt|instructions|rules|guidelines)|the prompt above)\b/i,
+            // A question only counts when it asks for the prompt itself - "what are your rules about privacy" is fine
+            /\bwhat (is|are|was|were) (your|the) (system prompt|(initial |original |hidden )?(prompt|instructions))\b/i
+        ]
+    },
+    {
+        id: 'markup_injection',
+        patterns: [
+            /<\|?(im_start|im_end|system|endoftext)\|?>|\[\/?(INST|SYS)\]|^\s*#{2,}\s*(system|instruction)|^\s*(system|assistant)\s*:/im
+        ]
+    }
+];
+
+// Clearly unrelated requests; only refused when the message has no health vocabulary at all, so
+// "can stress at work change my cycle?" or "a recipe for PCOS" still reach the model
+const OFF_TOPIC_RULES = [
+    { id: 'coding', pattern: /\b(code|coding|program(ming)?|python|javascript|java|sql|html|css|debug|function|algorithm|compile)\b/i },
+    // Sums need an "=" - a bare "21-35" or "2-3" is a range in a health question
+    { id: 'homework', pattern: /\b(solve|equation|integral|derivative|essay|homework|assignment|translate)\b|\d+\s*[-+*/x×÷]\s*\d+\s*=/i },
+    { id: 'entertainment', pattern: /\b(joke|poem|story|song|lyrics|riddle|movie|film|tv show|series|game|celebrity)s?\b/i },
+    { id: 'news_and_politics', pattern: /\b(politic\w*|election|president|prime minister|government|news|war)\b/i },
+    { id: 'finance', pattern: /\b(stock|stocks|crypto\w*|bitcoin|invest\w*|loan|tax|taxes|shares)\b/i },
+    { id: 'travel_and_weather', pattern: /\b(weather|forecast|flight|hotel|travel|visa|directions to)\b/i },
+    { id: 'sports', pattern: /\b(cricket|football|soccer|basketball|tennis|ipl|match score|world cup)\b/i },
+    { id: 'hindi_unrelated', pattern: /(मौसम|चुटकुला|कविता|कहानी|गाना|फिल्म|क्रिकेट|राजनीति|चुनाव|शेयर बाज़ार|कोड लिख)/ }
+];
+
+// Words that make a message on-topic even when an off-topic rule matched
+const HEALTH_TERMS = /\b(health\w*|periods?|menstru\w*|cycles?|hormon\w*|pcos|pcod|ovar\w*|ovulat\w*|uter\w*|womb|vagina\w*|pregnan\w*|fertil\w*|conceiv\w*|thyroid|symptoms?|doctors?|gyn(a)?ecolog\w*|endometri\w*|pelvi\w*|bleed\w*|blood|pain\w*|cramp\w*|acne|hair|weight|insulin|diet|nutrition|food|eat\w*|exercise|sleep|stress\w*|mood|anxi\w*|depress\w*|medic\w*|drugs?|pills?|tablets?|doses?|dosage|ibuprofen|paracetamol|acetaminophen|painkillers?|supplements?|vitamins?|tests?|body|sex\w*|contracept\w*|birth control|menopaus\w*|puberty|breast\w*|discharge|tired\w*|fatigue)\b|(स्वास्थ्य|सेहत|पीरियड|माहवारी|मासिक|हार्मोन|पीसीओ|अंडाशय|गर्भ|डॉक्टर|लक्षण|थायराइड|दर्द|वजन|वज़न|तनाव|नींद|खून|इलाज|दवा|शरीर)/i;
+
+class InputGuard {
+    static INJECTION_RULES = INJECTION_RULES;
+    static OFF_TOPIC_RULES = OFF_TOPIC_RULES;
+
+    // Returns null when the message may go to the model, otherwise the refusal to send instead
+    // ({ guard: 'injection' | 'off_topic', rule, messageKey, text } - text in the default locale,
+    // use messageFor() for another one)
+    static assess(text) {
+        if (typeof text !== 'string' || !text.trim()) {
+            return null;
+        }
+
+        const injection = INJECTION_RULES.find(rule => rule.patterns.some(pattern => pattern.test(text)));
+        const offTopic = injection || HEALTH_TERMS.test(text)
+            ? null
+            : OFF_TOPIC_RULES.find(rule => rule.pattern.test(text));
+
+        if (!injection && !offTopic) {
+            return null;
+        }
+
+        const result = injection
+            ? { guard: 'injection', rule: injection.id, messageKey: 'injection' }
+            : { guard: 'off_topic', rule: offTopic.id, messageKey: 'offTopic' };
+
+        logWithTimestamp('Input guard refused the message - bypassing LLM', {
+            guard: result.guard,
+            rule: result.rule,
+            preview: text.substring(0, 50)
+        });
+
+        return { ...result, text: this.messageFor(result, DEFAULT_LOCALE) };
+    }
+
+    static messageFor(result, locale) {
+        return getCatalog(locale).guard[result.messageKey];
+    }
+}
+
+module.exports = InputGuard;
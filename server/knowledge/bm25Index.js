@@ -0,0 +1,95 @@
+// Okapi BM25 ranking over short passages, small enough to keep in memory and store as JSON
+//
+// Terms are lowercased letters and digits in any script (so Devanagari keywords match too), with common
+// English stop words dropped and a light suffix strip so "periods" finds "period" and "treat" finds "treatment".
+
+const PARAMS = {
+    k1: 1.2,
+    b: 0.75
+};
+
+const STOP_WORDS = new Set([
+    'a', 'about', 'all', 'am', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'do', 'does',
+    'feel', 'for', 'from', 'get', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my',
+    'of', 'on', 'or', 'should', 'so', 'than', 'that', 'the', 'their', 'them', 'there', 'these', 'they', 'this',
+    'time', 'to', 'up', 'very', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with',
+    'you', 'your'
+]);
+
+// Only the first matching suffix is stripped, keeping at least three letters
+const SUFFIXES = ['ies', 'ness', 'ment', 'ing', 's'];
+
+const stem = (term) => {
+    const suffix = SUFFIXES.find(ending => term.endsWith(ending) && term.length - ending.length >= 3);
+    if (!suffix || (suffix === 's' && /(ss|us|is)$/.test(term))) return term;
+    return suffix === 'ies' ? `${term.slice(0, -3)}y` : term.slice(0, -suffix.length);
+};
+
+const tokenize = (text) => String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(term => term && !STOP_WORDS.has(term))
+    .map(stem);
+
+class BM25Index {
+    // postings: term -> [[docIndex, termFrequency], ...]; lengths: terms per document
+    constructor({ postings = {}, lengths = [] } = {}) {
+        this.postings = postings;
+        this.lengths = lengths;
+        this.averageLength = lengths.length ? lengths.reduce((sum, length) => sum + length, 0) / lengths.length : 0;
+    }
+
+    static tokenize(text) {
+        return tokenize(text);
+    }
+
+    // texts[i] is the searchable text of document i
+    static build(texts) {
+        const postings = {};
+        const lengths = texts.map((text, docIndex) => {
+            const terms = tokenize(text);
+            const counts = new Map();
+            terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+            counts.forEach((count, term) => {
+                (postings[term] = postings[term] || []).push([docIndex, count]);
+            });
+            return terms.length;
+        });
+
+        return new BM25Index({ postings, lengths });
+    }
+
+    static fromJSON(data) {
+        return new BM25Index(data);
+    }
+
+    toJSON() {
+        return { postings: this.postings, lengths: this.lengths };
+    }
+
+    // [{ index, score }] best first, only documents sharing at least one term with the query
+    search(query, limit = 3) {
+        const { k1, b } = PARAMS;
+        const documentCount = this.lengths.length;
+        const scores = new Map();
+
+        for (const term of new Set(tokenize(query))) {
+            const postings = this.postings[term];
+            if (!postings) continue;
+
+            const idf = Math.log(1 + (documentCount - postings.length + 0.5) / (postings.length + 0.5));
+            for (const [docIndex, frequency] of postings) {
+                const lengthNorm = 1 - b + b * (this.lengths[docIndex] / (this.averageLength || 1));
+                const score = idf * ((frequency * (k1 + 1)) / (frequency + k1 * lengthNorm));
+                scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+            }
+        }
+
+        return [...scores.entries()]
+            .map(([index, score]) => ({ index, score }))
+            .sort((first, second) => second.score - first.score)
+            .slice(0, limit);
+    }
+}
+
+module.exports = BM25Index;
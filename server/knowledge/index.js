@@ -0,0 +1,41 @@
+// Knowledge base factory - the vetted articles answers are grounded in and cite
+//
+// KNOWLEDGE_DIR         folder of markdown articles (default: the bundled ./articles)
+// KNOWLEDGE_INDEX_FILE  where the BM25 index is saved (default: data/knowledge-index.json in the project root)
+// KNOWLEDGE_TOP_K       passages added to each prompt (default 3, 0 disables retrieval and citations)
+// KNOWLEDGE_MIN_SCORE   BM25 score a passage needs to be used (default 1)
+const path = require('path');
+const KnowledgeBase = require('./knowledgeBase');
+const BM25Index = require('./bm25Index');
+const { logWithTimestamp } = require('../utils');
+
+const BUNDLED_ARTICLES_DIR = path.join(__dirname, 'articles');
+const DEFAULT_INDEX_FILE = path.resolve(__dirname, '..', '..', 'data', 'knowledge-index.json');
+const DEFAULT_TOP_K = 3;
+const DEFAULT_MIN_SCORE = 1;
+
+const readNumber = (value, name, fallback) => {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+
+    const number = Number(value);
+    if (!isFinite(number) || number < 0) {
+        logWithTimestamp(`Invalid ${name} "${value}" - using ${fallback}`);
+        return fallback;
+    }
+    return number;
+};
+
+const createKnowledgeBase = (env = process.env) => new KnowledgeBase({
+    dir: env.KNOWLEDGE_DIR ? path.resolve(env.KNOWLEDGE_DIR) : BUNDLED_ARTICLES_DIR,
+    indexFile: env.KNOWLEDGE_INDEX_FILE ? path.resolve(env.KNOWLEDGE_INDEX_FILE) : DEFAULT_INDEX_FILE,
+    topK: Math.floor(readNumber(env.KNOWLEDGE_TOP_K, 'KNOWLEDGE_TOP_K', DEFAULT_TOP_K)),
+    minScore: readNumber(env.KNOWLEDGE_MIN_SCORE, 'KNOWLEDGE_MIN_SCORE', DEFAULT_MIN_SCORE)
+});
+
+module.exports = {
+    createKnowledgeBase,
+    KnowledgeBase,
+    BM25Index
+};
@@ -0,0 +1,202 @@
+// Vetted reference articles the answers are grounded in, searched with BM25
+//
+// Each article is a markdown file with front matter (title, source, url, reviewed, keywords) and "## "
+// sections; every section is one passage. The index is saved as JSON next to the other runtime data and
+// rebuilt whenever an article changes (the fingerprint is a hash of the article files).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const BM25Index = require('./bm25Index');
+const { logWithTimestamp } = require('../utils');
+
+// Bump when the stored index layout or tokenizer changes so old files are rebuilt
+const INDEX_VERSION = 1;
+
+const REQUIRED_FIELDS = ['title', 'url'];
+
+// Passages scoring under this share of the best match are left out, so a strong hit is not padded with noise
+const RELATIVE_CUTOFF = 0.5;
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// "---\nkey: value\n---\nbody" -> { fields, body }; articles without front matter have no fields
+const parseFrontMatter = (content) => {
+    const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) {
+        return { fields: {}, body: content };
+    }
+
+    const fields = {};
+    match[1].split(/\r?\n/).forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            fields[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+    });
+
+    return { fields, body: content.slice(match[0].length) };
+};
+
+// One passage per "## " section; text before the first heading goes under the article title
+const splitSections = (body, title) => {
+    const [intro, ...sections] = body.split(/^##\s+/m);
+    return [
+        { heading: title, text: intro },
+        ...sections.map(section => {
+            const [heading, ...lines] = section.split(/\r?\n/);
+            return { heading: heading.trim(), text: lines.join(' ') };
+        })
+    ]
+        .map(({ heading, text }) => ({ heading, text: text.replace(/\s+/g, ' ').trim() }))
+        .filter(section => section.text);
+};
+
+class KnowledgeBase {
+    static INDEX_VERSION = INDEX_VERSION;
+
+    // topK passages are handed to the model; minScore drops weak matches (a shared common word)
+    constructor({ dir, indexFile, topK, minScore }) {
+        this.dir = dir;
+        this.indexFile = indexFile;
+        this.topK = topK;
+        this.minScore = minScore;
+        this.articles = {};
+        this.passages = [];
+        this.index = null;
+        this.fingerprint = null;
+        this.ready = null;
+    }
+
+    get enabled() {
+        return this.topK > 0;
+    }
+
+    describe() {
+        return {
+            enabled: this.enabled,
+            dir: this.dir,
+            indexFile: this.indexFile,
+            articles: Object.keys(this.articles).length,
+            passages: this.passages.length,
+            topK: this.topK
+        };
+    }
+
+    // Reads the articles and the saved index on first use; a failed load leaves the knowledge base empty
+    load() {
+        if (!this.ready) {
+            this.ready = this.readArticles().catch(error => {
+                logWithTimestamp('Knowledge base could not be loaded - answering without references', { error: error.message });
+            });
+        }
+        return this.ready;
+    }
+
+    async readArticles() {
+        const names = (await fs.promises.readdir(this.dir)).filter(name => name.endsWith('.md')).sort();
+        const hash = crypto.createHash('sha256').update(String(INDEX_VERSION));
+        const articles = {};
+        const passages = [];
+
+        for (const name of names) {
+            const content = await fs.promises.readFile(path.join(this.dir, name), 'utf8');
+            hash.update(name).update(content);
+
+            const { fields, body } = parseFrontMatter(content);
+            const missing = REQUIRED_FIELDS.filter(field => !fields[field]);
+            if (missing.length) {
+                logWithTimestamp(`Skipping knowledge article ${name} - front matter is missing ${missing.join(', ')}`);
+                continue;
+            }
+
+            const id = name.replace(/\.md$/, '');
+            articles[id] = {
+                id,
+                title: fields.title,
+                source: fields.source || null,
+                url: fields.url,
+                reviewed: fields.reviewed || null,
+                keywords: fields.keywords || ''
+            };
+
+            splitSections(body, fields.title).forEach(section => {
+                passages.push({ id: `${id}#${slugify(section.heading)}`, articleId: id, ...section });
+            });
+        }
+
+        this.articles = articles;
+        this.passages = passages;
+        this.fingerprint = hash.digest('hex');
+        this.index = await this.readIndex() || await this.buildIndex();
+
+        logWithTimestamp('Knowledge base loaded', {
+            articles: Object.keys(articles).length,
+            passages: passages.length
+        });
+    }
+
+    // The saved index, or null when it is missing, unreadable or built from other articles
+    async readIndex() {
+        try {
+            const saved = JSON.parse(await fs.promises.readFile(this.indexFile, 'utf8'));
+            return saved.fingerprint === this.fingerprint ? BM25Index.fromJSON(saved.index) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Titles and keywords are indexed with every section so "PCOS treatment" finds the PCOS article's
+    // treatment section rather than any article mentioning treatment
+    async buildIndex() {
+        const index = BM25Index.build(this.passages.map(passage => {
+            const article = this.articles[passage.articleId];
+            return [article.title, article.keywords, passage.heading, passage.text].join(' ');
+        }));
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.indexFile), { recursive: true });
+            const tempFile = `${this.indexFile}.${process.pid}.${crypto.randomUUID()}.tmp`;
+            await fs.promises.writeFile(tempFile, JSON.stringify({
+                version: INDEX_VERSION,
+                fingerprint: this.fingerprint,
+                builtAt: new Date().toISOString(),
+                index
+            }), 'utf8');
+            await fs.promises.rename(tempFile, this.indexFile);
+            logWithTimestamp('Knowledge base index rebuilt', { indexFile: this.indexFile });
+        } catch (error) {
+            logWithTimestamp('Knowledge base index could not be saved - it will be rebuilt on restart', { error: error.message });
+        }
+
+        return index;
+    }
+
+    // Resolves with the best passages for a query:
+    // [{ id, articleId, heading, text, title, source, url, reviewed, score }], best first
+    async search(query, limit = this.topK) {
+        if (!this.enabled || !query) return [];
+        await this.load();
+        if (!this.index) return [];
+
+        const matches = this.index.search(query, limit);
+        const threshold = Math.max(this.minScore, matches.length ? matches[0].score * RELATIVE_CUTOFF : 0);
+
+        return matches
+            .filter(match => match.score >= threshold)
+            .map(({ index, score }) => {
+                const passage = this.passages[index];
+                const { title, source, url, reviewed } = this.articles[passage.articleId];
+                return { ...passage, title, source, url, reviewed, score: Math.round(score * 100) / 100 };
+            });
+    }
+
+    // One citation per article, in the order the passages were ranked
+    static citationsFor(passages) {
+        const seen = new Set();
+        return passages
+            .filter(passage => !seen.has(passage.articleId) && seen.add(passage.articleId))
+            .map(({ articleId, title, source, url, reviewed }) => ({ id: articleId, title, source, url, reviewed }));
+    }
+}
+
+module.exports = KnowledgeBase;
@@ -0,0 +1,46 @@
+// LLM provider factory - picks the chat completion backend from environment config
+//
+// LLM_PROVIDER=openrouter         (default) needs OPENROUTER_API_KEY, optional OPENROUTER_MODEL
+// LLM_PROVIDER=openai-compatible  needs LLM_BASE_URL and LLM_MODEL, optional LLM_API_KEY
+//                                 e.g. http://localhost:11434/v1 (Ollama) or http://localhost:8080/v1 (llama.cpp)
+// LLM_PROVIDER=mock               deterministic offline answers, no key needed
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const OpenRouterProvider = require('./openRouterProvider');
+const MockProvider = require('./mockProvider');
+const { ModelRouter } = require('./modelRouter');
+
+const LLM_PROVIDERS = ['openrouter', 'openai-compatible', 'mock'];
+
+const createLLMProvider = (env = process.env) => {
+    const providerName = (env.LLM_PROVIDER || 'openrouter').toLowerCase();
+
+    switch (providerName) {
+        case 'openrouter':
+            return new OpenRouterProvider({
+                apiKey: env.OPENROUTER_API_KEY,
+                model: env.OPENROUTER_MODEL || OpenRouterProvider.DEFAULT_MODEL,
+                appUrl: env.APP_URL || 'http://localhost:3000'
+            });
+        case 'openai-compatible':
+            return new OpenAICompatibleProvider({
+                baseURL: env.LLM_BASE_URL,
+                apiKey: env.LLM_API_KEY || null,
+                model: env.LLM_MODEL
+            });
+        case 'mock':
+            return new MockProvider({
+                streamDelayMs: parseInt(env.MOCK_STREAM_DELAY_MS, 10) || 15
+            });
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${providerName}". Expected one of: ${LLM_PROVIDERS.join(', ')}`);
+    }
+};
+
+module.exports = {
+    LLM_PROVIDERS,
+    createLLMProvider,
+    ModelRouter,
+    OpenAICompatibleProvider,
+    OpenRouterProvider,
+    MockProvider
+};
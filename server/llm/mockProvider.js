@@ -0,0 +1,98 @@
+// Deterministic in-process provider for offline development and tests (no network, no API key)
+const crypto = require('crypto');
+const { delay } = require('../utils');
+
+const MOCK_SENTENCES = [
+    'PCOS is a common hormonal condition in which higher androgen levels can disrupt ovulation and cause irregular cycles.',
+    'Menstrual cycles between 21 and 35 days are generally considered typical, although some variation from month to month is normal.',
+    'Insulin resistance often plays a role in hormonal imbalance, which is why balanced meals and regular activity are frequently recommended.',
+    'Thyroid disorders can also change cycle length, energy levels and mood, so they are usually checked alongside reproductive hormones.',
+    'Stress, poor sleep and rapid weight changes can temporarily shift hormone levels and affect when ovulation happens.',
+    'Diagnosis usually combines a review of symptoms, blood tests for hormone levels and sometimes a pelvic ultrasound.'
+];
+
+const MOCK_CLOSING = 'Please consult a healthcare provider for personalized guidance.';
+
+// Returned when the system prompt asks for the structured symptom analysis JSON
+const MOCK_ANALYSIS = {
+    conditions: [
+        { name: 'PCOS (Polycystic Ovary Syndrome)', likelihood: 'possible', explanation: 'Mock condition used for offline testing.' },
+        { name: 'Thyroid disorder', likelihood: 'less likely', explanation: 'Mock condition used for offline testing.' }
+    ],
+    urgency: 'routine',
+    suggestedTests: ['Hormone panel', 'Thyroid function tests'],
+    lifestyleSteps: ['Track your cycles', 'Keep a regular sleep schedule']
+};
+const MIN_BODY_WORDS = 64;
+
+const countWords = (text) => text.trim().split(/\s+/).filter(Boolean).length;
+
+class MockProvider {
+    constructor({ model = 'mock-health-educator', streamDelayMs = 15 } = {}) {
+        this.name = 'mock';
+        this.model = model;
+        this.streamDelayMs = streamDelayMs;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    describe() {
+        return {
+            provider: this.name,
+            model: this.model,
+            endpoint: null,
+            configured: true
+        };
+    }
+
+    // Builds a rule-following answer from the prompt so validation passes like a well-behaved model
+    buildText(messages) {
+        const systemPrompt = messages.find(message => message.role === 'system')?.content || '';
+        const userInput = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+
+        const opening = (systemPrompt.match(/Start with "([^"]+)"/) || [])[1] || 'I understand';
+        const topic = userInput.replace(/[?.!\s]+$/, '').split(/\s+/).slice(0, 12).join(' ');
+
+        // Same input always picks the same sentences
+        const seed = crypto.createHash('sha1').update(userInput).digest().readUInt32BE(0);
+        const parts = [`${opening}. This offline mock answer responds to: ${topic}.`];
+
+        for (let i = 0; countWords(parts.join(' ')) < MIN_BODY_WORDS; i++) {
+            parts.push(MOCK_SENTENCES[(seed + i) % MOCK_SENTENCES.length]);
+        }
+
+        parts.push(MOCK_CLOSING);
+        return parts.join(' ');
+    }
+
+    wantsJSON(messages) {
+        const systemPrompt = messages.find(message => message.role === 'system')?.content || '';
+        return systemPrompt.includes('Respond ONLY with a JSON object');
+    }
+
+    async complete(messages) {
+        const text = this.buildText(messages);
+
+        return {
+            text: this.wantsJSON(messages) ? JSON.stringify({ text, ...MOCK_ANALYSIS }) : text,
+            model: this.model
+        };
+    }
+
+    async stream(messages, params = {}, onToken = () => {}, signal = null) {
+        const text = this.buildText(messages);
+        const tokens = text.match(/\S+\s*/g) || [];
+
+        for (const token of tokens) {
+            if (signal?.aborted) break;
+            onToken(token);
+            await delay(this.streamDelayMs);
+        }
+
+        return { text, model: this.model };
+    }
+}
+
+module.exports = MockProvider;
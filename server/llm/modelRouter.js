@@ -0,0 +1,219 @@
+// Ordered model fallback chain with per-model timeouts, retry/backoff and circuit breakers
+//
+// LLM_MODELS="model-a@20000,model-b,model-c@10000"  ordered chain, optional per-model timeout in ms
+// LLM_TIMEOUT_MS           default per-model timeout (20000)
+// LLM_MAX_RETRIES          retries per model on 429/5xx/network errors (2)
+// LLM_RETRY_BASE_MS        first backoff delay, doubled on each retry (500)
+// LLM_RETRY_MAX_MS         longest wait we accept, including Retry-After (8000)
+// LLM_CIRCUIT_THRESHOLD    consecutive failures that open a model's circuit (3)
+// LLM_CIRCUIT_COOLDOWN_MS  how long an open circuit skips the model (60000)
+const { delay, logWithTimestamp } = require('../utils');
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+const parseModelChain = (value, defaultTimeoutMs) => {
+    return (value || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.lastIndexOf('@');
+            const timeout = separator > 0 ? parseInt(entry.slice(separator + 1), 10) : NaN;
+            return {
+                model: Number.isNaN(timeout) ? entry : entry.slice(0, separator),
+                timeoutMs: Number.isNaN(timeout) ? defaultTimeoutMs : timeout
+            };
+        });
+};
+
+// Retry-After is either delay-seconds or an HTTP date
+const parseRetryAfter = (value) => {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const isRetryable = (error) => {
+    if (error.isTimeout) return false; // A slow model is better skipped than waited on twice
+    if (error.status) return RETRYABLE_STATUS.has(error.status);
+    return error.name !== 'AbortError'; // Network failures are worth another try
+};
+
+class CircuitBreaker {
+    constructor({ threshold = 3, cooldownMs = 60000 } = {}) {
+        this.threshold = threshold;
+        this.cooldownMs = cooldownMs;
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    get state() {
+        if (this.openedAt === null) return 'closed';
+        return Date.now() - this.openedAt >= this.cooldownMs ? 'half-open' : 'open';
+    }
+
+    canAttempt() {
+        return this.state !== 'open';
+    }
+
+    recordSuccess() {
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    recordFailure() {
+        this.failures++;
+        // A failed half-open trial re-opens the circuit for another cooldown
+        if (this.failures >= this.threshold || this.state === 'half-open') {
+            this.openedAt = Date.now();
+        }
+    }
+}
+
+class ModelRouter {
+    constructor({ models, maxRetries = 2, retryBaseMs = 500, retryMaxMs = 8000, circuitThreshold = 3, circuitCooldownMs = 60000 }) {
+        this.models = models;
+        this.maxRetries = maxRetries;
+        this.retryBaseMs = retryBaseMs;
+        this.retryMaxMs = retryMaxMs;
+        this.circuitThreshold = circuitThreshold;
+        this.circuitCooldownMs = circuitCooldownMs;
+        this.breakers = new Map(models.map(({ model }) => [
+            model,
+            new CircuitBreaker({ threshold: circuitThreshold, cooldownMs: circuitCooldownMs })
+        ]));
+    }
+
+    static fromEnv(defaultModel, env = process.env) {
+        const defaultTimeoutMs = parseInt(env.LLM_TIMEOUT_MS, 10) || 20000;
+        const models = parseModelChain(env.LLM_MODELS, defaultTimeoutMs);
+
+        return new ModelRouter({
+            models: models.length ? models : [{ model: defaultModel, timeoutMs: defaultTimeoutMs }],
+            maxRetries: parseInt(env.LLM_MAX_RETRIES, 10) >= 0 ? parseInt(env.LLM_MAX_RETRIES, 10) : 2,
+            retryBaseMs: parseInt(env.LLM_RETRY_BASE_MS, 10) || 500,
+            retryMaxMs: parseInt(env.LLM_RETRY_MAX_MS, 10) || 8000,
+            circuitThreshold: parseInt(env.LLM_CIRCUIT_THRESHOLD, 10) || 3,
+            circuitCooldownMs: parseInt(env.LLM_CIRCUIT_COOLDOWN_MS, 10) || 60000
+        });
+    }
+
+    describe() {
+        return this.models.map(({ model, timeoutMs }) => ({
+            model,
+            timeoutMs,
+            circuit: this.breakers.get(model).state
+        }));
+    }
+
+    // The chain for one request: a preferred model (an experiment variant's) goes first, with the configured
+    // chain behind it as the fallback
+    chainFor(preferredModel) {
+        if (!preferredModel) {
+            return this.models;
+        }
+
+        if (!this.breakers.has(preferredModel)) {
+            this.breakers.set(preferredModel, new CircuitBreaker({ threshold: this.circuitThreshold, cooldownMs: this.circuitCooldownMs }));
+        }
+
+        const configured = this.models.find(({ model }) => model === preferredModel);
+        return [
+            configured || { model: preferredModel, timeoutMs: this.models[0].timeoutMs },
+            ...this.models.filter(({ model }) => model !== preferredModel)
+        ];
+    }
+
+    backoffDelay(attempt, error) {
+        const exponential = this.retryBaseMs * Math.pow(2, attempt);
+        return error.retryAfterMs != null ? error.retryAfterMs : exponential;
+    }
+
+    // Runs task(model, signal, { onFirstToken }) down the chain until one model succeeds.
+    // The per-model timeout covers the wait for an answer: a streaming task calls onFirstToken() when output
+    // starts so a long answer is not cut off. canRetry() lets streaming callers stop retrying once tokens
+    // reached the client; model is tried first.
+    async execute(task, { signal = null, canRetry = () => true, model: preferredModel = null } = {}) {
+        const errors = [];
+
+        for (const { model, timeoutMs } of this.chainFor(preferredModel)) {
+            const breaker = this.breakers.get(model);
+
+            if (!breaker.canAttempt()) {
+                errors.push(`${model}: circuit open`);
+                continue;
+            }
+
+            for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+                if (signal?.aborted) {
+                    throw Object.assign(new Error('Request aborted'), { name: 'AbortError' });
+                }
+
+                const controller = new AbortController();
+                const onAbort = () => controller.abort();
+                signal?.addEventListener('abort', onAbort);
+                let timedOut = false;
+                const timer = setTimeout(() => {
+                    timedOut = true;
+                    controller.abort();
+                }, timeoutMs);
+                const onFirstToken = () => clearTimeout(timer);
+
+                try {
+                    const result = await task(model, controller.signal, { onFirstToken });
+                    breaker.recordSuccess();
+                    return { ...result, model: result.model || model, attempts: errors.length + 1 };
+                } catch (error) {
+                    if (timedOut) {
+                        error.isTimeout = true;
+                        error.message = `Timed out after ${timeoutMs}ms`;
+                    } else if (signal?.aborted) {
+                        throw error;
+                    }
+
+                    breaker.recordFailure();
+                    errors.push(`${model}: ${error.message}`);
+
+                    const waitMs = this.backoffDelay(attempt, error);
+                    const willRetry = attempt < this.maxRetries &&
+                                      isRetryable(error) &&
+                                      canRetry() &&
+                                      breaker.canAttempt() &&
+                                      waitMs <= this.retryMaxMs;
+
+                    logWithTimestamp(`Model ${model} failed (attempt ${attempt + 1})`, {
+                        status: error.status,
+                        error: error.message.substring(0, 200),
+                        nextStep: willRetry ? `retry in ${waitMs}ms` : 'next model'
+                    });
+
+                    if (!canRetry()) {
+                        throw error;
+                    }
+                    if (!willRetry) {
+                        break;
+                    }
+                    await delay(waitMs);
+                } finally {
+                    clearTimeout(timer);
+                    signal?.removeEventListener('abort', onAbort);
+                }
+            }
+        }
+
+        throw new Error(`All models failed - ${errors.join(' | ')}`);
+    }
+}
+
+module.exports = {
+    ModelRouter,
+    CircuitBreaker,
+    parseModelChain,
+    parseRetryAfter
+};
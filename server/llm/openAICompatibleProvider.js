@@ -0,0 +1,135 @@
+// OpenAI-compatible chat completions provider (llama.cpp server, Ollama, vLLM, LM Studio...)
+const fetch = require('node-fetch');
+const { StringDecoder } = require('string_decoder');
+const { logWithTimestamp } = require('../utils');
+const { parseRetryAfter } = require('./modelRouter');
+
+class OpenAICompatibleProvider {
+    constructor({ name = 'openai-compatible', baseURL, apiKey = null, model, headers = {} } = {}) {
+        this.name = name;
+        this.baseURL = (baseURL || '').replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.extraHeaders = headers;
+    }
+
+    get endpoint() {
+        return `${this.baseURL}/chat/completions`;
+    }
+
+    isConfigured() {
+        return !!this.baseURL && !!this.model;
+    }
+
+    describe() {
+        return {
+            provider: this.name,
+            model: this.model,
+            endpoint: this.endpoint,
+            configured: this.isConfigured()
+        };
+    }
+
+    buildRequest(messages, params = {}, stream = false) {
+        const headers = {
+            'Content-Type': 'application/json',
+            ...this.extraHeaders
+        };
+
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        return {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model: this.model,
+                messages,
+                stream,
+                ...params
+            })
+        };
+    }
+
+    // Carries the status and Retry-After so the model router can decide whether to retry
+    async buildHttpError(response) {
+        const errorText = await response.text().catch(() => '');
+        const error = new Error(`${this.name} API error: ${response.status} - ${errorText}`);
+        error.status = response.status;
+        error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        return error;
+    }
+
+    // params may carry a "model" that overrides the default (used by the fallback chain)
+    async complete(messages, params = {}, signal = null) {
+        const response = await fetch(this.endpoint, {
+            ...this.buildRequest(messages, params),
+            signal
+        });
+
+        if (!response.ok) {
+            throw await this.buildHttpError(response);
+        }
+
+        const data = await response.json();
+
+        if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+            throw new Error(`Invalid response structure from ${this.name}`);
+        }
+
+        return {
+            text: data.choices[0].message.content || '',
+            model: data.model || params.model || this.model
+        };
+    }
+
+    // Calls onToken for each content delta and resolves with the full text once the stream ends
+    async stream(messages, params = {}, onToken = () => {}, signal = null) {
+        const response = await fetch(this.endpoint, {
+            ...this.buildRequest(messages, params, true),
+            signal
+        });
+
+        if (!response.ok) {
+            throw await this.buildHttpError(response);
+        }
+
+        let text = '';
+        let model = params.model || this.model;
+        let buffer = '';
+        // A multibyte character (Devanagari is three bytes) can be split across network chunks
+        const decoder = new StringDecoder('utf8');
+
+        for await (const chunk of response.body) {
+            buffer += decoder.write(chunk);
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const trimmed = line.trim();
+                // Skip blank lines and SSE comments such as ": OPENROUTER PROCESSING"
+                if (!trimmed.startsWith('data:')) continue;
+
+                const payload = trimmed.slice(5).trim();
+                if (payload === '[DONE]') continue;
+
+                try {
+                    const parsed = JSON.parse(payload);
+                    const delta = parsed.choices?.[0]?.delta?.content;
+                    model = parsed.model || model;
+                    if (delta) {
+                        text += delta;
+                        onToken(delta);
+                    }
+                } catch (parseError) {
+                    logWithTimestamp('Skipping malformed stream chunk', { payload: payload.substring(0, 100) });
+                }
+            }
+        }
+
+        return { text, model };
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,27 @@
+// OpenRouter provider - OpenAI-compatible API plus OpenRouter attribution headers
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+
+const DEFAULT_OPENROUTER_MODEL = 'mistralai/mistral-small-3.2-24b-instruct:free';
+
+class OpenRouterProvider extends OpenAICompatibleProvider {
+    constructor({ apiKey, model = DEFAULT_OPENROUTER_MODEL, appUrl = 'http://localhost:3000' } = {}) {
+        super({
+            name: 'openrouter',
+            baseURL: 'https://openrouter.ai/api/v1',
+            apiKey,
+            model,
+            headers: {
+                'HTTP-Referer': appUrl,
+                'X-Title': 'She Nurtures AI Assistant'
+            }
+        });
+    }
+
+    isConfigured() {
+        return !!this.apiKey && super.isConfigured();
+    }
+}
+
+OpenRouterProvider.DEFAULT_MODEL = DEFAULT_OPENROUTER_MODEL;
+
+module.exports = OpenRouterProvider;
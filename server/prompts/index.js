@@ -0,0 +1,37 @@
+// Prompt registry factory - system prompts and canned fallbacks as versioned template files
+//
+// PROMPT_DIR         folder of <name>.<locale>.v<version>.txt templates (default: the bundled ./templates)
+// PROMPT_HOT_RELOAD  reload templates when a file changes (default true, "false" to only read them at startup)
+//
+// A PROMPT_DIR without the required templates falls back to the bundled ones instead of stopping the server.
+const path = require('path');
+const PromptRegistry = require('./promptRegistry');
+const { logWithTimestamp } = require('../utils');
+
+const BUNDLED_TEMPLATES_DIR = path.join(__dirname, 'templates');
+
+const createPromptRegistry = (env = process.env) => {
+    const dir = env.PROMPT_DIR ? path.resolve(env.PROMPT_DIR) : BUNDLED_TEMPLATES_DIR;
+    let registry = new PromptRegistry({ dir });
+
+    try {
+        registry.load();
+    } catch (error) {
+        if (dir === BUNDLED_TEMPLATES_DIR) {
+            throw error;
+        }
+        logWithTimestamp(`PROMPT_DIR "${dir}" is unusable - using the bundled prompt templates`, { error: error.message });
+        registry = new PromptRegistry({ dir: BUNDLED_TEMPLATES_DIR }).load();
+    }
+
+    if (String(env.PROMPT_HOT_RELOAD || 'true').toLowerCase() !== 'false') {
+        registry.watch();
+    }
+
+    return registry;
+};
+
+module.exports = {
+    createPromptRegistry,
+    PromptRegistry
+};
@@ -0,0 +1,148 @@
+// Versioned prompt templates loaded from disk, reloaded when a file changes
+//
+// Files are named <name>.<locale>.v<version>.txt, e.g. general.en.v2.txt. A new wording is a new file with
+// the next version number, so the old one stays available (and comparable) until it is deleted. The
+// highest version is used unless a caller asks for a specific one; asking for a version that does not exist
+// is logged and gets the highest. Locales without their own template use the default locale's.
+//
+// Templates are plain text with {{variable}} placeholders filled in by render(), e.g. {{minWords}}.
+// Reads are synchronous: the files are small and the answers need them inline.
+const fs = require('fs');
+const path = require('path');
+const { logWithTimestamp } = require('../utils');
+const { DEFAULT_LOCALE } = require('../i18n');
+
+const FILE_PATTERN = /^([a-z][a-z0-9-]*)\.([a-z]{2})\.v(\d+)\.txt$/;
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Every answer path needs these in the default locale; a load without them is rejected
+const REQUIRED_TEMPLATES = ['general', 'symptom', 'analysis-format', 'fallback-general', 'fallback-symptom'];
+
+// Edits often arrive as several write events; wait for them to settle before reloading
+const RELOAD_DELAY_MS = 200;
+
+class PromptRegistry {
+    static REQUIRED_TEMPLATES = REQUIRED_TEMPLATES;
+
+    constructor({ dir }) {
+        this.dir = dir;
+        // "name.locale" -> Map(version -> text)
+        this.templates = new Map();
+        this.loadedAt = null;
+        this.reloads = 0;
+        this.watcher = null;
+        this.reloadTimer = null;
+    }
+
+    describe() {
+        const templates = {};
+        this.templates.forEach((versions, key) => {
+            templates[key] = [...versions.keys()].sort((a, b) => a - b);
+        });
+
+        return {
+            dir: this.dir,
+            watching: !!this.watcher,
+            loadedAt: this.loadedAt,
+            reloads: this.reloads,
+            templates
+        };
+    }
+
+    // Reads every template; throws (keeping the current set) when a required one is missing
+    load() {
+        const templates = new Map();
+
+        fs.readdirSync(this.dir).forEach(file => {
+            const match = file.match(FILE_PATTERN);
+            if (!match) return;
+
+            const [, name, locale, version] = match;
+            const key = `${name}.${locale}`;
+            if (!templates.has(key)) {
+                templates.set(key, new Map());
+            }
+            templates.get(key).set(Number(version), fs.readFileSync(path.join(this.dir, file), 'utf8').trim());
+        });
+
+        const missing = REQUIRED_TEMPLATES.filter(name => !templates.has(`${name}.${DEFAULT_LOCALE}`));
+        if (missing.length) {
+            throw new Error(`Prompt templates missing for locale "${DEFAULT_LOCALE}": ${missing.join(', ')}`);
+        }
+
+        this.templates = templates;
+        this.loadedAt = new Date().toISOString();
+        return this;
+    }
+
+    // Reloads when a template file is added, edited or removed; a broken edit keeps the previous prompts
+    watch() {
+        if (this.watcher) return this;
+
+        try {
+            this.watcher = fs.watch(this.dir, { persistent: false }, (eventType, file) => {
+                if (file && !FILE_PATTERN.test(file)) return;
+
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DELAY_MS);
+            });
+        } catch (error) {
+            logWithTimestamp('Prompt templates cannot be watched - restart to pick up changes', { error: error.message });
+        }
+        return this;
+    }
+
+    reload() {
+        try {
+            this.load();
+            this.reloads++;
+            logWithTimestamp('Prompt templates reloaded', { templates: this.describe().templates });
+        } catch (error) {
+            logWithTimestamp('Prompt template reload failed - keeping the previous prompts', { error: error.message });
+        }
+    }
+
+    close() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+        clearTimeout(this.reloadTimer);
+    }
+
+    // Versions available for a template in a locale (falling back to the default locale), oldest first
+    versions(name, locale = DEFAULT_LOCALE) {
+        const versions = this.templates.get(`${name}.${locale}`) || this.templates.get(`${name}.${DEFAULT_LOCALE}`);
+        return versions ? [...versions.keys()].sort((a, b) => a - b) : [];
+    }
+
+    // Returns { id, name, locale, version, text } with the variables filled in. version picks a specific
+    // template version; an unknown one is logged and the latest is used (id names the one actually used).
+    render(name, locale = DEFAULT_LOCALE, variables = {}, version = null) {
+        const resolvedLocale = this.templates.has(`${name}.${locale}`) ? locale : DEFAULT_LOCALE;
+        const versions = this.templates.get(`${name}.${resolvedLocale}`);
+        if (!versions) {
+            throw new Error(`Unknown prompt template "${name}"`);
+        }
+
+        const latestVersion = Math.max(...versions.keys());
+        let resolvedVersion = version == null ? latestVersion : Number(version);
+        if (!versions.has(resolvedVersion)) {
+            logWithTimestamp(`Prompt template ${name}.${resolvedLocale} has no version ${version} - using v${latestVersion}`);
+            resolvedVersion = latestVersion;
+        }
+        const id = `${name}.${resolvedLocale}.v${resolvedVersion}`;
+
+        const text = versions.get(resolvedVersion).replace(VARIABLE_PATTERN, (placeholder, variable) => {
+            if (variables[variable] === undefined || variables[variable] === null) {
+                logWithTimestamp(`Prompt template ${id} uses an unknown variable`, { variable });
+                return placeholder;
+            }
+            return String(variables[variable]);
+        });
+
+        return { id, name, locale: resolvedLocale, version: resolvedVersion, text };
+    }
+}
+
+module.exports = PromptRegistry;
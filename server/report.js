@@ -0,0 +1,183 @@
+// Doctor-visit report - a self-contained, print-styled HTML page the user can bring to an appointment
+const { logWithTimestamp } = require('./utils');
+const { DEFAULT_LOCALE, getCatalog } = require('./i18n');
+
+const REPORT_LIMITS = {
+    maxConversationEntries: 5,
+    maxQuestions: 8
+};
+
+const escapeHTML = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const REPORT_STYLES = `
+    * { box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #212121; line-height: 1.5; max-width: 780px; margin: 0 auto; padding: 32px 24px; }
+    h1 { font-size: 1.6rem; color: #c2185b; margin: 0 0 4px; }
+    h2 { font-size: 1.1rem; color: #c2185b; border-bottom: 2px solid #f8bbd0; padding-bottom: 4px; margin: 28px 0 12px; }
+    .meta { color: #757575; font-size: 0.9rem; margin: 0; }
+    .disclaimer { background: #fff8e1; border-left: 4px solid #ff9800; padding: 10px 14px; font-size: 0.85rem; margin-top: 16px; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.95rem; }
+    th, td { text-align: left; padding: 8px; border-bottom: 1px solid #e0e0e0; vertical-align: top; }
+    th { background: #fce4ec; font-weight: 600; }
+    ul { padding-left: 20px; margin: 0; }
+    li { margin-bottom: 6px; }
+    .urgency { display: inline-block; padding: 4px 10px; border-radius: 6px; background: #fce4ec; font-weight: 600; }
+    .condition-likelihood { color: #757575; font-size: 0.85rem; text-transform: uppercase; margin-left: 6px; }
+    .qa { margin-bottom: 14px; }
+    .qa p { margin: 2px 0; }
+    .qa .question { font-weight: 600; }
+    .clinician-questions li { list-style: none; margin-left: -20px; padding-left: 26px; position: relative; }
+    .clinician-questions li::before { content: ''; position: absolute; left: 0; top: 4px; width: 14px; height: 14px; border: 1.5px solid #757575; border-radius: 3px; }
+    .notes-lines div { border-bottom: 1px solid #bdbdbd; height: 30px; }
+    .empty { color: #757575; font-style: italic; }
+    .actions { display: flex; gap: 12px; margin-bottom: 24px; }
+    .actions button { padding: 10px 18px; border: none; border-radius: 8px; background: #e91e63; color: #fff; font-size: 0.95rem; cursor: pointer; }
+    footer { margin-top: 32px; font-size: 0.8rem; color: #757575; }
+    @page { size: A4; margin: 18mm 16mm; }
+    @media print {
+        body { padding: 0; max-width: none; }
+        .no-print { display: none !important; }
+        h2 { break-after: avoid; }
+        .qa, tr, li { break-inside: avoid; }
+    }
+`;
+
+class VisitReportService {
+    static LIMITS = REPORT_LIMITS;
+
+    // Deterministic question list built from the symptoms, analysis and cycle log
+    static buildClinicianQuestions({ symptoms = [], analysis = null, cycleDataPoints = [], locale = DEFAULT_LOCALE }) {
+        const { questions: templates, symptomQuestions } = getCatalog(locale).report;
+        const questions = [templates.opening];
+
+        (analysis?.conditions || []).slice(0, 3).forEach(condition => {
+            questions.push(templates.condition(condition.name));
+        });
+
+        (analysis?.suggestedTests || []).slice(0, 2).forEach(test => {
+            questions.push(templates.test(test.replace(/[.?!\u0964]+$/, '')));
+        });
+
+        symptoms.forEach(symptom => {
+            if (symptomQuestions[symptom.id]) {
+                questions.push(symptomQuestions[symptom.id]);
+            }
+        });
+
+        if (cycleDataPoints.length) {
+            questions.push(templates.cycleLog);
+        }
+
+        // Always keep the safety-net question, even when the list is trimmed
+        const unique = [...new Set(questions)].slice(0, REPORT_LIMITS.maxQuestions - 1);
+        unique.push(templates.safetyNet);
+
+        return unique;
+    }
+
+    // symptomRows: [{ name, severity, duration, frequency }] already described by the caller, in the report's locale
+    static render({ symptomRows = [], symptoms = [], notes = '', analysis = null, conversation = [], cycleDataPoints = [], generatedAt = new Date(), locale = DEFAULT_LOCALE }) {
+        const catalog = getCatalog(locale);
+        const text = catalog.report;
+        const questions = this.buildClinicianQuestions({ symptoms, analysis, cycleDataPoints, locale });
+        const dateLabel = generatedAt.toLocaleDateString(catalog.tag, { day: 'numeric', month: 'long', year: 'numeric' });
+
+        const symptomSection = symptomRows.length
+            ? `<table>
+                <thead><tr>${text.symptomColumns.map(column => `<th>${escapeHTML(column)}</th>`).join('')}</tr></thead>
+                <tbody>${symptomRows.map(row => `
+                    <tr>
+                        <td>${escapeHTML(row.name)}</td>
+                        <td>${escapeHTML(row.severity || '-')}</td>
+                        <td>${escapeHTML(row.duration || '-')}</td>
+                        <td>${escapeHTML(row.frequency || '-')}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`
+            : `<p class="empty">${escapeHTML(text.noSymptoms)}</p>`;
+
+        const notesSection = notes
+            ? `<p><strong>${escapeHTML(text.notesLabel)}</strong> ${escapeHTML(notes)}</p>`
+            : '';
+
+        const cycleSection = cycleDataPoints.length
+            ? `<h2>${escapeHTML(text.cycleHeading)}</h2>
+            <ul>${cycleDataPoints.map(point => `<li>${escapeHTML(catalog.cycleLabels[point.id] || point.label)}: <strong>${escapeHTML(point.value)}</strong></li>`).join('')}</ul>`
+            : '';
+
+        let analysisSection = '';
+        if (analysis && (analysis.conditions?.length || analysis.urgency)) {
+            analysisSection = `<h2>${escapeHTML(text.analysisHeading)}</h2>
+            ${analysis.urgency ? `<p><span class="urgency">${escapeHTML(text.urgency[analysis.urgency] || analysis.urgency)}</span></p>` : ''}
+            ${analysis.conditions?.length ? `<p><strong>${escapeHTML(text.conditionsLabel)}</strong></p>
+            <ul>${analysis.conditions.map(condition => `<li>${escapeHTML(condition.name)}<span class="condition-likelihood">${escapeHTML(text.likelihood[condition.likelihood] || condition.likelihood)}</span>${condition.explanation ? `<br>${escapeHTML(condition.explanation)}` : ''}</li>`).join('')}</ul>` : ''}
+            ${analysis.suggestedTests?.length ? `<p><strong>${escapeHTML(text.testsLabel)}</strong></p>
+            <ul>${analysis.suggestedTests.map(test => `<li>${escapeHTML(test)}</li>`).join('')}</ul>` : ''}
+            ${analysis.lifestyleSteps?.length ? `<p><strong>${escapeHTML(text.lifestyleLabel)}</strong></p>
+            <ul>${analysis.lifestyleSteps.map(step => `<li>${escapeHTML(step)}</li>`).join('')}</ul>` : ''}`;
+        }
+
+        const conversationSection = conversation.length
+            ? `<h2>${escapeHTML(text.conversationHeading)}</h2>
+            ${conversation.map(entry => `<div class="qa">
+                <p class="question">${escapeHTML(entry.question)}</p>
+                <p>${escapeHTML(entry.response)}</p>
+            </div>`).join('')}`
+            : '';
+
+        logWithTimestamp('Visit report rendered', {
+            locale: catalog.code,
+            symptoms: symptomRows.length,
+            hasAnalysis: !!analysisSection,
+            conversationEntries: conversation.length,
+            cycleDataPoints: cycleDataPoints.length,
+            questions: questions.length
+        });
+
+        return `<!DOCTYPE html>
+<html lang="${escapeHTML(catalog.code)}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHTML(text.title)} - ${escapeHTML(dateLabel)}</title>
+    <style>${REPORT_STYLES}</style>
+</head>
+<body>
+    <div class="actions no-print">
+        <button type="button" onclick="window.print()">${escapeHTML(text.printButton)}</button>
+    </div>
+
+    <header>
+        <h1>${escapeHTML(text.heading)}</h1>
+        <p class="meta">${escapeHTML(text.preparedOn(dateLabel))}</p>
+        <div class="disclaimer">${escapeHTML(text.disclaimer)}</div>
+    </header>
+
+    <h2>${escapeHTML(text.symptomsHeading)}</h2>
+    ${symptomSection}
+    ${notesSection}
+
+    ${cycleSection}
+
+    ${analysisSection}
+
+    ${conversationSection}
+
+    <h2>${escapeHTML(text.questionsHeading)}</h2>
+    <ul class="clinician-questions">${questions.map(question => `<li>${escapeHTML(question)}</li>`).join('')}</ul>
+
+    <h2>${escapeHTML(text.appointmentNotesHeading)}</h2>
+    <div class="notes-lines">${'<div></div>'.repeat(6)}</div>
+
+    <footer>${escapeHTML(text.footer)}</footer>
+</body>
+</html>`;
+    }
+}
+
+module.exports = VisitReportService;
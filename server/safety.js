@@ -0,0 +1,227 @@
+// Rule-based medical-safety filter - runs on every model answer before it is spoken, shown or stored
+//
+// validateResponse() only checks the format; this checks the content. Each rule has a reason code that is
+// logged and reported in the response stats:
+//   drug_dosage           specific doses ("take 500 mg") - the sentence is removed
+//   stop_medication       advice to stop or skip prescribed medicine - the sentence is removed
+//   definitive_diagnosis  "you have PCOS" - rewritten to "you may have PCOS"
+//   off_topic             nothing about health besides the closing consult line - the answer is blocked
+const { logWithTimestamp } = require('./utils');
+const { DEFAULT_LOCALE, getCatalog } = require('./i18n');
+
+const CONDITIONS = 'PCOS|PCOD|polycystic ovary syndrome|endometriosis|adenomyosis|fibroids|hypothyroidism|hyperthyroidism|' +
+    'a thyroid (?:disorder|problem|condition)|thyroid disease|diabetes|insulin resistance|infertility|cancer|an? (?:STI|infection)';
+const HINDI_CONDITIONS = 'पीसीओएस|पीसीओडी|एंडोमेट्रियोसिस|थायराइड|मधुमेह|डायबिटीज|बांझपन|कैंसर';
+
+// Sentences that remove or replace prescribed treatment; `unless` spots the safe versions
+// ("do not stop taking it without talking to your doctor")
+const SENTENCE_RULES = [
+    {
+        reason: 'drug_dosage',
+        patterns: [
+            /\b\d+(?:[.,]\d+)?\s?(?:mg|mcg|µg|micrograms?|milligrams?|ml|iu|units?)\b/i,
+            /\b(?:take|taking|takes)\b.{0,30}\b(?:\d+|one|two|three|four)\s+(?:tablets?|pills?|capsules?|doses?)\b/i,
+            /\b(?:once|twice|three times|\d+ times) (?:a|per) day\b.{0,20}\b(?:tablets?|pills?|capsules?)\b/i,
+            /\d+\s?(?:मिलीग्राम|एमजी|माइक्रोग्राम|गोलियां|गोलियाँ|गोली|कैप्सूल)/
+        ]
+    },
+    {
+        reason: 'stop_medication',
+        patterns: [
+            /\b(?:stop|stopping|quit|quitting|discontinue|skip|skipping|come off|get off|no need (?:to|for))\b.{0,40}\b(?:medications?|medicines?|meds|pills?|tablets?|prescriptions?|treatment|insulin|metformin|levothyroxine|contracepti\w+|birth control|antidepressants?)\b/i,
+            /(?:दवा|दवाई|दवाइयां|दवाइयाँ|गोली|इलाज)\S*.{0,25}(?:बंद कर|छोड़ द|लेना बंद)/
+        ],
+        unless: /\b(?:don'?t|do not|never|shouldn'?t|should not|avoid)\s+(?:suddenly\s+)?(?:stop|quit|discontinue|skip)|\bwithout (?:first )?(?:talking|speaking|consulting|checking|asking)|(?:बिना|न करें|मत करें|न छोड़ें)/i
+    }
+];
+
+// Certain-sounding diagnoses softened in place; `$<condition>` keeps the condition the model named
+const REWRITE_RULES = [
+    {
+        pattern: new RegExp(`\\byou (?:definitely |certainly |clearly |surely |obviously )?(?:have|are suffering from|suffer from|are diagnosed with) (?<condition>${CONDITIONS})\\b`, 'gi'),
+        replacement: 'you may have $<condition>'
+    },
+    {
+        pattern: new RegExp(`\\b(?<subject>this|it|these symptoms|your symptoms) (?:is|are|confirms?|means?) (?:definitely |certainly |clearly |surely )?(?<condition>${CONDITIONS})\\b`, 'gi'),
+        replacement: '$<subject> could point to $<condition>'
+    },
+    {
+        pattern: new RegExp(`आपको (?:निश्चित रूप से |ज़रूर |जरूर )?(?<condition>${HINDI_CONDITIONS}) (?:है|हैं)`, 'g'),
+        replacement: 'आपको $<condition> हो सकता है'
+    }
+];
+
+// Health vocabulary an on-topic answer uses outside its closing consult line
+const HEALTH_TERMS = /\b(?:health\w*|periods?|menstru\w*|cycles?|hormon\w*|pcos|pcod|ovar\w*|ovulat\w*|uter\w*|womb|pregnan\w*|fertil\w*|thyroid|symptoms?|doctors?|gyn(?:a)?ecolog\w*|endometri\w*|pelvi\w*|bleed\w*|blood|pain\w*|cramp\w*|acne|weight|insulin|diet|exercise|sleep|stress|mood|medical|condition\w*|tests?|ultrasound|diagnos\w*|treat\w*)\b|(?:स्वास्थ्य|पीरियड|माहवारी|मासिक|हार्मोन|पीसीओ|अंडाशय|गर्भ|डॉक्टर|लक्षण|थायराइड|दर्द|वजन|वज़न|तनाव|नींद|चिकित्सक|रक्त|खून|इलाज|जांच|जाँच)/i;
+
+// Conditions the user says they already have - "since you have PCOS" then repeats a fact, not a diagnosis
+const statedConditions = (userText = '') => {
+    const pattern = new RegExp(`\\b(?:i have|i've got|i've been diagnosed with|i was diagnosed with|diagnosed with|i was told i have)\\b.{0,30}?\\b(${CONDITIONS})\\b`, 'gi');
+    return [...String(userText).matchAll(pattern)].map(match => match[1].toLowerCase());
+};
+
+// Sentences end in . ! ? or the Devanagari danda (।)
+const splitSentences = (text) => (text.match(/[^.!?।]+[.!?।]+["')\]]*|[^.!?।]+$/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+
+// A streamed sentence is complete once its end mark is followed by whitespace, so "2.5 mg" is not split
+const SENTENCE_END = /[.!?।]+["')\]]*\s+/g;
+
+const matchesRule = (rule, sentence) => rule.patterns.some(pattern => pattern.test(sentence)) &&
+    !(rule.unless && rule.unless.test(sentence));
+
+// Applies the rewrite rules, recording each change in interventions
+const softenDiagnoses = (text, stated, interventions) => REWRITE_RULES.reduce((current, { pattern, replacement }) => (
+    current.replace(pattern, (...args) => {
+        const match = args[0];
+        const { condition } = args[args.length - 1];
+        if (stated.includes(condition.toLowerCase())) {
+            return match;
+        }
+
+        interventions.push({ reason: 'definitive_diagnosis', action: 'rewritten', excerpt: match });
+        const rewritten = match.replace(pattern, replacement);
+        return match[0] !== match[0].toLowerCase() ? rewritten[0].toUpperCase() + rewritten.slice(1) : rewritten;
+    })
+), text);
+
+class SafetyFilter {
+    static SENTENCE_RULES = SENTENCE_RULES;
+    static REWRITE_RULES = REWRITE_RULES;
+    static REASONS = ['drug_dosage', 'stop_medication', 'definitive_diagnosis', 'off_topic'];
+
+    // context: { locale, mode, userText }. Returns { text, interventions: [{ reason, action, excerpt }],
+    // blocked } - text is null when the whole answer was blocked
+    static review(text, context = {}) {
+        const { locale = DEFAULT_LOCALE } = context;
+        const interventions = [];
+        const stated = statedConditions(context.userText);
+
+        const kept = splitSentences(text).filter(sentence => {
+            const rule = SENTENCE_RULES.find(candidate => matchesRule(candidate, sentence));
+            if (rule) {
+                interventions.push({ reason: rule.reason, action: 'removed', excerpt: sentence });
+            }
+            return !rule;
+        });
+
+        const reviewed = softenDiagnoses(kept.join(' '), stated, interventions);
+
+        const consultTerms = getCatalog(locale).response.consultTerms;
+        const body = splitSentences(reviewed)
+            .filter(sentence => !consultTerms.some(term => sentence.toLowerCase().includes(term)))
+            .join(' ');
+        const blocked = !HEALTH_TERMS.test(body);
+        if (blocked) {
+            interventions.push({ reason: 'off_topic', action: 'blocked', excerpt: text.substring(0, 100) });
+        }
+
+        if (interventions.length) {
+            this.log(interventions, context);
+        }
+
+        return {
+            text: blocked ? null : reviewed,
+            interventions,
+            blocked
+        };
+    }
+
+    // For streamed answers, which are shown before review() sees the whole text. push() takes model tokens and
+    // holds them until their sentence is complete; emit(text) then gets the sentence screened by the same rules -
+    // removed sentences never reach it and diagnoses arrive softened. flush() releases the rest when the stream
+    // ends. Nothing is logged here: review() still runs on the whole answer and logs the interventions.
+    static createStreamScreen(context, emit) {
+        const stated = statedConditions(context.userText);
+        let pending = '';
+
+        const release = (chunk) => {
+            splitSentences(chunk).forEach(sentence => {
+                if (!SENTENCE_RULES.some(rule => matchesRule(rule, sentence))) {
+                    emit(`${softenDiagnoses(sentence, stated, [])} `);
+                }
+            });
+        };
+
+        return {
+            push(token) {
+                pending += token;
+                const ends = [...pending.matchAll(SENTENCE_END)];
+                if (ends.length) {
+                    const last = ends[ends.length - 1];
+                    const end = last.index + last[0].length;
+                    release(pending.slice(0, end));
+                    pending = pending.slice(end);
+                }
+            },
+            flush() {
+                release(pending);
+                pending = '';
+            }
+        };
+    }
+
+    // Screens the symptom checker's structured fields: list items with doses or stop-medication advice are
+    // dropped and explanations softened. Emptied lists are refilled from the locale's fallback analysis.
+    // Returns { analysis, interventions }
+    static reviewAnalysis(analysis, context = {}) {
+        const { locale = DEFAULT_LOCALE } = context;
+        const interventions = [];
+        const fallback = getCatalog(locale).fallbacks.analysis;
+        const stated = statedConditions(context.userText);
+
+        const screen = (item) => {
+            const rule = SENTENCE_RULES.find(candidate => matchesRule(candidate, item));
+            if (rule) {
+                interventions.push({ reason: rule.reason, action: 'removed', excerpt: item });
+                return null;
+            }
+
+            return softenDiagnoses(item, stated, interventions);
+        };
+
+        const screenList = (list, fallbackList) => {
+            const kept = list.map(screen).filter(Boolean);
+            return kept.length ? kept : fallbackList;
+        };
+
+        const reviewed = {
+            ...analysis,
+            conditions: analysis.conditions.map(condition => ({
+                ...condition,
+                explanation: screen(condition.explanation) || ''
+            })),
+            suggestedTests: screenList(analysis.suggestedTests, fallback.suggestedTests),
+            lifestyleSteps: screenList(analysis.lifestyleSteps, fallback.lifestyleSteps)
+        };
+
+        if (interventions.length) {
+            this.log(interventions, { ...context, field: 'analysis' });
+        }
+
+        return { analysis: reviewed, interventions };
+    }
+
+    // Repair prompt lines for a set of interventions, one per reason, from the locale's catalog
+    static describe(interventions, locale = DEFAULT_LOCALE) {
+        const instructions = getCatalog(locale).repair.safety;
+        return [...new Set(interventions.map(intervention => intervention.reason))]
+            .map(reason => instructions[reason]);
+    }
+
+    static log(interventions, context) {
+        interventions.forEach(({ reason, action, excerpt }) => {
+            logWithTimestamp('Safety filter intervened', {
+                reason,
+                action,
+                mode: context.mode || null,
+                field: context.field || 'text',
+                locale: context.locale || DEFAULT_LOCALE,
+                excerpt: excerpt.substring(0, 120)
+            });
+        });
+    }
+}
+
+module.exports = SafetyFilter;
@@ -1,9 +1,25 @@
 // Enhanced server.js - Dual Mode with Optimized Prompts for Perfect Responses
 require('dotenv').config();
 const express = require('express');
-const fetch = require('node-fetch');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
+const { delay, logWithTimestamp } = require('./utils');
+const { createLLMProvider, ModelRouter } = require('./llm');
+const { createTTSEngine, createAudioCache, AudioCache } = require('./tts');
+const { VOICE_SETTING_LIMITS, parseVoiceSettings } = require('./tts/voiceSettings');
+const { parseAudioFormats, negotiateAudioFormat } = require('./tts/audioFormats');
+const { createSTTEngine } = require('./stt');
+const { createKnowledgeBase, KnowledgeBase } = require('./knowledge');
+const { createPromptRegistry } = require('./prompts');
+const { createExperimentManager, ExperimentManager } = require('./experiments');
+const TriageService = require('./triage');
+const SafetyFilter = require('./safety');
+const InputGuard = require('./inputGuard');
+const VisitReportService = require('./report');
+const { createProviderDirectory, ProviderDirectory } = require('./directory');
+const { createCycleStore, computeCycleStats, summarizeCycleHistory, resolveToday, CycleStore } = require('./cycles');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, resolveLocale, getCatalog } = require('./i18n');
 
 // Initialize Express app
 const app = express();
@@ -16,8 +32,8 @@ app.use(cors({
         'http://localhost:10000'
     ],
     credentials: true,
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-User-Id', 'X-Client-Date']
 }));
 
 // Middleware configuration
@@ -47,103 +63,236 @@ console.log(`Serving static files from: ${publicPath}`);
 const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
 const AZURE_SPEECH_KEY = process.env.AZURE_SPEECH_KEY;
 const AZURE_SPEECH_REGION = process.env.AZURE_SPEECH_REGION;
+// Bearer token for /api/admin routes - they are switched off without one
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+// Chat completion backend (openrouter, openai-compatible or mock) chosen by LLM_PROVIDER
+const llmProvider = createLLMProvider();
+
+// Period logs keyed by the browser's anonymous user id (CYCLE_DATA_DIR)
+const cycleStore = createCycleStore();
+
+// Specialist listings behind "Connect with a Doctor" (PROVIDER_SOURCE, PROVIDER_DATA_FILE)
+const providerDirectory = createProviderDirectory();
+
+// Ordered model chain (LLM_MODELS) with retries, backoff and per-model circuit breakers
+const modelRouter = ModelRouter.fromEnv(llmProvider.model);
+
+// Speech backend (azure, espeak, piper or none) chosen by TTS_ENGINE - never fatal, falls back to text-only
+const ttsEngine = createTTSEngine();
+
+// Speech recognition behind the microphone button (azure, whisper or none) chosen by STT_ENGINE
+const sttEngine = createSTTEngine();
+
+// Synthesized clips on disk (AUDIO_CACHE_DIR, AUDIO_CACHE_MAX_MB), served from /api/audio/:id
+const audioCache = createAudioCache();
+
+// Vetted articles the answers are grounded in and cite (KNOWLEDGE_DIR, KNOWLEDGE_TOP_K)
+const knowledgeBase = createKnowledgeBase();
+
+// System prompts and canned fallbacks as versioned template files (PROMPT_DIR, PROMPT_HOT_RELOAD)
+const promptRegistry = createPromptRegistry();
+
+// A/B test of prompt versions, models and sampling parameters (EXPERIMENTS_FILE, EXPERIMENTS_RESULTS_FILE)
+const experiments = createExperimentManager(promptRegistry);
 
 // Validate required environment variables
-if (!OPENROUTER_API_KEY || !AZURE_SPEECH_KEY || !AZURE_SPEECH_REGION) {
+if (!llmProvider.isConfigured()) {
     console.error('Missing required environment variables. Please check your .env file.');
-    console.error('Required: OPENROUTER_API_KEY, AZURE_SPEECH_KEY, AZURE_SPEECH_REGION');
+    console.error(`Required for LLM_PROVIDER=${llmProvider.name}:`);
+    console.error('  openrouter: OPENROUTER_API_KEY | openai-compatible: LLM_BASE_URL, LLM_MODEL | mock: none');
     process.exit(1);
 }
 
 // ============================================================================
-// OPTIMIZED SYSTEM PROMPTS - PERFECT LENGTH & MEANINGFUL RESPONSES
+// PROMPT TEMPLATES - VERSIONED FILES IN ./prompts/templates
 // ============================================================================
 
-const GENERAL_SYSTEM_PROMPT = `You are a reproductive health educator. Answer the user's question directly with specific medical information.
+// Values the templates can use, from the locale's catalog
+const promptVariables = (locale) => {
+    const catalog = getCatalog(locale);
+    return {
+        locale: catalog.code,
+        language: catalog.name,
+        minWords: catalog.response.wordLimits.min,
+        maxWords: catalog.response.wordLimits.max,
+        generalOpening: catalog.response.openings.general,
+        symptomOpening: catalog.response.openings.symptom,
+        symptomList: Object.values(catalog.symptoms).join('; ')
+    };
+};
 
-RULES:
-- 70-100 words total
-- Start with "I understand"  
-- Answer their actual question with facts
-- End with "consult a healthcare provider"
+// System prompt for a mode (general, symptom, or analysis - the symptom prompt plus the JSON format the
+// results cards need) as { text, version }, where version names the template files used. templateVersion picks
+// a version of the general or symptom template (an experiment variant's); the latest is used otherwise.
+const getSystemPrompt = (mode, locale, templateVersion = null) => {
+    const variables = promptVariables(locale);
+    const prompt = promptRegistry.render(mode === 'general' ? 'general' : 'symptom', locale, variables, templateVersion);
+    if (mode !== 'analysis') {
+        return { text: prompt.text, version: prompt.id };
+    }
 
-Examples:
+    const format = promptRegistry.render('analysis-format', locale, variables);
+    return { text: `${prompt.text}\n\n${format.text}`, version: `${prompt.id}+${format.id}` };
+};
 
-User: "What is PCOS?"
-Answer: "I understand you want to know about PCOS. PCOS (Polycystic Ovary Syndrome) is a hormonal disorder affecting 1 in 10 women, where elevated androgens cause irregular periods, ovarian cysts, weight gain, acne, and excess hair growth. It often involves insulin resistance, making weight management difficult. PCOS is diagnosed through symptoms, blood tests, and ultrasounds. Please consult a healthcare provider for proper evaluation if you suspect PCOS."
+// Knowledge base passages go after the locale's prompt; answers are spoken, so the sources are listed by the
+// client instead of being read out
+const REFERENCE_INSTRUCTIONS = `Base facts and figures on these passages when they cover the question, and do not give statistics they do not contain.
+Do not mention the passages, their numbers or their sources in your answer - the sources are shown to the user separately.`;
 
-User: "Why are my periods irregular?"
-Answer: "I understand you're concerned about irregular periods. Common causes include hormonal imbalances from PCOS, thyroid issues, stress, significant weight changes, birth control effects, or approaching menopause. Normal cycles range 21-35 days, but consistent irregularity may indicate underlying conditions affecting ovulation. Please consult a healthcare provider to identify the specific cause through proper evaluation."
+const withReferences = (systemPrompt, passages) => {
+    if (!passages.length) {
+        return systemPrompt;
+    }
 
-ALWAYS answer the specific question asked.`;
+    const references = passages
+        .map((passage, index) => `[${index + 1}] ${passage.title} - ${passage.heading}: ${passage.text}`)
+        .join('\n');
+    return `${systemPrompt}\n\nREFERENCE PASSAGES (from vetted articles):\n${references}\n${REFERENCE_INSTRUCTIONS}`;
+};
 
-const SYMPTOM_SYSTEM_PROMPT = `You are a reproductive health specialist analyzing symptoms. Give specific medical insights about their symptom combination.
+// Best knowledge base passages for a question - a search failure only means an answer without references
+const retrievePassages = async (query) => {
+    try {
+        const passages = await knowledgeBase.search(query);
+        if (passages.length) {
+            logWithTimestamp('Knowledge base passages retrieved', {
+                passages: passages.map(passage => `${passage.id} (${passage.score})`)
+            });
+        }
+        return passages;
+    } catch (error) {
+        logWithTimestamp('Knowledge base search failed - answering without references', { error: error.message });
+        return [];
+    }
+};
 
-RULES:
-- 70-100 words total
-- Start with "Thank you for sharing"
-- Explain what their symptoms suggest medically
-- Mention specific conditions when relevant
-- End with "consult a healthcare provider"
+const ANALYSIS_LIKELIHOODS = ['likely', 'possible', 'less likely'];
+const ANALYSIS_URGENCY_LEVELS = ['routine', 'soon', 'urgent'];
 
-Example:
-Symptoms: irregular periods, acne, weight gain
-Answer: "Thank you for sharing these symptoms. This combination strongly suggests PCOS (Polycystic Ovary Syndrome), where elevated androgen hormones disrupt normal ovulation causing irregular cycles, increase oil production leading to acne, and promote weight gain especially around the waist. These symptoms often occur together because they share the same hormonal root cause - insulin resistance driving excess testosterone production. Please consult a healthcare provider for hormone testing and proper diagnosis."
+// Model-facing symptom text - always English, whatever language the answer is written in
+const SYMPTOM_DESCRIPTIONS = getCatalog(DEFAULT_LOCALE).symptoms;
 
-ALWAYS explain WHY the symptoms occur together medically.`;
+// Rough token estimate (~4 characters per token) used for context budgeting
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
 
 // ============================================================================
-// OPTIMIZED FALLBACK RESPONSES - SHORTER & MORE FOCUSED
+// CONVERSATION CONTEXT - BOUNDED MULTI-TURN HISTORY PER SESSION
 // ============================================================================
 
-const PERFECT_GENERAL_FALLBACK = "I understand you have questions about reproductive health. Common concerns include PCOS (affecting 1 in 10 women with symptoms like irregular periods and weight gain), endometriosis (causing painful periods), thyroid disorders (affecting energy and cycles), and general hormonal imbalances from stress or lifestyle factors. Each condition has specific symptoms and treatment approaches that require proper medical evaluation. Please consult a healthcare provider for personalized guidance based on your specific symptoms.";
-
-const PERFECT_SYMPTOM_FALLBACK = "Thank you for sharing these symptoms. Multiple symptoms appearing together often indicate hormonal imbalances affecting your reproductive system. Common patterns include PCOS (irregular periods with weight gain and acne), thyroid issues (fatigue with cycle changes), or estrogen imbalances (heavy periods with mood changes). These symptoms typically share connected hormonal causes rather than being separate issues. Please consult a healthcare provider for proper hormone testing and evaluation.";
-
-// Symptom mapping for better AI responses
-const SYMPTOM_DESCRIPTIONS = {
-    irregular_periods: 'irregular menstrual cycles',
-    missed_periods: 'absent menstruation',
-    heavy_periods: 'heavy menstrual bleeding',
-    painful_periods: 'severe menstrual pain',
-    weight_gain: 'unexplained weight gain or difficulty losing weight',
-    acne: 'persistent acne or skin issues',
-    hair_growth: 'excess hair growth on face or body',
-    hair_loss: 'hair thinning or male-pattern baldness',
-    fatigue: 'chronic fatigue or low energy',
-    mood_changes: 'mood swings, anxiety, or depression',
-    sleep_issues: 'sleep disturbances or insomnia',
-    fertility_issues: 'difficulty conceiving or fertility concerns',
-    cravings: 'intense food cravings, especially for carbohydrates',
-    headaches: 'frequent headaches or migraines'
+const CONVERSATION_CONFIG = {
+    maxTurns: parseInt(process.env.CONVERSATION_MAX_TURNS, 10) || 6,
+    tokenBudget: parseInt(process.env.CONVERSATION_TOKEN_BUDGET, 10) || 1200,
+    ttlMs: (parseInt(process.env.CONVERSATION_TTL_MINUTES, 10) || 30) * 60 * 1000,
+    maxSessions: 1000
 };
 
-// Utility functions
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+class ConversationStore {
+    static sessions = new Map();
+
+    static isValidSessionId(sessionId) {
+        return typeof sessionId === 'string' && /^[A-Za-z0-9_-]{8,64}$/.test(sessionId);
+    }
 
-const logWithTimestamp = (message, data = null) => {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] ${message}`);
-    if (data) {
-        console.log(JSON.stringify(data, null, 2));
+    static resolveSessionId(sessionId) {
+        return this.isValidSessionId(sessionId) ? sessionId : crypto.randomUUID();
     }
+
+    static getContextMessages(sessionId) {
+        this.pruneExpired();
+
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            return [];
+        }
+
+        // Walk back from the newest turn and keep whole turns while they fit the budget
+        const messages = [];
+        let usedTokens = 0;
+        const recentTurns = session.turns.slice(-CONVERSATION_CONFIG.maxTurns);
+
+        for (let i = recentTurns.length - 1; i >= 0; i--) {
+            const turn = recentTurns[i];
+            const turnTokens = estimateTokens(turn.user) + estimateTokens(turn.assistant);
+
+            if (usedTokens + turnTokens > CONVERSATION_CONFIG.tokenBudget) {
+                break;
+            }
+
+            usedTokens += turnTokens;
+            messages.unshift(
+                { role: 'user', content: turn.user },
+                { role: 'assistant', content: turn.assistant }
+            );
+        }
+
+        return messages;
+    }
+
+    static addTurn(sessionId, userText, assistantText) {
+        const session = this.sessions.get(sessionId) || { turns: [] };
+
+        session.turns.push({ user: userText, assistant: assistantText });
+        if (session.turns.length > CONVERSATION_CONFIG.maxTurns) {
+            session.turns.splice(0, session.turns.length - CONVERSATION_CONFIG.maxTurns);
+        }
+        session.updatedAt = Date.now();
+
+        // Re-insert so the Map stays ordered from least to most recently used
+        this.sessions.delete(sessionId);
+        this.sessions.set(sessionId, session);
+
+        if (this.sessions.size > CONVERSATION_CONFIG.maxSessions) {
+            const oldestId = this.sessions.keys().next().value;
+            this.sessions.delete(oldestId);
+        }
+    }
+
+    static clear(sessionId) {
+        return this.sessions.delete(sessionId);
+    }
+
+    static pruneExpired() {
+        const cutoff = Date.now() - CONVERSATION_CONFIG.ttlMs;
+        for (const [sessionId, session] of this.sessions) {
+            if (session.updatedAt < cutoff) {
+                this.sessions.delete(sessionId);
+            }
+        }
+    }
+}
+
+// Response format rules shared by validation and repair: word limits, required opening,
+// repair sentences and consult wording - see `response` in the locale catalogs
+const getResponseRules = (locale) => getCatalog(locale).response;
+
+// How many times a failed answer is sent back to the model with its issues
+const REPAIR_ATTEMPTS = parseInt(process.env.LLM_REPAIR_ATTEMPTS, 10) >= 0 ? parseInt(process.env.LLM_REPAIR_ATTEMPTS, 10) : 2;
+
+const countWords = (text) => text.trim().split(/\s+/).filter(Boolean).length;
+
+// Sentence-ending punctuation, including the Devanagari danda
+const countSentences = (text) => text.split(/[.!?\u0964]+/).filter(s => s.trim().length > 0).length;
+
+const mentionsHealthcareProvider = (text, locale = DEFAULT_LOCALE) => {
+    const lowerText = text.toLowerCase();
+    return getResponseRules(locale).consultTerms.some(term => lowerText.includes(term));
 };
 
 // Enhanced validation function - simplified and focused
-const validateResponse = (text, isSymptomMode = false) => {
-    const maxWords = 100;
-    const minWords = 70;
+const validateResponse = (text, isSymptomMode = false, locale = DEFAULT_LOCALE) => {
+    const rules = getResponseRules(locale);
+    const maxWords = rules.wordLimits.max;
+    const minWords = rules.wordLimits.min;
     
     // Count words
     const wordCount = text.trim().split(/\s+/).length;
     
     // Check required patterns - simplified
-    const hasRequiredStart = isSymptomMode ? 
-        text.startsWith('Thank you for sharing') : 
-        text.startsWith('I understand');
+    const hasRequiredStart = text.startsWith(rules.openings[isSymptomMode ? 'symptom' : 'general']);
     
-    const hasHealthcareRecommendation = text.toLowerCase().includes('healthcare provider') ||
-                                       text.toLowerCase().includes('consult');
+    const hasHealthcareRecommendation = mentionsHealthcareProvider(text, locale);
     
     // Simple validation - just check basics
     const isValid = hasRequiredStart && 
@@ -162,246 +311,570 @@ const validateResponse = (text, isSymptomMode = false) => {
     };
 };
 
+// Optional symptom details: severity (1-5), duration in weeks and how often it happens
+const SYMPTOM_FREQUENCIES = ['occasional', 'frequent', 'constant'];
+
+// Accepts a plain symptom id or { id, severity, durationWeeks, frequency }; returns null for unknown ids
+const normalizeSymptomInput = (entry) => {
+    const input = typeof entry === 'string' ? { id: entry } : entry;
+
+    if (!input || typeof input.id !== 'string' || !SYMPTOM_DESCRIPTIONS.hasOwnProperty(input.id)) {
+        return null;
+    }
+
+    const severity = Number(input.severity);
+    const durationWeeks = Number(input.durationWeeks);
+    const frequency = typeof input.frequency === 'string' ? input.frequency.toLowerCase().trim() : null;
+
+    return {
+        id: input.id,
+        severity: Number.isInteger(severity) && severity >= 1 && severity <= 5 ? severity : null,
+        durationWeeks: input.durationWeeks != null && Number.isFinite(durationWeeks) && durationWeeks >= 0
+            ? Math.min(durationWeeks, 520)
+            : null,
+        frequency: SYMPTOM_FREQUENCIES.includes(frequency) ? frequency : null
+    };
+};
+
+// Normalizes a request's symptom list, dropping unknown ids and duplicates
+const normalizeSymptomList = (symptoms) => symptoms
+    .map(normalizeSymptomInput)
+    .filter(Boolean)
+    .filter((symptom, index, list) => list.findIndex(other => other.id === symptom.id) === index);
+
+// "persistent acne or skin issues (severe, 4/5, for about 12 months, constant)" - model-facing, so English
+const describeSymptom = (symptom) => {
+    const { severity, duration } = getCatalog(DEFAULT_LOCALE).symptomDetails;
+    const details = [];
+
+    if (symptom.severity) {
+        details.push(`${severity[symptom.severity]}, ${symptom.severity}/5`);
+    }
+    if (symptom.durationWeeks !== null) {
+        details.push(`for ${duration(symptom.durationWeeks)}`);
+    }
+    if (symptom.frequency) {
+        details.push(symptom.frequency);
+    }
+
+    const description = SYMPTOM_DESCRIPTIONS[symptom.id] || symptom.id;
+    return details.length ? `${description} (${details.join(', ')})` : description;
+};
+
+// Pulls the JSON object out of a completion (models sometimes wrap it in prose or code fences)
+const parseJSONObject = (text) => {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+        return null;
+    }
+};
+
+const cleanStringList = (list, maxItems) => (Array.isArray(list) ? list : [])
+    .filter(item => typeof item === 'string' && item.trim().length > 0)
+    .map(item => item.trim().substring(0, 200))
+    .slice(0, maxItems);
+
+// Validates and normalizes the structured symptom analysis returned by the model
+const validateSymptomAnalysis = (data) => {
+    const issues = [];
+
+    if (!data || typeof data !== 'object') {
+        return { isValid: false, issues: ['The reply was not a JSON object.'], analysis: null };
+    }
+
+    if (typeof data.text !== 'string' || data.text.trim().length === 0) {
+        issues.push('"text" must be the written answer following the RULES.');
+    }
+
+    const conditions = (Array.isArray(data.conditions) ? data.conditions : [])
+        .filter(condition => condition && typeof condition.name === 'string' && condition.name.trim())
+        .slice(0, 4)
+        .map(condition => {
+            const likelihood = String(condition.likelihood || '').toLowerCase().trim();
+            return {
+                name: condition.name.trim().substring(0, 100),
+                likelihood: ANALYSIS_LIKELIHOODS.includes(likelihood) ? likelihood : 'possible',
+                explanation: typeof condition.explanation === 'string' ? condition.explanation.trim().substring(0, 300) : ''
+            };
+        });
+
+    if (conditions.length === 0) {
+        issues.push('"conditions" must list 1-4 possible conditions with name, likelihood and explanation.');
+    }
+
+    const urgency = String(data.urgency || '').toLowerCase().trim();
+    if (!ANALYSIS_URGENCY_LEVELS.includes(urgency)) {
+        issues.push(`"urgency" must be one of: ${ANALYSIS_URGENCY_LEVELS.join(', ')}.`);
+    }
+
+    const suggestedTests = cleanStringList(data.suggestedTests, 5);
+    const lifestyleSteps = cleanStringList(data.lifestyleSteps, 5);
+
+    if (suggestedTests.length === 0) {
+        issues.push('"suggestedTests" must list tests a doctor may order.');
+    }
+    if (lifestyleSteps.length === 0) {
+        issues.push('"lifestyleSteps" must list practical self-care steps.');
+    }
+
+    return {
+        isValid: issues.length === 0,
+        issues,
+        text: typeof data.text === 'string' ? data.text : '',
+        analysis: { conditions, urgency, suggestedTests, lifestyleSteps }
+    };
+};
+
 // Service classes for better organization
 class OpenRouterService {
-    static async generateResponse(userInput, systemPrompt = GENERAL_SYSTEM_PROMPT) {
-        const isSymptomMode = systemPrompt === SYMPTOM_SYSTEM_PROMPT;
-        
-        try {
-            logWithTimestamp('Generating AI response from OpenRouter...');
-            
-            const response = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-                method: "POST",
-                headers: {
-                    "Authorization": `Bearer ${OPENROUTER_API_KEY}`,
-                    "Content-Type": "application/json",
-                    "HTTP-Referer": process.env.APP_URL || "http://localhost:3000",
-                    "X-Title": "She Nurtures AI Assistant"
-                },
-                body: JSON.stringify({
-                    model: "mistralai/mistral-small-3.2-24b-instruct:free",
-                    messages: [
-                        { role: "system", content: systemPrompt },
-                        { role: "user", content: userInput }
-                    ],
-                    temperature: 0.3, // Reduced for more consistent responses
-                    max_tokens: 150,  // Reduced from 200
-                    top_p: 0.7,       // Reduced for more focused responses
-                    frequency_penalty: 0.4, // Increased to avoid repetition
-                    presence_penalty: 0.3
-                })
-            });
+    // Sampling parameters shared by every provider
+    static GENERATION_PARAMS = {
+        temperature: 0.3, // Reduced for more consistent responses
+        max_tokens: 150,  // Reduced from 200
+        top_p: 0.7,       // Reduced for more focused responses
+        frequency_penalty: 0.4, // Increased to avoid repetition
+        presence_penalty: 0.3
+    };
+
+    // Sampling parameters for a request - an experiment variant may override any of them
+    static generationParams(variant = null) {
+        return variant ? { ...this.GENERATION_PARAMS, ...variant.params } : this.GENERATION_PARAMS;
+    }
+
+    // modelRouter.execute options for a request - a variant's model goes to the front of the chain
+    static routeOptions(variant = null, options = {}) {
+        return { ...options, model: variant ? variant.model : null };
+    }
+
+    static buildMessages(userInput, systemPrompt, history) {
+        return [
+            { role: "system", content: systemPrompt },
+            ...history,
+            { role: "user", content: userInput }
+        ];
+    }
+
+    static cleanResponseText(text) {
+        // Clean up common formatting issues
+        return text
+            .replace(/\*\*(.*?)\*\*/g, '$1') // Remove bold formatting
+            .replace(/\*(.*?)\*/g, '$1')     // Remove italic formatting  
+            .replace(/\n\s*-\s*/g, ' ')      // Remove bullet points
+            .replace(/\n\s*\d+\.\s*/g, ' ')  // Remove numbered lists
+            .replace(/\s+/g, ' ')            // Normalize whitespace
+            .trim();
+    }
+
+    // Cheap fixes that need no extra model call: add the required opening, drop a cut-off
+    // trailing fragment, trim to the last full sentence within the limit, append the consult line
+    static applyDeterministicFixes(text, isSymptomMode, locale = DEFAULT_LOCALE) {
+        const mode = isSymptomMode ? 'symptom' : 'general';
+        const rules = getResponseRules(locale);
+        // Sentences end in . ! ? or the Devanagari danda (\u0964)
+        let sentences = (text.match(/[^.!?\u0964]+[.!?\u0964]+["')\]]*|[^.!?\u0964]+$/g) || [])
+            .map(sentence => sentence.trim())
+            .filter(Boolean);
+
+        if (sentences.length > 1 && !/[.!?\u0964]["')\]]*$/.test(sentences[sentences.length - 1])) {
+            sentences.pop();
+        }
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`OpenRouter API error: ${response.status} - ${errorText}`);
+        if (!text.startsWith(rules.openings[mode])) {
+            sentences.unshift(rules.repairOpenings[mode]);
+        }
+
+        // Keep an existing closing consult sentence, otherwise reserve room for ours
+        let closing = rules.consultLine;
+        if (sentences.length > 1 && mentionsHealthcareProvider(sentences[sentences.length - 1], locale)) {
+            closing = sentences.pop();
+        }
+
+        const budget = rules.wordLimits.max - countWords(closing);
+        const kept = [];
+        for (const sentence of sentences) {
+            if (countWords([...kept, sentence].join(' ')) > budget) break;
+            kept.push(sentence);
+        }
+
+        if (closing !== rules.consultLine || !mentionsHealthcareProvider(kept.join(' '), locale)) {
+            kept.push(closing);
+        }
+
+        return kept.join(' ');
+    }
+
+    static describeIssues(validation, isSymptomMode, locale = DEFAULT_LOCALE) {
+        const mode = isSymptomMode ? 'symptom' : 'general';
+        const rules = getResponseRules(locale);
+        const { repair } = getCatalog(locale);
+        const problems = [];
+
+        if (validation.issues.wrongStart) {
+            problems.push(repair.wrongStart(rules.openings[mode]));
+        }
+        if (validation.issues.noHealthcareRec) {
+            problems.push(repair.noHealthcareRec(rules.consultLine));
+        }
+        if (validation.issues.wrongLength) {
+            problems.push(repair.wrongLength(rules.wordLimits.min, rules.wordLimits.max, validation.wordCount));
+        }
+
+        return problems;
+    }
+
+    // Medical-safety pass on an answer that already meets the format rules. Returns { text, interventions };
+    // text is null when the answer was blocked or the filter's edits could not be made to fit the rules.
+    static screenResponse(text, isSymptomMode, locale, userText) {
+        const review = SafetyFilter.review(text, { locale, mode: isSymptomMode ? 'symptom' : 'general', userText });
+        if (!review.interventions.length || review.blocked) {
+            return { text: review.text, interventions: review.interventions };
+        }
+
+        // Removed sentences can leave the answer short or without its opening
+        const fixed = validateResponse(review.text, isSymptomMode, locale).isValid
+            ? review.text
+            : this.applyDeterministicFixes(review.text, isSymptomMode, locale);
+        return {
+            text: validateResponse(fixed, isSymptomMode, locale).isValid ? fixed : null,
+            interventions: review.interventions
+        };
+    }
+
+    // Turns a raw completion into a valid, safe answer: as-is, deterministic fix, re-prompting the
+    // model with the specific issues, and only then the perfect fallback.
+    // Resolves with { text, path, repairAttempts, model, safety } - safety lists the safety filter's
+    // reason codes for every intervention along the way.
+    static async resolveResponse(rawText, messages, model, isSymptomMode, locale = DEFAULT_LOCALE, variant = null) {
+        let candidate = this.cleanResponseText(rawText.trim());
+        let answeringModel = model;
+        const userMessage = [...messages].reverse().find(message => message.role === 'user');
+        const safety = new Set();
+        // Repair requests actually sent - a failed request ends the loop early
+        let repairsRequested = 0;
+
+        logWithTimestamp('Raw AI response received', { 
+            textLength: candidate.length,
+            wordCount: countWords(candidate),
+            preview: candidate.substring(0, 100),
+            isSymptomMode: isSymptomMode,
+            locale
+        });
+
+        for (let repairAttempt = 0; repairAttempt <= REPAIR_ATTEMPTS; repairAttempt++) {
+            const validation = validateResponse(candidate, isSymptomMode, locale);
+            let answer = null;
+            let path = null;
+
+            if (validation.isValid) {
+                logWithTimestamp('AI response passed validation', { wordCount: validation.wordCount, repairAttempt });
+                answer = candidate;
+                path = repairAttempt === 0 ? 'model' : 'regenerated';
+            } else {
+                const fixed = this.applyDeterministicFixes(candidate, isSymptomMode, locale);
+                if (validateResponse(fixed, isSymptomMode, locale).isValid) {
+                    logWithTimestamp('AI response repaired deterministically', {
+                        issues: validation.issues,
+                        wordCount: countWords(fixed),
+                        repairAttempt
+                    });
+                    answer = fixed;
+                    path = 'deterministic-fix';
+                }
             }
 
-            const data = await response.json();
-            
-            if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-                throw new Error('Invalid response structure from OpenRouter');
+            let problems;
+            if (answer) {
+                const screened = this.screenResponse(answer, isSymptomMode, locale, userMessage && userMessage.content);
+                screened.interventions.forEach(intervention => safety.add(intervention.reason));
+
+                if (screened.text) {
+                    return {
+                        text: screened.text,
+                        path,
+                        repairAttempts: repairAttempt,
+                        model: answeringModel,
+                        safety: [...safety]
+                    };
+                }
+                problems = SafetyFilter.describe(screened.interventions, locale);
             }
 
-            let aiText = data.choices[0].message.content.trim();
-            
-            // Clean up common formatting issues
-            aiText = aiText
-                .replace(/\*\*(.*?)\*\*/g, '$1') // Remove bold formatting
-                .replace(/\*(.*?)\*/g, '$1')     // Remove italic formatting  
-                .replace(/\n\s*-\s*/g, ' ')      // Remove bullet points
-                .replace(/\n\s*\d+\.\s*/g, ' ')  // Remove numbered lists
-                .replace(/\s+/g, ' ')            // Normalize whitespace
-                .trim();
-            
-            logWithTimestamp('Raw AI response received', { 
-                textLength: aiText.length,
-                wordCount: aiText.split(/\s+/).length,
-                preview: aiText.substring(0, 100),
-                isSymptomMode: isSymptomMode
-            });
-            
-            // Validate the response with stricter criteria
-            const validation = validateResponse(aiText, isSymptomMode);
-            
-            if (!validation.isValid) {
-                logWithTimestamp('AI response failed validation, using perfect fallback', {
-                    ...validation,
-                    originalResponse: aiText.substring(0, 200)
+            if (repairAttempt === REPAIR_ATTEMPTS) {
+                logWithTimestamp(`AI response failed ${answer ? 'the safety filter' : 'validation'}, using perfect fallback`, {
+                    ...(answer ? { safety: [...safety] } : validation),
+                    originalResponse: candidate.substring(0, 200)
+                });
+                break;
+            }
+
+            if (answer) {
+                logWithTimestamp('AI response failed the safety filter, asking the model to repair it', {
+                    safety: [...safety],
+                    repairAttempt: repairAttempt + 1
                 });
-                aiText = isSymptomMode ? PERFECT_SYMPTOM_FALLBACK : PERFECT_GENERAL_FALLBACK;
             } else {
-                logWithTimestamp('AI response passed validation', {
+                problems = this.describeIssues(validation, isSymptomMode, locale);
+                logWithTimestamp('AI response failed validation, asking the model to repair it', {
+                    issues: validation.issues,
                     wordCount: validation.wordCount,
-                    sentenceCount: validation.sentenceCount
+                    repairAttempt: repairAttempt + 1
                 });
             }
-            
-            return aiText;
-        } catch (error) {
-            logWithTimestamp('OpenRouter service error', { error: error.message });
-            return isSymptomMode ? PERFECT_SYMPTOM_FALLBACK : PERFECT_GENERAL_FALLBACK;
+
+            repairsRequested++;
+            try {
+                const repaired = await modelRouter.execute((routedModel, signal) => llmProvider.complete(
+                    [
+                        ...messages,
+                        { role: 'assistant', content: candidate },
+                        {
+                            role: 'user',
+                            content: getCatalog(locale).repair.request(problems)
+                        }
+                    ],
+                    { ...this.generationParams(variant), model: routedModel },
+                    signal
+                ), this.routeOptions(variant));
+                candidate = this.cleanResponseText(repaired.text.trim());
+                answeringModel = repaired.model;
+            } catch (error) {
+                logWithTimestamp('Repair request failed, using perfect fallback', { error: error.message });
+                break;
+            }
         }
-    }
 
-    static async generateSymptomResponse(symptoms) {
-        try {
-            const symptomDescriptions = symptoms.map(symptom => 
-                SYMPTOM_DESCRIPTIONS[symptom] || symptom
-            ).join(', ');
+        return {
+            ...this.fallbackResult(isSymptomMode, locale),
+            repairAttempts: repairsRequested,
+            safety: [...safety]
+        };
+    }
 
-            // More focused user query for better AI responses
-            const userQuery = `I have these symptoms: ${symptomDescriptions}. Are these related to PCOS or hormonal issues?`;
+    static fallbackResult(isSymptomMode, locale = DEFAULT_LOCALE) {
+        const fallback = promptRegistry.render(isSymptomMode ? 'fallback-symptom' : 'fallback-general', locale, promptVariables(locale));
+        return {
+            text: fallback.text,
+            model: null,
+            path: 'fallback',
+            promptVersion: fallback.id,
+            repairAttempts: 0,
+            citations: [],
+            safety: []
+        };
+    }
 
-            logWithTimestamp('Generating symptom analysis', { 
-                symptoms: symptomDescriptions,
-                count: symptoms.length 
-            });
+    // Follow-ups such as "how is it treated?" borrow the terms of the previous question
+    static retrievalQuery(userInput, history = []) {
+        const previous = [...history].reverse().find(message => message.role === 'user');
+        return previous ? `${previous.content} ${userInput}` : userInput;
+    }
 
-            const response = await this.generateResponse(userQuery, SYMPTOM_SYSTEM_PROMPT);
-            return response;
-        } catch (error) {
-            logWithTimestamp('Symptom analysis error', { error: error.message });
-            return PERFECT_SYMPTOM_FALLBACK;
-        }
+    // Sources the model was given for an answer; the canned fallback never saw them
+    static citationsFor(result, passages) {
+        return result.path === 'fallback' ? [] : KnowledgeBase.citationsFor(passages);
     }
-}
 
-class AzureTTSService {
-    static VOICE_CONFIGS = [
-        {
-            name: "Aria (Friendly Female)",
-            voiceName: "en-US-AriaNeural",
-            style: "cheerful",
-            gender: "Female"
-        },
-        {
-            name: "Jenny (Warm Female)",
-            voiceName: "en-US-JennyNeural",
-            style: "friendly",
-            gender: "Female"
-        },
-        {
-            name: "Sara (Gentle Female)",
-            voiceName: "en-US-SaraNeural",
-            style: "gentle",
-            gender: "Female"
-        }
-    ];
-
-    static async testConnection() {
+    // Resolves with { text, model, attempts, path, repairAttempts, citations, promptVersion } - model is null
+    // when the canned fallback was used, and promptVersion then names the fallback template.
+    // variant is the session's experiment variant (see ExperimentManager.assign), if any.
+    static async generateResponse(userInput, mode = 'general', locale = DEFAULT_LOCALE, history = [], variant = null) {
+        const isSymptomMode = mode === 'symptom';
+        const systemPrompt = getSystemPrompt(mode, locale, variant && variant.promptVersion);
+        
         try {
-            logWithTimestamp('Testing Azure TTS connection...');
+            logWithTimestamp(`Generating AI response from ${llmProvider.name}...`, history.length ? {
+                contextMessages: history.length
+            } : null);
             
-            const testEndpoint = `https://${AZURE_SPEECH_REGION}.tts.speech.microsoft.com/cognitiveservices/voices/list`;
-            
-            const response = await fetch(testEndpoint, {
-                method: 'GET',
-                headers: {
-                    'Ocp-Apim-Subscription-Key': AZURE_SPEECH_KEY
-                }
-            });
-
-            if (response.ok) {
-                logWithTimestamp('Azure TTS connection successful');
-                return true;
-            } else {
-                logWithTimestamp('Azure connection test failed', { 
-                    status: response.status,
-                    statusText: response.statusText 
-                });
-                return false;
-            }
+            const passages = await retrievePassages(this.retrievalQuery(userInput, history));
+            const messages = this.buildMessages(userInput, withReferences(systemPrompt.text, passages), history);
+            const completion = await modelRouter.execute((model, signal) => llmProvider.complete(
+                messages,
+                { ...this.generationParams(variant), model },
+                signal
+            ), this.routeOptions(variant));
+
+            const result = await this.resolveResponse(completion.text, messages, completion.model, isSymptomMode, locale, variant);
+            return {
+                promptVersion: systemPrompt.version,
+                ...result,
+                attempts: completion.attempts,
+                citations: this.citationsFor(result, passages)
+            };
         } catch (error) {
-            logWithTimestamp('Azure connection test error', { error: error.message });
-            return false;
+            logWithTimestamp('LLM service error', { error: error.message });
+            return this.fallbackResult(isSymptomMode, locale);
         }
     }
 
-    static async generateSpeech(text, voiceIndex = 0) {
+    // Streaming variant: calls onToken for each delta as it arrives and resolves with the
+    // validated final result (whose text may differ from the streamed text if validation or the safety
+    // filter changed it - the route then sends a replace event)
+    static async streamResponse(userInput, mode = 'general', locale = DEFAULT_LOCALE, history = [], onToken = () => {}, signal = null, variant = null) {
+        const isSymptomMode = mode === 'symptom';
+        const systemPrompt = getSystemPrompt(mode, locale, variant && variant.promptVersion);
+        let tokensSent = false;
+
         try {
-            logWithTimestamp('Starting Azure TTS generation...');
-            
-            const sanitizedText = text.trim();
-            
-            if (!sanitizedText || sanitizedText.length < 5) {
-                throw new Error('Text is too short for audio generation');
+            logWithTimestamp(`Streaming AI response from ${llmProvider.name}...`, history.length ? {
+                contextMessages: history.length
+            } : null);
+
+            // Once tokens reached the client a retry would duplicate text, so only retry before that
+            const passages = await retrievePassages(this.retrievalQuery(userInput, history));
+            const messages = this.buildMessages(userInput, withReferences(systemPrompt.text, passages), history);
+            const completion = await modelRouter.execute((model, attemptSignal, { onFirstToken }) => llmProvider.stream(
+                messages,
+                { ...this.generationParams(variant), model },
+                (token) => {
+                    if (!tokensSent) {
+                        onFirstToken();
+                    }
+                    tokensSent = true;
+                    onToken(token);
+                },
+                attemptSignal
+            ), this.routeOptions(variant, { signal, canRetry: () => !tokensSent }));
+
+            if (!completion.text.trim()) {
+                throw new Error(`Empty streamed response from ${llmProvider.name}`);
             }
-            
-            const processedText = sanitizedText.substring(0, 1000);
-            const selectedVoice = this.VOICE_CONFIGS[voiceIndex] || this.VOICE_CONFIGS[0];
-            
-            const ssml = this.generateSSML(processedText, selectedVoice);
-            const audioBuffer = await this.callAzureTTS(ssml);
-            const audioBase64 = audioBuffer.toString('base64');
-            
-            logWithTimestamp('Azure TTS generation completed successfully!');
+
+            const result = await this.resolveResponse(completion.text, messages, completion.model, isSymptomMode, locale, variant);
             return {
-                audioData: audioBase64,
-                mimeType: 'audio/wav',
-                voiceName: selectedVoice.name
+                promptVersion: systemPrompt.version,
+                ...result,
+                attempts: completion.attempts,
+                citations: this.citationsFor(result, passages)
             };
-
         } catch (error) {
-            logWithTimestamp('Azure TTS service error', { error: error.message });
-            throw new Error(`Azure TTS generation failed: ${error.message}`);
+            logWithTimestamp('LLM streaming error', { error: error.message });
+            return this.fallbackResult(isSymptomMode, locale);
         }
     }
 
-    static generateSSML(text, voiceConfig) {
-        const ssml = `
-            <speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="en-US">
-                <voice name="${voiceConfig.voiceName}">
-                    <prosody rate="0.9" pitch="+0Hz">
-                        ${this.escapeSSML(text)}
-                    </prosody>
-                </voice>
-            </speak>
-        `.trim();
-        
-        return ssml;
-    }
+    // Asks for the structured analysis JSON, re-prompting with format issues when needed.
+    // Resolves with { analysis, analysisPath, proseText, model, attempts }.
+    static async generateSymptomAnalysis(messages, locale = DEFAULT_LOCALE, variant = null) {
+        const params = { ...this.generationParams(variant), max_tokens: 600 }; // JSON needs more room than prose
+        const complete = (conversation) => modelRouter.execute((model, signal) => llmProvider.complete(
+            conversation,
+            { ...params, model },
+            signal
+        ), this.routeOptions(variant));
+
+        let completion = await complete(messages);
+        let structured = validateSymptomAnalysis(parseJSONObject(completion.text));
+        let analysisPath = 'model';
+
+        for (let repairAttempt = 1; !structured.isValid && repairAttempt <= REPAIR_ATTEMPTS; repairAttempt++) {
+            logWithTimestamp('Symptom analysis JSON failed validation, asking the model to repair it', {
+                issues: structured.issues,
+                repairAttempt
+            });
 
-    static escapeSSML(text) {
-        return text
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&apos;');
+            completion = await complete([
+                ...messages,
+                { role: 'assistant', content: completion.text },
+                {
+                    role: 'user',
+                    content: getCatalog(locale).repair.analysisFormat(structured.issues)
+                }
+            ]);
+            structured = validateSymptomAnalysis(parseJSONObject(completion.text));
+            analysisPath = 'regenerated';
+        }
+
+        if (!structured.isValid) {
+            logWithTimestamp('Symptom analysis JSON unusable, using structured fallback', { issues: structured.issues });
+        }
+
+        return {
+            analysis: structured.isValid ? structured.analysis : getCatalog(locale).fallbacks.analysis,
+            analysisPath: structured.isValid ? analysisPath : 'fallback',
+            // A model that ignored the JSON format may still have written a usable prose answer
+            proseText: structured.text || (completion.text.includes('{') ? '' : completion.text),
+            model: completion.model,
+            attempts: completion.attempts
+        };
     }
 
-    static async callAzureTTS(ssml) {
+    // symptoms are normalized { id, severity, durationWeeks, frequency } objects and
+    // cycleSummary is the optional summarizeCycleHistory() result from the user's tracker.
+    // The query stays English; the locale's prompts decide the answer language.
+    // Resolves with the generateResponse shape (including citations) plus { analysis, analysisPath }
+    static async generateSymptomResponse(symptoms, notes = '', cycleSummary = null, locale = DEFAULT_LOCALE, variant = null) {
         try {
-            const endpoint = `https://${AZURE_SPEECH_REGION}.tts.speech.microsoft.com/cognitiveservices/v1`;
-            
-            const response = await fetch(endpoint, {
-                method: 'POST',
-                headers: {
-                    'Ocp-Apim-Subscription-Key': AZURE_SPEECH_KEY,
-                    'Content-Type': 'application/ssml+xml',
-                    'X-Microsoft-OutputFormat': 'audio-24khz-48kbitrate-mono-mp3',
-                    'User-Agent': 'SheNurtures/2.0'
-                },
-                body: ssml
-            });
+            const symptomDescriptions = symptoms.map(describeSymptom).join('; ');
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Azure TTS API Error: ${response.status} - ${errorText}`);
+            // More focused user query for better AI responses
+            let userQuery = `I have these symptoms: ${symptomDescriptions}. Are these related to PCOS or hormonal issues?`;
+            if (cycleSummary) {
+                userQuery += ` My logged cycle history: ${cycleSummary.text}.`;
             }
-
-            const audioBuffer = await response.buffer();
-            
-            if (!audioBuffer || audioBuffer.length === 0) {
-                throw new Error('Empty audio response from Azure TTS');
+            if (notes) {
+                userQuery += ` Additional details: "${notes}"`;
             }
 
-            return audioBuffer;
+            logWithTimestamp('Generating symptom analysis', { 
+                symptoms: symptomDescriptions,
+                count: symptoms.length,
+                locale,
+                cycleDataPoints: cycleSummary ? cycleSummary.dataPoints.length : 0
+            });
+
+            const templateVersion = variant && variant.promptVersion;
+            const analysisPrompt = getSystemPrompt('analysis', locale, templateVersion);
+            const symptomPrompt = getSystemPrompt('symptom', locale, templateVersion);
+            const passages = await retrievePassages(`${symptomDescriptions} ${notes}`);
+            const structured = await this.generateSymptomAnalysis(
+                this.buildMessages(userQuery, withReferences(analysisPrompt.text, passages), []),
+                locale,
+                variant
+            );
+
+            // The spoken answer goes through the same validation and repair as general chat;
+            // without one in the JSON, ask for the prose answer on its own
+            const prose = structured.proseText.trim()
+                ? await this.resolveResponse(
+                    structured.proseText,
+                    this.buildMessages(userQuery, withReferences(symptomPrompt.text, passages), []),
+                    structured.model,
+                    true,
+                    locale,
+                    variant
+                )
+                : await this.generateResponse(userQuery, 'symptom', locale, [], variant);
+
+            // The results cards are shown too, so their fields get the same safety screening (not the canned ones)
+            const screened = structured.analysisPath === 'fallback'
+                ? { analysis: structured.analysis, interventions: [] }
+                : SafetyFilter.reviewAnalysis(structured.analysis, { locale, mode: 'symptom', userText: userQuery });
 
+            return {
+                promptVersion: structured.analysisPath === 'fallback' ? symptomPrompt.version : analysisPrompt.version,
+                ...prose,
+                // generateResponse ran its own search when it wrote the prose answer
+                citations: prose.citations || this.citationsFor(prose, passages),
+                safety: [...new Set([...prose.safety, ...screened.interventions.map(intervention => intervention.reason)])],
+                attempts: structured.attempts,
+                analysis: screened.analysis,
+                analysisPath: structured.analysisPath
+            };
         } catch (error) {
-            logWithTimestamp('Failed to call Azure TTS API', { error: error.message });
-            throw error;
+            logWithTimestamp('Symptom analysis error', { error: error.message });
+            return {
+                ...this.fallbackResult(true, locale),
+                analysis: getCatalog(locale).fallbacks.analysis,
+                analysisPath: 'fallback'
+            };
         }
     }
 }
@@ -412,6 +885,7 @@ class FallbackResponseService {
         logWithTimestamp(`Using fallback response (text-only) for ${type} mode`);
         return {
             audioData: null,
+            audioUrl: null,
             text: text,
             isFallback: true,
             service: 'fallback',
@@ -420,12 +894,184 @@ class FallbackResponseService {
     }
 }
 
+// Voice used for each answer type when the request does not pick one (index into the locale's voices)
+const DEFAULT_VOICE_INDEX = {
+    general: 0,
+    symptom: 2,
+    triage: 2
+};
+
+// Reads voice, rate, pitch, style and the playable audio formats from the body (query for GET)
+// into req.voiceSettings
+const readVoiceSettings = (req, res, next) => {
+    try {
+        const params = (req.method === 'GET' ? req.query : req.body) || {};
+        req.voiceSettings = {
+            ...parseVoiceSettings(params),
+            formats: parseAudioFormats(params.formats)
+        };
+        next();
+    } catch (error) {
+        res.status(error.status || 400).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Keeps a fresh clip in the audio cache and returns its URL, or null when it has to be sent inline
+const storeResponseAudio = async (cacheId, ttsResult) => {
+    try {
+        const stored = await audioCache.put(cacheId, Buffer.from(ttsResult.audioData, 'base64'), {
+            mimeType: ttsResult.mimeType,
+            service: ttsResult.service,
+            voiceName: ttsResult.voiceName,
+            voiceId: ttsResult.voiceId,
+            speechMarks: ttsResult.speechMarks || null
+        });
+        return stored ? `/api/audio/${cacheId}` : null;
+    } catch (error) {
+        logWithTimestamp('Audio cache write failed - sending audio inline', { error: error.message });
+        return null;
+    }
+};
+
+// Synthesizes speech with the active TTS engine, falling back to a text-only response.
+// speech: { locale, voiceIndex, voice, rate, pitch, style, formats }
+// Audio comes back as audioUrl (GET /api/audio/:id); audioData (base64) is only set when caching is off.
+const synthesizeResponseAudio = async (text, type = 'general', speech = {}) => {
+    if (ttsEngine.name === 'none') {
+        return {
+            audioData: null,
+            audioUrl: null,
+            text: text,
+            isFallback: false,
+            service: 'none',
+            mode: type
+        };
+    }
+
+    const { formats = [], ...settings } = speech;
+    const request = {
+        locale: DEFAULT_LOCALE,
+        voiceIndex: DEFAULT_VOICE_INDEX[type] || 0,
+        ...settings,
+        format: negotiateAudioFormat(formats, ttsEngine.formats)
+    };
+    const cacheId = AudioCache.keyFor({ text, engine: ttsEngine.name, ...request });
+
+    try {
+        const cached = await audioCache.get(cacheId).catch(() => null);
+        if (cached) {
+            return {
+                audioData: null,
+                audioUrl: `/api/audio/${cacheId}`,
+                text: text,
+                isFallback: false,
+                service: cached.meta.service,
+                voiceName: cached.meta.voiceName,
+                voiceId: cached.meta.voiceId,
+                mimeType: cached.meta.mimeType,
+                speechMarks: cached.meta.speechMarks || null,
+                audioCached: true,
+                mode: type
+            };
+        }
+
+        const ttsResult = await ttsEngine.generateSpeech(text, request);
+        const audioUrl = await storeResponseAudio(cacheId, ttsResult);
+
+        return {
+            audioData: audioUrl ? null : ttsResult.audioData,
+            audioUrl,
+            text: text,
+            isFallback: false,
+            service: ttsResult.service,
+            voiceName: ttsResult.voiceName,
+            voiceId: ttsResult.voiceId,
+            mimeType: ttsResult.mimeType,
+            speechMarks: ttsResult.speechMarks || null,
+            audioCached: false,
+            mode: type
+        };
+    } catch (ttsError) {
+        logWithTimestamp(`TTS (${ttsEngine.name}) failed for ${type} mode, using fallback`, { error: ttsError.message });
+        return FallbackResponseService.generateFallbackResponse(text, type);
+    }
+};
+
+// Builds the response payload for a red-flag triage match (no LLM call was made)
+const buildTriageResponse = async (triageResult, mode, startTime, locale, voiceSettings = {}, extra = {}) => {
+    const text = TriageService.messageFor(triageResult, locale);
+    const audioResponse = await synthesizeResponseAudio(text, mode, {
+        ...voiceSettings,
+        locale,
+        voiceIndex: DEFAULT_VOICE_INDEX.triage
+    });
+
+    return {
+        audioData: audioResponse.audioData,
+        audioUrl: audioResponse.audioUrl,
+        text,
+        isFallback: audioResponse.isFallback,
+        service: audioResponse.service,
+        voiceName: audioResponse.voiceName,
+        voiceId: audioResponse.voiceId,
+        mimeType: audioResponse.mimeType,
+        speechMarks: audioResponse.speechMarks || null,
+        citations: [],
+        model: null,
+        mode,
+        locale,
+        triage: triageResult.triage,
+        triageCategory: triageResult.category,
+        ...extra,
+        processingTime: Date.now() - startTime,
+        stats: {
+            wordCount: text.split(/\s+/).length,
+            responsePath: 'triage',
+            triageRule: triageResult.rule
+        }
+    };
+};
+
+// Builds the response payload for a message the input guard refused (no LLM call was made)
+const buildGuardResponse = async (guardResult, startTime, locale, voiceSettings = {}, extra = {}) => {
+    const text = InputGuard.messageFor(guardResult, locale);
+    const audioResponse = await synthesizeResponseAudio(text, 'general', { ...voiceSettings, locale });
+
+    return {
+        audioData: audioResponse.audioData,
+        audioUrl: audioResponse.audioUrl,
+        text,
+        isFallback: audioResponse.isFallback,
+        service: audioResponse.service,
+        voiceName: audioResponse.voiceName,
+        voiceId: audioResponse.voiceId,
+        mimeType: audioResponse.mimeType,
+        speechMarks: audioResponse.speechMarks || null,
+        citations: [],
+        model: null,
+        mode: 'general',
+        locale,
+        guard: guardResult.guard,
+        ...extra,
+        processingTime: Date.now() - startTime,
+        stats: {
+            wordCount: text.split(/\s+/).length,
+            responsePath: 'guard',
+            guardRule: guardResult.rule
+        }
+    };
+};
+
 // Main chat endpoint (General Mode)
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', readVoiceSettings, async (req, res) => {
     const startTime = Date.now();
     
     try {
-        const { text: userInput, mode = 'general' } = req.body;
+        const { text: userInput, mode = 'general', sessionId: requestedSessionId } = req.body;
+        const locale = resolveLocale(req.body.locale);
 
         if (!userInput || typeof userInput !== 'string' || userInput.trim().length === 0) {
             return res.status(400).json({
@@ -435,37 +1081,364 @@ app.post('/api/chat', async (req, res) => {
         }
 
         const sanitizedInput = userInput.trim().substring(0, 500);
+        const sessionId = ConversationStore.resolveSessionId(requestedSessionId);
+
+        // Emergencies get a fixed urgent-care message instead of a model answer
+        const triageResult = TriageService.assess(sanitizedInput);
+        if (triageResult) {
+            return res.json({
+                success: true,
+                data: await buildTriageResponse(triageResult, 'general', startTime, locale, req.voiceSettings, { sessionId })
+            });
+        }
+
+        // Jailbreak attempts and unrelated requests get a scoped refusal and stay out of the history
+        const guardResult = InputGuard.assess(sanitizedInput);
+        if (guardResult) {
+            return res.json({
+                success: true,
+                data: await buildGuardResponse(guardResult, startTime, locale, req.voiceSettings, { sessionId })
+            });
+        }
+
+        const history = ConversationStore.getContextMessages(sessionId);
+        const variant = experiments.assign(sessionId);
+
         logWithTimestamp('Processing general chat request', { 
             inputLength: sanitizedInput.length,
             mode: mode,
+            locale,
+            sessionId: sessionId,
+            contextTurns: history.length / 2,
+            ...ExperimentManager.describeVariant(variant),
             preview: sanitizedInput.substring(0, 50)
         });
 
-        const aiText = await OpenRouterService.generateResponse(sanitizedInput, GENERAL_SYSTEM_PROMPT);
+        const generationStart = Date.now();
+        const {
+            text: aiText,
+            model,
+            path: responsePath,
+            repairAttempts,
+            citations,
+            safety,
+            promptVersion
+        } = await OpenRouterService.generateResponse(sanitizedInput, 'general', locale, history, variant);
+        const responseId = experiments.record(variant, { path: responsePath, latencyMs: Date.now() - generationStart });
+        ConversationStore.addTurn(sessionId, sanitizedInput, aiText);
+
+        const audioResponse = await synthesizeResponseAudio(aiText, 'general', { ...req.voiceSettings, locale });
+
+        const processingTime = Date.now() - startTime;
+        logWithTimestamp(`General chat request completed`, { 
+            processingTime: `${processingTime}ms`,
+            responseLength: aiText.length,
+            wordCount: aiText.split(/\s+/).length
+        });
+
+        res.json({
+            success: true,
+            data: {
+                audioData: audioResponse.audioData,
+                audioUrl: audioResponse.audioUrl,
+                text: audioResponse.text,
+                isFallback: audioResponse.isFallback,
+                service: audioResponse.service,
+                voiceName: audioResponse.voiceName,
+                voiceId: audioResponse.voiceId,
+                mimeType: audioResponse.mimeType,
+                speechMarks: audioResponse.speechMarks || null,
+                citations,
+                model,
+                mode: audioResponse.mode,
+                locale,
+                sessionId,
+                responseId,
+                processingTime,
+                stats: {
+                    wordCount: aiText.split(/\s+/).length,
+                    sentenceCount: countSentences(aiText),
+                    contextTurns: history.length / 2,
+                    responsePath,
+                    repairAttempts,
+                    safetyInterventions: safety,
+                    promptVersion,
+                    ...ExperimentManager.describeVariant(variant)
+                }
+            }
+        });
 
-        let audioResponse;
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+        logWithTimestamp('General chat request failed', { 
+            error: error.message, 
+            processingTime: `${processingTime}ms`
+        });
         
-        try {
-            const ttsResult = await AzureTTSService.generateSpeech(aiText);
-            
-            audioResponse = {
-                audioData: ttsResult.audioData,
-                text: aiText,
-                isFallback: false,
-                service: 'azure-tts',
-                voiceName: ttsResult.voiceName,
-                mimeType: ttsResult.mimeType,
-                mode: 'general'
-            };
-            
-        } catch (ttsError) {
-            logWithTimestamp('Azure TTS failed for general chat, using fallback', { error: ttsError.message });
-            audioResponse = await FallbackResponseService.generateFallbackResponse(aiText, 'general');
+        res.status(500).json({
+            success: false,
+            error: 'An error occurred while processing your request. Please try again.',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Server-Sent Events helper
+const sendSSE = (res, event, data) => {
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+// Streaming chat endpoint (General Mode) - text tokens as SSE, then a final event with audio
+const handleChatStream = async (req, res) => {
+    const startTime = Date.now();
+    const params = req.method === 'GET' ? req.query : req.body;
+    const { text: userInput, sessionId: requestedSessionId } = params || {};
+    const locale = resolveLocale(params && params.locale);
+
+    if (!userInput || typeof userInput !== 'string' || userInput.trim().length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid input. Please provide a non-empty text message.'
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering so tokens arrive immediately
+    });
+    res.flushHeaders();
+
+    // Stop pulling tokens from the model if the client goes away
+    const upstream = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            upstream.abort();
         }
+    });
+
+    try {
+        const sanitizedInput = userInput.trim().substring(0, 500);
+        const sessionId = ConversationStore.resolveSessionId(requestedSessionId);
+
+        sendSSE(res, 'meta', { sessionId });
+
+        const triageResult = TriageService.assess(sanitizedInput);
+        if (triageResult) {
+            sendSSE(res, 'done', await buildTriageResponse(triageResult, 'general', startTime, locale, req.voiceSettings, { sessionId }));
+            return;
+        }
+
+        const guardResult = InputGuard.assess(sanitizedInput);
+        if (guardResult) {
+            sendSSE(res, 'done', await buildGuardResponse(guardResult, startTime, locale, req.voiceSettings, { sessionId }));
+            return;
+        }
+
+        const history = ConversationStore.getContextMessages(sessionId);
+        const variant = experiments.assign(sessionId);
+
+        logWithTimestamp('Processing streaming chat request', {
+            inputLength: sanitizedInput.length,
+            sessionId: sessionId,
+            contextTurns: history.length / 2,
+            ...ExperimentManager.describeVariant(variant),
+            preview: sanitizedInput.substring(0, 50)
+        });
+
+        const generationStart = Date.now();
+        let streamedText = '';
+        // Tokens go out a sentence at a time, after the safety filter has screened the sentence
+        const screen = SafetyFilter.createStreamScreen({ locale, mode: 'general', userText: sanitizedInput }, (text) => {
+            streamedText += text;
+            sendSSE(res, 'token', { text });
+        });
+        const {
+            text: aiText,
+            model,
+            path: responsePath,
+            repairAttempts,
+            citations,
+            safety,
+            promptVersion
+        } = await OpenRouterService.streamResponse(
+            sanitizedInput,
+            'general',
+            locale,
+            history,
+            (token) => screen.push(token),
+            upstream.signal,
+            variant
+        );
+
+        if (upstream.signal.aborted) {
+            logWithTimestamp('Streaming chat client disconnected', { sessionId });
+            return;
+        }
+        screen.flush();
+
+        const responseId = experiments.record(variant, { path: responsePath, latencyMs: Date.now() - generationStart });
+        ConversationStore.addTurn(sessionId, sanitizedInput, aiText);
+
+        // Validation or the whole-answer review may have changed the streamed answer - tell the client to swap the bubble
+        if (aiText !== OpenRouterService.cleanResponseText(streamedText.trim())) {
+            sendSSE(res, 'replace', { text: aiText });
+        }
+
+        const audioResponse = await synthesizeResponseAudio(aiText, 'general', { ...req.voiceSettings, locale });
 
         const processingTime = Date.now() - startTime;
-        logWithTimestamp(`General chat request completed`, { 
+        logWithTimestamp('Streaming chat request completed', {
             processingTime: `${processingTime}ms`,
+            responseLength: aiText.length
+        });
+
+        sendSSE(res, 'done', {
+            audioData: audioResponse.audioData,
+            audioUrl: audioResponse.audioUrl,
+            text: aiText,
+            isFallback: audioResponse.isFallback,
+            service: audioResponse.service,
+            voiceName: audioResponse.voiceName,
+            voiceId: audioResponse.voiceId,
+            mimeType: audioResponse.mimeType,
+            speechMarks: audioResponse.speechMarks || null,
+            citations,
+            model,
+            mode: 'general',
+            locale,
+            sessionId,
+            responseId,
+            processingTime,
+            stats: {
+                wordCount: aiText.split(/\s+/).length,
+                sentenceCount: countSentences(aiText),
+                contextTurns: history.length / 2,
+                responsePath,
+                repairAttempts,
+                safetyInterventions: safety,
+                promptVersion,
+                ...ExperimentManager.describeVariant(variant)
+            }
+        });
+    } catch (error) {
+        logWithTimestamp('Streaming chat request failed', {
+            error: error.message,
+            processingTime: `${Date.now() - startTime}ms`
+        });
+        sendSSE(res, 'error', {
+            error: 'An error occurred while processing your request. Please try again.'
+        });
+    } finally {
+        res.end();
+    }
+};
+
+app.get('/api/chat/stream', readVoiceSettings, handleChatStream);
+app.post('/api/chat/stream', readVoiceSettings, handleChatStream);
+
+const normalizeQueryString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Cycle log summary for the symptom prompt - null when the id is missing, the log is empty or unreadable.
+// today is the user's local date (see resolveToday).
+const loadCycleSummary = async (userId, today) => {
+    if (!CycleStore.isValidUserId(userId)) {
+        return null;
+    }
+
+    try {
+        return summarizeCycleHistory(await cycleStore.list(userId), today);
+    } catch (error) {
+        logWithTimestamp('Could not read cycle log for symptom check', { error: error.message });
+        return null;
+    }
+};
+
+// Symptom Checker endpoint
+app.post('/api/symptom-check', readVoiceSettings, async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+        const { symptoms, notes, includeCycleData, sessionId: requestedSessionId } = req.body;
+        const locale = resolveLocale(req.body.locale);
+
+        if (!symptoms || !Array.isArray(symptoms) || symptoms.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid input. Please provide an array of symptoms.'
+            });
+        }
+
+        // Symptoms may be plain ids or detail objects ({ id, severity, durationWeeks, frequency })
+        const symptomDetails = normalizeSymptomList(symptoms);
+        const validSymptoms = symptomDetails.map(symptom => symptom.id);
+
+        if (validSymptoms.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No valid symptoms provided.'
+            });
+        }
+
+        const sanitizedNotes = typeof notes === 'string' ? notes.trim().substring(0, 500) : '';
+
+        // The chat session id keeps symptom checks in the same experiment variant as the conversation
+        const sessionId = ConversationStore.resolveSessionId(requestedSessionId);
+        const variant = experiments.assign(sessionId);
+
+        logWithTimestamp('Processing symptom check request', { 
+            totalSymptoms: symptoms.length,
+            validSymptoms: validSymptoms.length,
+            symptoms: symptomDetails.map(describeSymptom),
+            hasNotes: sanitizedNotes.length > 0,
+            ...ExperimentManager.describeVariant(variant)
+        });
+
+        // Red flags in the free-text notes (alone or combined with the checked symptoms) skip the LLM
+        const triageResult = TriageService.assess(
+            symptomDetails.map(describeSymptom).join('; '),
+            sanitizedNotes
+        );
+        if (triageResult) {
+            return res.json({
+                success: true,
+                data: await buildTriageResponse(triageResult, 'symptom', startTime, locale, req.voiceSettings, {
+                    analyzedSymptoms: validSymptoms,
+                    symptomDetails,
+                    analysis: null,
+                    cycleDataPoints: [],
+                    sessionId
+                })
+            });
+        }
+
+        const cycleSummary = includeCycleData ? await loadCycleSummary(req.get('X-User-Id'), resolveToday(req.get('X-Client-Date'))) : null;
+        const generationStart = Date.now();
+        const {
+            text: aiText,
+            model,
+            path: responsePath,
+            repairAttempts,
+            citations,
+            safety,
+            promptVersion,
+            analysis,
+            analysisPath
+        } = await OpenRouterService.generateSymptomResponse(symptomDetails, sanitizedNotes, cycleSummary, locale, variant);
+        const responseId = experiments.record(variant, { path: responsePath, latencyMs: Date.now() - generationStart });
+
+        // Canned fallbacks never saw the cycle log, so only report it when the model answered
+        const cycleDataPoints = cycleSummary && responsePath !== 'fallback' ? cycleSummary.dataPoints : [];
+
+        const audioResponse = await synthesizeResponseAudio(aiText, 'symptom', { ...req.voiceSettings, locale });
+        audioResponse.analyzedSymptoms = validSymptoms;
+
+        const processingTime = Date.now() - startTime;
+        logWithTimestamp(`Symptom check request completed`, { 
+            processingTime: `${processingTime}ms`,
+            symptomsAnalyzed: validSymptoms.length,
             responseLength: aiText.length,
             wordCount: aiText.split(/\s+/).length
         });
@@ -474,129 +1447,332 @@ app.post('/api/chat', async (req, res) => {
             success: true,
             data: {
                 audioData: audioResponse.audioData,
+                audioUrl: audioResponse.audioUrl,
                 text: audioResponse.text,
                 isFallback: audioResponse.isFallback,
                 service: audioResponse.service,
                 voiceName: audioResponse.voiceName,
+                voiceId: audioResponse.voiceId,
                 mimeType: audioResponse.mimeType,
+                speechMarks: audioResponse.speechMarks || null,
+                citations,
+                model,
                 mode: audioResponse.mode,
+                locale,
+                analyzedSymptoms: audioResponse.analyzedSymptoms,
+                symptomDetails,
+                analysis,
+                cycleDataPoints,
+                sessionId,
+                responseId,
                 processingTime,
                 stats: {
                     wordCount: aiText.split(/\s+/).length,
-                    sentenceCount: aiText.split(/[.!?]+/).filter(s => s.trim().length > 0).length
+                    sentenceCount: countSentences(aiText),
+                    symptomsCount: validSymptoms.length,
+                    responsePath,
+                    repairAttempts,
+                    safetyInterventions: safety,
+                    promptVersion,
+                    ...ExperimentManager.describeVariant(variant),
+                    analysisPath,
+                    cycleDataPoints: cycleDataPoints.length
                 }
             }
         });
 
     } catch (error) {
         const processingTime = Date.now() - startTime;
-        logWithTimestamp('General chat request failed', { 
+        logWithTimestamp('Symptom check request failed', { 
             error: error.message, 
             processingTime: `${processingTime}ms`
         });
         
         res.status(500).json({
             success: false,
-            error: 'An error occurred while processing your request. Please try again.',
+            error: 'An error occurred while analyzing your symptoms. Please try again.',
             details: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
 });
 
-// Symptom Checker endpoint
-app.post('/api/symptom-check', async (req, res) => {
-    const startTime = Date.now();
-    
+// Doctor-visit report - printable HTML built from symptoms, the structured analysis and recent chat Q&A.
+// Add ?download=1 to receive it as an attachment instead of inline.
+app.post('/api/report', async (req, res) => {
     try {
-        const { symptoms } = req.body;
+        const { symptoms = [], notes, analysis, conversation, includeCycleData } = req.body || {};
+        const locale = resolveLocale(req.body && req.body.locale);
+        const catalog = getCatalog(locale);
 
-        if (!symptoms || !Array.isArray(symptoms) || symptoms.length === 0) {
+        if (!Array.isArray(symptoms)) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid input. Please provide an array of symptoms.'
+                error: 'Invalid input. symptoms must be an array.'
             });
         }
 
-        const validSymptoms = symptoms.filter(symptom => 
-            typeof symptom === 'string' && SYMPTOM_DESCRIPTIONS.hasOwnProperty(symptom)
-        );
+        const symptomDetails = normalizeSymptomList(symptoms);
+        const { severity, frequency, duration } = catalog.symptomDetails;
+        const symptomRows = symptomDetails.map(symptom => ({
+            name: catalog.symptoms[symptom.id],
+            severity: symptom.severity ? `${severity[symptom.severity]} (${symptom.severity}/5)` : null,
+            duration: symptom.durationWeeks !== null ? duration(symptom.durationWeeks) : null,
+            frequency: symptom.frequency ? frequency[symptom.frequency] : null
+        }));
+
+        const reportAnalysis = analysis && typeof analysis === 'object'
+            ? validateSymptomAnalysis({ text: '', ...analysis }).analysis
+            : null;
+
+        const recentConversation = (Array.isArray(conversation) ? conversation : [])
+            .filter(entry => entry && typeof entry.question === 'string' && typeof entry.response === 'string')
+            .slice(-VisitReportService.LIMITS.maxConversationEntries)
+            .map(entry => ({
+                question: entry.question.trim().substring(0, 500),
+                response: entry.response.trim().substring(0, 1500)
+            }));
+
+        if (symptomRows.length === 0 && recentConversation.length === 0 && !reportAnalysis?.conditions.length) {
+            return res.status(400).json({
+                success: false,
+                error: 'Nothing to include yet. Select symptoms or ask a question first.'
+            });
+        }
 
-        if (validSymptoms.length === 0) {
+        const cycleSummary = includeCycleData ? await loadCycleSummary(req.get('X-User-Id'), resolveToday(req.get('X-Client-Date'))) : null;
+        const generatedAt = new Date();
+
+        const html = VisitReportService.render({
+            symptomRows,
+            symptoms: symptomDetails,
+            notes: typeof notes === 'string' ? notes.trim().substring(0, 500) : '',
+            analysis: reportAnalysis,
+            conversation: recentConversation,
+            cycleDataPoints: cycleSummary ? cycleSummary.dataPoints : [],
+            generatedAt,
+            locale
+        });
+
+        if (req.query.download === '1') {
+            res.attachment(`she-nurtures-appointment-${generatedAt.toISOString().slice(0, 10)}.html`);
+        }
+
+        res.type('html').send(html);
+    } catch (error) {
+        logWithTimestamp('Visit report error', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Failed to build the appointment report'
+        });
+    }
+});
+
+// Provider directory search. Query: specialty (gynecologist|endocrinologist|any), city, postcode,
+// telehealth=true, symptoms=id,id (used to recommend a specialty when none is given), limit
+app.get('/api/providers', async (req, res) => {
+    try {
+        const { specialty, city, postcode, telehealth, symptoms, limit } = req.query;
+        const locale = resolveLocale(req.query.locale);
+
+        const requestedSpecialty = normalizeQueryString(specialty).toLowerCase();
+        if (requestedSpecialty && requestedSpecialty !== 'any' && !ProviderDirectory.SPECIALTIES.includes(requestedSpecialty)) {
             return res.status(400).json({
                 success: false,
-                error: 'No valid symptoms provided.'
+                error: `specialty must be one of: ${ProviderDirectory.SPECIALTIES.join(', ')}, any`
             });
         }
 
-        logWithTimestamp('Processing symptom check request', { 
-            totalSymptoms: symptoms.length,
-            validSymptoms: validSymptoms.length,
-            symptoms: validSymptoms
+        const symptomIds = normalizeQueryString(symptoms)
+            .split(',')
+            .map(id => id.trim())
+            .filter(id => SYMPTOM_DESCRIPTIONS.hasOwnProperty(id));
+        const recommendation = providerDirectory.recommendSpecialty(symptomIds, locale);
+
+        // An explicit specialty wins; otherwise search for the recommended one
+        const effectiveSpecialty = requestedSpecialty
+            ? (requestedSpecialty === 'any' ? null : requestedSpecialty)
+            : (recommendation ? recommendation.specialty : null);
+
+        const filters = {
+            specialty: effectiveSpecialty,
+            city: normalizeQueryString(city).substring(0, 80),
+            postcode: normalizeQueryString(postcode).substring(0, 12),
+            telehealth: telehealth === 'true' || telehealth === '1',
+            limit: Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50)
+        };
+
+        const { total, providers } = await providerDirectory.search(filters);
+
+        logWithTimestamp('Provider search', { ...filters, symptoms: symptomIds.length, total });
+
+        res.json({
+            success: true,
+            data: {
+                providers,
+                total,
+                filters,
+                recommendedSpecialty: recommendation ? recommendation.specialty : null,
+                recommendationReason: recommendation ? recommendation.reason : null,
+                sampleData: providerDirectory.sample,
+                locale
+            }
+        });
+    } catch (error) {
+        logWithTimestamp('Provider search error', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Failed to search the provider directory'
         });
+    }
+});
+
+// Microphone recordings: the browser converts them to 16 kHz mono WAV, which both STT engines read
+const TRANSCRIBE_LIMITS = {
+    maxBytes: 2 * 1024 * 1024, // about 60 seconds of 16 kHz 16-bit mono audio
+    minBytes: 44 + 3200 // WAV header plus 0.1 seconds
+};
 
-        const aiText = await OpenRouterService.generateSymptomResponse(validSymptoms);
+const parseRecording = express.raw({
+    type: ['audio/wav', 'audio/wave', 'audio/x-wav'],
+    limit: TRANSCRIBE_LIMITS.maxBytes
+});
 
-        let audioResponse;
-        
-        try {
-            const ttsResult = await AzureTTSService.generateSpeech(aiText, 2);
-            
-            audioResponse = {
-                audioData: ttsResult.audioData,
-                text: aiText,
-                isFallback: false,
-                service: 'azure-tts',
-                voiceName: ttsResult.voiceName,
-                mimeType: ttsResult.mimeType,
-                mode: 'symptom',
-                analyzedSymptoms: validSymptoms
-            };
-            
-        } catch (ttsError) {
-            logWithTimestamp('Azure TTS failed for symptom analysis, using fallback', { error: ttsError.message });
-            audioResponse = await FallbackResponseService.generateFallbackResponse(aiText, 'symptom');
-            audioResponse.analyzedSymptoms = validSymptoms;
+const isWavFile = (buffer) => Buffer.isBuffer(buffer) &&
+    buffer.length >= TRANSCRIBE_LIMITS.minBytes &&
+    buffer.toString('ascii', 0, 4) === 'RIFF' &&
+    buffer.toString('ascii', 8, 12) === 'WAVE';
+
+// Body parser errors (too large, bad encoding) answered as JSON instead of the generic 500
+const readRecording = (req, res, next) => {
+    parseRecording(req, res, (error) => {
+        if (error) {
+            return res.status(error.status || 400).json({
+                success: false,
+                error: error.type === 'entity.too.large'
+                    ? 'Recording is too long. Please keep voice questions under a minute.'
+                    : 'Could not read the recording.'
+            });
         }
+        next();
+    });
+};
 
-        const processingTime = Date.now() - startTime;
-        logWithTimestamp(`Symptom check request completed`, { 
-            processingTime: `${processingTime}ms`,
-            symptomsAnalyzed: validSymptoms.length,
-            responseLength: aiText.length,
-            wordCount: aiText.split(/\s+/).length
+// Speech-to-text for the microphone button. Body: a WAV recording (Content-Type: audio/wav), ?locale=hi
+app.post('/api/transcribe', readRecording, async (req, res) => {
+    const startTime = Date.now();
+    const locale = resolveLocale(req.query.locale);
+
+    if (sttEngine.name === 'none') {
+        return res.status(503).json({
+            success: false,
+            error: 'Speech-to-text is not available on this server.'
+        });
+    }
+
+    if (!isWavFile(req.body)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Please send the recording as 16 kHz mono WAV audio (Content-Type: audio/wav).'
+        });
+    }
+
+    try {
+        const { text, service } = await sttEngine.transcribe(req.body, { locale });
+
+        logWithTimestamp('Transcription completed', {
+            engine: sttEngine.name,
+            bytes: req.body.length,
+            characters: text.length,
+            processingTime: `${Date.now() - startTime}ms`
         });
 
         res.json({
             success: true,
             data: {
-                audioData: audioResponse.audioData,
-                text: audioResponse.text,
-                isFallback: audioResponse.isFallback,
-                service: audioResponse.service,
-                voiceName: audioResponse.voiceName,
-                mimeType: audioResponse.mimeType,
-                mode: audioResponse.mode,
-                analyzedSymptoms: audioResponse.analyzedSymptoms,
-                processingTime,
-                stats: {
-                    wordCount: aiText.split(/\s+/).length,
-                    sentenceCount: aiText.split(/[.!?]+/).filter(s => s.trim().length > 0).length,
-                    symptomsCount: validSymptoms.length
-                }
+                text,
+                locale,
+                service,
+                processingTime: Date.now() - startTime
             }
         });
+    } catch (error) {
+        logWithTimestamp('Transcription error', { error: error.message });
+        res.status(502).json({
+            success: false,
+            error: 'Could not transcribe the recording. Please try again or type your question.'
+        });
+    }
+});
+
+// Cached speech clips referenced by audioUrl. Range requests are honoured so players can seek and
+// mobile browsers can stream. Ids are content hashes, so a clip never changes once served.
+app.get('/api/audio/:id', async (req, res) => {
+    if (!AudioCache.isValidId(req.params.id)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid audio id'
+        });
+    }
+
+    try {
+        const clip = await audioCache.get(req.params.id);
+
+        if (!clip) {
+            return res.status(404).json({
+                success: false,
+                error: 'Audio not found or expired. Please ask again to regenerate it.'
+            });
+        }
 
+        res.set('Content-Type', clip.meta.mimeType);
+        res.sendFile(clip.filePath, { maxAge: '1y', immutable: true }, (error) => {
+            if (error && !res.headersSent) {
+                logWithTimestamp('Audio file could not be sent', { id: req.params.id, error: error.message });
+                res.status(error.status || 500).end();
+            }
+        });
     } catch (error) {
-        const processingTime = Date.now() - startTime;
-        logWithTimestamp('Symptom check request failed', { 
-            error: error.message, 
-            processingTime: `${processingTime}ms`
+        logWithTimestamp('Audio request error', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load audio'
         });
-        
+    }
+});
+
+// Voices the active TTS engine offers for a locale (?locale=hi), with the rate/pitch ranges, the audio
+// formats it can produce and which settings it honours. Pick one with voice, rate, pitch, style and
+// formats on the chat requests.
+app.get('/api/voices', (req, res) => {
+    try {
+        const locale = resolveLocale(req.query.locale);
+        const voices = ttsEngine.listVoices(locale);
+
+        res.json({
+            success: true,
+            data: {
+                engine: ttsEngine.name,
+                locale,
+                voices,
+                formats: ttsEngine.formats,
+                defaults: {
+                    general: voices[DEFAULT_VOICE_INDEX.general]?.id || voices[0]?.id || null,
+                    symptom: voices[DEFAULT_VOICE_INDEX.symptom]?.id || voices[0]?.id || null,
+                    rate: VOICE_SETTING_LIMITS.rate.default,
+                    pitch: VOICE_SETTING_LIMITS.pitch.default
+                },
+                limits: {
+                    rate: { min: VOICE_SETTING_LIMITS.rate.min, max: VOICE_SETTING_LIMITS.rate.max },
+                    pitch: { min: VOICE_SETTING_LIMITS.pitch.min, max: VOICE_SETTING_LIMITS.pitch.max }
+                },
+                supports: ttsEngine.capabilities
+            }
+        });
+    } catch (error) {
+        logWithTimestamp('Voice list error', { error: error.message });
         res.status(500).json({
             success: false,
-            error: 'An error occurred while analyzing your symptoms. Please try again.',
-            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            error: 'Failed to list voices'
         });
     }
 });
@@ -604,20 +1780,55 @@ app.post('/api/symptom-check', async (req, res) => {
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
     try {
-        const azureConnection = await AzureTTSService.testConnection();
+        const ttsConnection = await ttsEngine.testConnection();
+        let status = ttsConnection ? 'healthy' : 'partial';
+
+        // Running without speech on purpose (or for lack of credentials) is degraded, not broken
+        if (ttsEngine.name === 'none') {
+            status = 'degraded';
+        }
 
         res.json({
-            status: azureConnection ? 'healthy' : 'partial',
+            status,
             timestamp: new Date().toISOString(),
             services: {
                 openrouter: !!OPENROUTER_API_KEY,
+                llm: {
+                    ...llmProvider.describe(),
+                    models: modelRouter.describe()
+                },
+                tts: {
+                    ...ttsEngine.describe(),
+                    connected: ttsConnection
+                },
+                stt: sttEngine.describe(),
+                providerDirectory: providerDirectory.describe(),
+                audioCache: audioCache.describe(),
+                knowledgeBase: knowledgeBase.describe(),
+                prompts: promptRegistry.describe(),
+                experiments: experiments.describe(),
                 azure: !!AZURE_SPEECH_KEY && !!AZURE_SPEECH_REGION,
-                azureConnection: azureConnection
+                azureConnection: ttsEngine.name === 'azure' && ttsConnection
             },
             features: {
                 generalChat: true,
                 symptomChecker: true,
-                audioTTS: azureConnection
+                redFlagTriage: true,
+                safetyFilter: true,
+                inputGuard: true,
+                cycleTracker: true,
+                visitReport: true,
+                providerDirectory: true,
+                audioTTS: ttsConnection,
+                ttsEngine: ttsEngine.name,
+                locales: SUPPORTED_LOCALES,
+                voiceSettings: true,
+                audioCache: audioCache.enabled,
+                speechToText: sttEngine.name !== 'none',
+                sttEngine: sttEngine.name,
+                citations: knowledgeBase.enabled,
+                promptHotReload: !!promptRegistry.watcher,
+                experiments: experiments.enabled
             },
             optimization: {
                 responseValidation: true,
@@ -636,51 +1847,32 @@ app.get('/api/health', async (req, res) => {
     }
 });
 
-// Get available symptoms endpoint
+// Get available symptoms endpoint - labels in the requested locale (?locale=hi)
 app.get('/api/symptoms', (req, res) => {
     try {
-        const symptomCategories = {
-            menstrual: {
-                title: "Menstrual Health",
-                symptoms: {
-                    irregular_periods: SYMPTOM_DESCRIPTIONS.irregular_periods,
-                    missed_periods: SYMPTOM_DESCRIPTIONS.missed_periods,
-                    heavy_periods: SYMPTOM_DESCRIPTIONS.heavy_periods,
-                    painful_periods: SYMPTOM_DESCRIPTIONS.painful_periods
-                }
-            },
-            physical: {
-                title: "Physical Symptoms",
-                symptoms: {
-                    weight_gain: SYMPTOM_DESCRIPTIONS.weight_gain,
-                    acne: SYMPTOM_DESCRIPTIONS.acne,
-                    hair_growth: SYMPTOM_DESCRIPTIONS.hair_growth,
-                    hair_loss: SYMPTOM_DESCRIPTIONS.hair_loss
-                }
-            },
-            energy_mood: {
-                title: "Energy & Mood",
-                symptoms: {
-                    fatigue: SYMPTOM_DESCRIPTIONS.fatigue,
-                    mood_changes: SYMPTOM_DESCRIPTIONS.mood_changes,
-                    sleep_issues: SYMPTOM_DESCRIPTIONS.sleep_issues
-                }
-            },
-            other: {
-                title: "Other Concerns",
-                symptoms: {
-                    fertility_issues: SYMPTOM_DESCRIPTIONS.fertility_issues,
-                    cravings: SYMPTOM_DESCRIPTIONS.cravings,
-                    headaches: SYMPTOM_DESCRIPTIONS.headaches
-                }
-            }
+        const locale = resolveLocale(req.query.locale);
+        const catalog = getCatalog(locale);
+        const categorySymptoms = {
+            menstrual: ['irregular_periods', 'missed_periods', 'heavy_periods', 'painful_periods'],
+            physical: ['weight_gain', 'acne', 'hair_growth', 'hair_loss'],
+            energy_mood: ['fatigue', 'mood_changes', 'sleep_issues'],
+            other: ['fertility_issues', 'cravings', 'headaches']
         };
 
+        const symptomCategories = Object.fromEntries(Object.entries(categorySymptoms).map(([category, ids]) => [
+            category,
+            {
+                title: catalog.symptomCategories[category],
+                symptoms: Object.fromEntries(ids.map(id => [id, catalog.symptoms[id]]))
+            }
+        ]));
+
         res.json({
             success: true,
             data: {
                 categories: symptomCategories,
-                totalSymptoms: Object.keys(SYMPTOM_DESCRIPTIONS).length
+                totalSymptoms: Object.keys(SYMPTOM_DESCRIPTIONS).length,
+                locale
             }
         });
     } catch (error) {
@@ -691,6 +1883,187 @@ app.get('/api/symptoms', (req, res) => {
     }
 });
 
+// ============================================================================
+// CYCLE TRACKER
+// ============================================================================
+
+// Cycle routes are keyed by an anonymous id the browser generates and sends as X-User-Id, with the
+// browser's local date as X-Client-Date (req.today)
+const requireUserId = (req, res, next) => {
+    const userId = req.get('X-User-Id');
+
+    if (!CycleStore.isValidUserId(userId)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing or invalid X-User-Id header.'
+        });
+    }
+
+    req.userId = userId;
+    req.today = resolveToday(req.get('X-Client-Date'));
+    next();
+};
+
+const sendCycleError = (res, error, fallbackMessage) => {
+    if (!error.status) {
+        logWithTimestamp(fallbackMessage, { error: error.message });
+    }
+
+    res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : fallbackMessage
+    });
+};
+
+app.get('/api/cycles', requireUserId, async (req, res) => {
+    try {
+        const cycles = await cycleStore.list(req.userId);
+        res.json({
+            success: true,
+            data: {
+                cycles,
+                stats: computeCycleStats(cycles, req.today)
+            }
+        });
+    } catch (error) {
+        sendCycleError(res, error, 'Failed to load cycle log');
+    }
+});
+
+app.get('/api/cycles/stats', requireUserId, async (req, res) => {
+    try {
+        const cycles = await cycleStore.list(req.userId);
+        res.json({
+            success: true,
+            data: computeCycleStats(cycles, req.today)
+        });
+    } catch (error) {
+        sendCycleError(res, error, 'Failed to compute cycle statistics');
+    }
+});
+
+app.post('/api/cycles', requireUserId, async (req, res) => {
+    try {
+        const cycle = await cycleStore.create(req.userId, req.body || {}, req.today);
+        const cycles = await cycleStore.list(req.userId);
+        res.status(201).json({
+            success: true,
+            data: {
+                cycle,
+                stats: computeCycleStats(cycles, req.today)
+            }
+        });
+    } catch (error) {
+        sendCycleError(res, error, 'Failed to save cycle entry');
+    }
+});
+
+app.put('/api/cycles/:id', requireUserId, async (req, res) => {
+    try {
+        const cycle = await cycleStore.update(req.userId, req.params.id, req.body || {}, req.today);
+        const cycles = await cycleStore.list(req.userId);
+        res.json({
+            success: true,
+            data: {
+                cycle,
+                stats: computeCycleStats(cycles, req.today)
+            }
+        });
+    } catch (error) {
+        sendCycleError(res, error, 'Failed to update cycle entry');
+    }
+});
+
+app.delete('/api/cycles/:id', requireUserId, async (req, res) => {
+    try {
+        await cycleStore.remove(req.userId, req.params.id);
+        const cycles = await cycleStore.list(req.userId);
+        res.json({
+            success: true,
+            data: {
+                id: req.params.id,
+                stats: computeCycleStats(cycles, req.today)
+            }
+        });
+    } catch (error) {
+        sendCycleError(res, error, 'Failed to delete cycle entry');
+    }
+});
+
+// ============================================================================
+// EXPERIMENTS
+// ============================================================================
+
+// Thumbs up or down on an answer, counted for the experiment variant that wrote it
+app.post('/api/ratings', (req, res) => {
+    const { responseId, rating } = req.body || {};
+
+    if (typeof responseId !== 'string' || !ExperimentManager.RATINGS.includes(rating)) {
+        return res.status(400).json({
+            success: false,
+            error: `Provide a responseId and a rating of ${ExperimentManager.RATINGS.join(' or ')}.`
+        });
+    }
+
+    const recorded = experiments.rate(responseId, rating);
+    if (!recorded) {
+        return res.status(404).json({
+            success: false,
+            error: 'Unknown or expired response id.'
+        });
+    }
+
+    logWithTimestamp('Answer rated', { responseId, ...recorded });
+    res.json({
+        success: true,
+        data: { responseId, rating }
+    });
+});
+
+const tokenDigest = (value) => crypto.createHash('sha256').update(value).digest();
+
+const requireAdmin = (req, res, next) => {
+    if (!ADMIN_TOKEN) {
+        return res.status(404).json({
+            success: false,
+            error: 'Admin endpoints are disabled. Set ADMIN_TOKEN to enable them.'
+        });
+    }
+
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+    if (!match || !crypto.timingSafeEqual(tokenDigest(match[1]), tokenDigest(ADMIN_TOKEN))) {
+        return res.status(401).json({
+            success: false,
+            error: 'Missing or invalid admin token.'
+        });
+    }
+
+    next();
+};
+
+// Per-variant validation pass rate, fallback rate, latency and ratings for the running experiment
+// (?id= shows the stored results of an earlier one)
+app.get('/api/admin/experiments', requireAdmin, (req, res) => {
+    const experimentId = typeof req.query.id === 'string' && req.query.id ? req.query.id : undefined;
+    const report = experiments.report(experimentId);
+
+    if (experimentId && !report) {
+        return res.status(404).json({
+            success: false,
+            error: 'Unknown experiment id.'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: {
+            ...experiments.describe(),
+            report,
+            experiments: experiments.listExperiments()
+        }
+    });
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     logWithTimestamp('Unhandled error', { error: err.message, stack: err.stack });
@@ -715,8 +2088,19 @@ app.use('/api', (req, res, next) => {
             availableEndpoints: [
                 'GET /api/health',
                 'POST /api/chat',
+                'GET|POST /api/chat/stream',
                 'POST /api/symptom-check',
-                'GET /api/symptoms'
+                'POST /api/report',
+                'POST /api/transcribe',
+                'GET /api/voices',
+                'GET /api/audio/:id',
+                'GET /api/providers',
+                'GET /api/symptoms',
+                'GET|POST /api/cycles',
+                'GET /api/cycles/stats',
+                'PUT|DELETE /api/cycles/:id',
+                'POST /api/ratings',
+                'GET /api/admin/experiments'
             ]
         });
     }
@@ -730,22 +2114,45 @@ app.listen(PORT, async () => {
     logWithTimestamp('Environment check:', {
         nodeEnv: process.env.NODE_ENV || 'development',
         port: PORT,
+        llmProvider: llmProvider.name,
+        llmModel: llmProvider.model,
         openRouterKey: OPENROUTER_API_KEY ? 'Set' : 'Missing',
+        ttsEngine: ttsEngine.name,
+        sttEngine: sttEngine.name,
         azureKey: AZURE_SPEECH_KEY ? 'Set' : 'Missing',
         azureRegion: AZURE_SPEECH_REGION || 'Missing'
     });
     
     try {
-        const azureTest = await AzureTTSService.testConnection();
-        if (azureTest) {
-            logWithTimestamp('Azure TTS service ready and connected');
+        if (ttsEngine.name === 'none') {
+            logWithTimestamp(`TTS disabled - running in degraded text-only mode (${ttsEngine.reason})`);
+        } else if (await ttsEngine.testConnection()) {
+            logWithTimestamp(`TTS engine "${ttsEngine.name}" ready`);
         } else {
-            logWithTimestamp('Azure TTS service connection issue - check credentials');
+            logWithTimestamp(`TTS engine "${ttsEngine.name}" connection issue - check configuration`);
         }
     } catch (error) {
-        logWithTimestamp('Azure TTS startup test failed', { error: error.message });
+        logWithTimestamp('TTS startup test failed', { error: error.message });
     }
     
+    try {
+        await experiments.load();
+    } catch (error) {
+        logWithTimestamp('Experiment results startup load failed', { error: error.message });
+    }
+
+    // Build or read the knowledge base index now rather than on the first question
+    if (knowledgeBase.enabled) {
+        try {
+            await knowledgeBase.load();
+        } catch (error) {
+            logWithTimestamp('Knowledge base startup load failed', { error: error.message });
+        }
+    }
+
     logWithTimestamp('✨ She Nurtures AI is ready - OPTIMIZED for perfect responses! ✨');
-    logWithTimestamp('🎯 Response targets: General (60-90 words), Symptoms (70-100 words)');
+    logWithTimestamp('🎯 Response targets', Object.fromEntries(SUPPORTED_LOCALES.map(locale => {
+        const { min, max } = getCatalog(locale).response.wordLimits;
+        return [locale, `${min}-${max} words`];
+    })));
 });
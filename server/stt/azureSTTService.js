@@ -0,0 +1,77 @@
+// Azure Cognitive Services speech-to-text (short audio REST API, up to 60 seconds per request)
+const fetch = require('node-fetch');
+const { logWithTimestamp } = require('../utils');
+const { DEFAULT_LOCALE, getCatalog } = require('../i18n');
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+class AzureSTTService {
+    constructor({ key, region } = {}) {
+        this.name = 'azure';
+        this.service = 'azure-stt';
+        this.key = key;
+        this.region = region;
+    }
+
+    isConfigured() {
+        return !!this.key && !!this.region;
+    }
+
+    describe() {
+        return {
+            engine: this.name,
+            configured: this.isConfigured(),
+            region: this.region || null
+        };
+    }
+
+    // audioBuffer is 16 kHz mono 16-bit PCM WAV; resolves with '' when no speech was heard
+    async transcribe(audioBuffer, { locale = DEFAULT_LOCALE } = {}) {
+        try {
+            logWithTimestamp('Starting Azure speech recognition...');
+
+            const language = getCatalog(locale).tag;
+            const endpoint = `https://${this.region}.stt.speech.microsoft.com/speech/recognition/conversation/cognitiveservices/v1` +
+                `?language=${encodeURIComponent(language)}&format=simple`;
+
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Ocp-Apim-Subscription-Key': this.key,
+                    'Content-Type': 'audio/wav; codecs=audio/pcm; samplerate=16000',
+                    'Accept': 'application/json',
+                    'User-Agent': 'SheNurtures/2.0'
+                },
+                body: audioBuffer,
+                timeout: REQUEST_TIMEOUT_MS
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Azure STT API Error: ${response.status} - ${errorText}`);
+            }
+
+            const result = await response.json();
+
+            // NoMatch / InitialSilenceTimeout mean the clip had no recognizable speech
+            if (result.RecognitionStatus === 'NoMatch' || result.RecognitionStatus === 'InitialSilenceTimeout') {
+                return { text: '', service: this.service };
+            }
+
+            if (result.RecognitionStatus !== 'Success') {
+                throw new Error(`Recognition failed (${result.RecognitionStatus})`);
+            }
+
+            logWithTimestamp('Azure speech recognition completed successfully!');
+            return {
+                text: (result.DisplayText || '').trim(),
+                service: this.service
+            };
+        } catch (error) {
+            logWithTimestamp('Azure STT service error', { error: error.message });
+            throw new Error(`Azure speech recognition failed: ${error.message}`);
+        }
+    }
+}
+
+module.exports = AzureSTTService;
@@ -0,0 +1,26 @@
+// "No STT" mode - the microphone button falls back to the browser's own speech recognition
+class DisabledSTTService {
+    constructor({ reason = 'Speech-to-text is disabled' } = {}) {
+        this.name = 'none';
+        this.service = 'none';
+        this.reason = reason;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    describe() {
+        return {
+            engine: this.name,
+            configured: true,
+            reason: this.reason
+        };
+    }
+
+    async transcribe() {
+        throw new Error(this.reason);
+    }
+}
+
+module.exports = DisabledSTTService;
@@ -0,0 +1,58 @@
+// STT engine factory - picks the speech recognition backend for POST /api/transcribe from environment config
+//
+// STT_ENGINE=azure    needs AZURE_SPEECH_KEY and AZURE_SPEECH_REGION (default when both are set)
+// STT_ENGINE=whisper  runs whisper.cpp locally, needs WHISPER_MODEL (path to a ggml model),
+//                     optional WHISPER_BINARY (default whisper-cli)
+// STT_ENGINE=none     no server-side recognition; the browser uses the Web Speech API where it can
+//
+// A misconfigured engine degrades to "none" instead of stopping the server.
+const AzureSTTService = require('./azureSTTService');
+const WhisperSTTService = require('./whisperSTTService');
+const DisabledSTTService = require('./disabledSTTService');
+const { logWithTimestamp } = require('../utils');
+
+const STT_ENGINES = ['azure', 'whisper', 'none'];
+
+const createSTTEngine = (env = process.env) => {
+    const hasAzureCredentials = !!env.AZURE_SPEECH_KEY && !!env.AZURE_SPEECH_REGION;
+    const engineName = (env.STT_ENGINE || (hasAzureCredentials ? 'azure' : 'none')).toLowerCase();
+
+    let engine;
+
+    switch (engineName) {
+        case 'azure':
+            engine = new AzureSTTService({
+                key: env.AZURE_SPEECH_KEY,
+                region: env.AZURE_SPEECH_REGION
+            });
+            break;
+        case 'whisper':
+            engine = new WhisperSTTService({
+                binary: env.WHISPER_BINARY,
+                modelPath: env.WHISPER_MODEL
+            });
+            break;
+        case 'none':
+            return new DisabledSTTService({
+                reason: env.STT_ENGINE ? 'Speech-to-text is disabled (STT_ENGINE=none)' : 'No STT engine configured'
+            });
+        default:
+            logWithTimestamp(`Unknown STT_ENGINE "${engineName}" - running without speech-to-text`, { expected: STT_ENGINES });
+            return new DisabledSTTService({ reason: `Unknown STT engine "${engineName}"` });
+    }
+
+    if (!engine.isConfigured()) {
+        logWithTimestamp(`STT engine "${engineName}" is missing configuration - running without speech-to-text`);
+        return new DisabledSTTService({ reason: `STT engine "${engineName}" is not configured` });
+    }
+
+    return engine;
+};
+
+module.exports = {
+    STT_ENGINES,
+    createSTTEngine,
+    AzureSTTService,
+    WhisperSTTService,
+    DisabledSTTService
+};
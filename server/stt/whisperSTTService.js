@@ -0,0 +1,80 @@
+// Offline speech-to-text using a local whisper.cpp binary run as a subprocess
+const { execFile } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { logWithTimestamp } = require('../utils');
+const { DEFAULT_LOCALE } = require('../i18n');
+
+const TRANSCRIPTION_TIMEOUT_MS = 60000;
+
+// Markers whisper prints for non-speech, e.g. "[BLANK_AUDIO]" or "(music)"
+const NON_SPEECH_PATTERN = /\[[^\]]*\]|\([^)]*\)/g;
+
+class WhisperSTTService {
+    constructor({ binary, modelPath } = {}) {
+        this.name = 'whisper';
+        this.service = 'whisper.cpp';
+        this.binary = binary || 'whisper-cli';
+        this.modelPath = modelPath;
+    }
+
+    isConfigured() {
+        // whisper.cpp cannot run without a ggml model file
+        return !!this.modelPath;
+    }
+
+    describe() {
+        return {
+            engine: this.name,
+            configured: this.isConfigured(),
+            binary: this.binary,
+            model: this.modelPath || null
+        };
+    }
+
+    // audioBuffer is 16 kHz mono 16-bit PCM WAV, the only input whisper.cpp reads without ffmpeg
+    async transcribe(audioBuffer, { locale = DEFAULT_LOCALE } = {}) {
+        const inputFile = path.join(os.tmpdir(), `she-nurtures-stt-${crypto.randomUUID()}.wav`);
+
+        try {
+            logWithTimestamp('Starting whisper.cpp transcription...');
+
+            await fs.writeFile(inputFile, audioBuffer);
+            const output = await this.run([
+                '-m', this.modelPath,
+                '-f', inputFile,
+                '-l', locale,
+                '--no-timestamps',
+                '--no-prints'
+            ]);
+
+            logWithTimestamp('whisper.cpp transcription completed successfully!');
+            return {
+                text: output.replace(NON_SPEECH_PATTERN, ' ').replace(/\s+/g, ' ').replace(/\s+([?.!,])/g, '$1').trim(),
+                service: this.service
+            };
+        } catch (error) {
+            logWithTimestamp('Whisper STT service error', { error: error.message });
+            throw new Error(`Whisper transcription failed: ${error.message}`);
+        } finally {
+            fs.unlink(inputFile).catch(() => {});
+        }
+    }
+
+    run(args) {
+        return new Promise((resolve, reject) => {
+            execFile(this.binary, args, { timeout: TRANSCRIPTION_TIMEOUT_MS, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+                if (error) {
+                    const detail = (stderr || '').trim().split('\n').pop();
+                    reject(new Error(detail || error.message));
+                } else {
+                    resolve(stdout);
+                }
+            });
+        });
+    }
+}
+
+module.exports = WhisperSTTService;
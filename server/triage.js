@@ -0,0 +1,106 @@
+// Rule-based red-flag triage - runs before the LLM so emergencies never get a generic answer
+const { logWithTimestamp } = require('./utils');
+const { DEFAULT_LOCALE, getCatalog } = require('./i18n');
+
+// Every pattern group in "allOf" must match somewhere in the text; messageKey picks the
+// localized message from the catalog's `triage` section. Each group also lists the Hindi (Devanagari and
+// common romanized) wording after the English, so mixed-language messages still match. \b does not work
+// around Devanagari, so the Hindi alternatives are unanchored.
+const TRIAGE_RULES = [
+    {
+        id: 'suicidal_ideation',
+        category: 'mental_health_crisis',
+        allOf: [
+            /\b(suicid\w*|kill(ing)? myself|end(ing)? (my|it all|my own) li(fe|ves)|want(ed)? to die|better off dead|self[- ]?harm\w*|hurt(ing)? myself|no reason to (live|go on)|(don'?t|do not|no longer) want to (live|be alive|wake up)|aatma?hatya|khud ?kushi|marna chaht\w*|mar jana chaht\w*|jeena nahi chaht\w*)\b|आत्महत्या|ख़ुदकुशी|खुदकुशी|(मरना|मर जाना) चाहत|जीना नहीं चाहत|जीने का (मन|इच्छा) नहीं|(ज़िंदगी|जिंदगी|ज़िन्दगी|जिन्दगी) (ख़त्म|खत्म)|अपनी जान (ले|दे)|(ख़ुद|खुद) को (नुकसान|नुक़सान|चोट) (पहुँचा|पहुंचा)/i
+        ],
+        messageKey: 'crisis'
+    },
+    {
+        id: 'heavy_bleeding_with_dizziness',
+        category: 'hemorrhage',
+        allOf: [
+            /\b(heavy|heavily|soak\w*|gush\w*|pouring|hemorrhag\w*|haemorrhag\w*|(large|big) clots|a lot of blood|so much blood|bahut (zyada|jyada) (khoon|khun|bleeding))\b|भारी (रक्तस्राव|ब्लीडिंग)|(बहुत|बहुत ज़्यादा|बहुत ज्यादा|ज़्यादा|ज्यादा|तेज़|तेज) (खून|ख़ून|रक्तस्राव|ब्लीडिंग)|(बड़े|बडे) (थक्के|क्लॉट)|(पैड|कपड़ा) (भीग|भर)/i,
+            /\b(bleed\w*|blood|periods?|pads?|tampons?|clots?|khoon|khun)\b|खून|ख़ून|रक्तस्राव|ब्लीडिंग|पीरियड|माहवारी|मासिक|पैड|थक्के/i,
+            /\b(dizz\w*|faint\w*|light[- ]?headed|pass(ed|ing)? out|black(ed|ing)? out|pale|racing heart|heart racing|short(ness)? of breath|chakkar|behosh\w*)\b|चक्कर|बेहोश|आँखों के आगे (अँधेरा|अंधेरा)|आंखों के आगे (अँधेरा|अंधेरा)|(साँस|सांस) (फूल|लेने में (तकलीफ़|तकलीफ|दिक्कत))|(धड़कन|दिल) (बहुत )?(तेज़|तेज)|पीली पड़/i
+        ],
+        messageKey: 'emergency'
+    },
+    {
+        id: 'soaking_pad_hourly',
+        category: 'hemorrhage',
+        allOf: [
+            /\b(soak\w*|fill\w*|chang\w*|go(ing)? through)\b.{0,40}\b(pads?|tampons?|cups?)\b.{0,30}\b(every|each|an|one|within an?) (hour|hr)\b|(हर|एक|प्रति) (घंटे|घंटा|घण्टे).{0,40}(पैड|टैम्पोन|कप).{0,30}(भीग|बदल|भर)|(पैड|टैम्पोन|कप).{0,30}(हर|एक|प्रति) (घंटे|घंटा|घण्टे).{0,30}(भीग|बदल|भर)/i
+        ],
+        messageKey: 'emergency'
+    },
+    {
+        id: 'severe_one_sided_pelvic_pain',
+        category: 'acute_pelvic_pain',
+        allOf: [
+            /\b(severe|sharp|stabbing|excruciating|unbearable|worst|sudden|intense|extreme)\b|तेज़|तेज|असहनीय|भयानक|अचानक|चुभने|बहुत (ज़्यादा|ज्यादा) दर्द/i,
+            /\b(pains?|cramp\w*|aches?|aching|hurts?|dard)\b|दर्द|ऐंठन|मरोड़/i,
+            /\b(one[- ]sided|one side|left side|right side|lower (left|right)|(left|right) (side|ovary|lower)|side of my (belly|abdomen|stomach|pelvis))\b|एक (तरफ़|तरफ|ओर)|(बाईं|बायीं|बाएं|बाएँ|दाईं|दायीं|दाएं|दाएँ) (तरफ़|तरफ|ओर)/i
+        ],
+        messageKey: 'emergency'
+    },
+    {
+        id: 'pregnancy_bleeding_with_pain',
+        category: 'pregnancy_emergency',
+        allOf: [
+            /\b(pregnan\w*|positive (pregnancy )?test|missed (my )?period and)\b|गर्भवती|गर्भ से|प्रेग्नेंट|प्रेगनेंट|प्रेग्नेंसी|प्रेगनेंसी|गर्भावस्था|(टेस्ट|जाँच|जांच) (पॉज़िटिव|पॉजिटिव)/i,
+            /\b(bleed\w*|blood|spotting)\b|खून|ख़ून|रक्तस्राव|ब्लीडिंग|स्पॉटिंग|धब्बे/i,
+            /\b(severe|sharp|intense|bad|strong)\b.{0,20}\b(pains?|cramp\w*)\b|(तेज़|तेज|बहुत|असहनीय|भयानक).{0,20}(दर्द|ऐंठन|मरोड़)/i
+        ],
+        messageKey: 'emergency'
+    },
+    {
+        id: 'fever_with_pelvic_pain',
+        category: 'infection',
+        allOf: [
+            /\b(high fever|fever|chills|temperature of (39|40|10[2-5])|bukhar)\b|बुखार|बुख़ार|कंपकंपी|ठिठुरन/i,
+            /\b(pelvic|lower (belly|abdomen|abdominal|stomach)|abdominal|vaginal discharge)\b|(पेट के निचले|निचले पेट|पेडू|पेल्विक|श्रोणि)|योनि से (स्राव|डिस्चार्ज)|(सफ़ेद|सफेद) पानी/i
+        ],
+        messageKey: 'emergency'
+    }
+];
+
+class TriageService {
+    static RULES = TRIAGE_RULES;
+
+    // Returns null when nothing matched, otherwise the emergency response to send instead of the LLM's
+    // (text in the default locale - use messageFor() for another one)
+    static assess(...texts) {
+        const combinedText = texts
+            .filter(text => typeof text === 'string' && text.trim().length > 0)
+            .join(' \n ');
+
+        if (!combinedText) {
+            return null;
+        }
+
+        const rule = this.RULES.find(candidate => candidate.allOf.every(pattern => pattern.test(combinedText)));
+
+        if (!rule) {
+            return null;
+        }
+
+        logWithTimestamp('Red-flag triage matched - bypassing LLM', {
+            rule: rule.id,
+            category: rule.category
+        });
+
+        return {
+            triage: 'emergency',
+            rule: rule.id,
+            category: rule.category,
+            messageKey: rule.messageKey,
+            text: this.messageFor(rule, DEFAULT_LOCALE)
+        };
+    }
+
+    static messageFor(result, locale) {
+        return getCatalog(locale).triage[result.messageKey];
+    }
+}
+
+module.exports = TriageService;
@@ -0,0 +1,155 @@
+// Content-addressed disk cache for synthesized speech
+//
+// Each clip is stored as <id>.<ext> with a <id>.json sidecar (MIME type, voice, engine). The id is a hash of
+// everything that changes the audio - text, engine, locale, voice and prosody - so repeated answers such as
+// the suggestion chips and fallback texts are synthesized once. Least recently used clips are evicted once
+// the cache grows past maxBytes; file mtimes record use so the order survives restarts.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logWithTimestamp } = require('../utils');
+const { extensionFor } = require('./audioFormats');
+
+const ID_PATTERN = /^[a-f0-9]{32}$/;
+
+class AudioCache {
+    constructor({ dir, maxBytes }) {
+        this.dir = dir;
+        this.maxBytes = maxBytes;
+        // id -> { file, size, meta }, oldest use first (Map keeps insertion order)
+        this.entries = new Map();
+        this.totalBytes = 0;
+        this.ready = null;
+    }
+
+    static isValidId(id) {
+        return typeof id === 'string' && ID_PATTERN.test(id);
+    }
+
+    // fields: { text, engine, format, locale, voice, voiceIndex, rate, pitch, style }
+    static keyFor(fields) {
+        const { text, engine, format, locale, voice, voiceIndex, rate, pitch, style } = fields;
+        const source = JSON.stringify([text, engine, format, locale, voice, voiceIndex, rate, pitch, style]);
+        return crypto.createHash('sha256').update(source).digest('hex').slice(0, 32);
+    }
+
+    get enabled() {
+        return this.maxBytes > 0;
+    }
+
+    describe() {
+        return {
+            enabled: this.enabled,
+            dir: this.dir,
+            entries: this.entries.size,
+            bytes: this.totalBytes,
+            maxBytes: this.maxBytes
+        };
+    }
+
+    // Builds the index from the sidecars on first use; stray files from interrupted writes are removed
+    load() {
+        if (!this.ready) {
+            this.ready = this.readIndex().catch(error => {
+                logWithTimestamp('Audio cache index could not be read - starting empty', { error: error.message });
+            });
+        }
+        return this.ready;
+    }
+
+    async readIndex() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        const names = await fs.promises.readdir(this.dir);
+        const found = [];
+
+        for (const name of names) {
+            const id = name.split('.')[0];
+            if (!AudioCache.isValidId(id) || !name.endsWith('.json')) {
+                if (!AudioCache.isValidId(id) || name.endsWith('.tmp') || !names.includes(`${id}.json`)) {
+                    await fs.promises.unlink(path.join(this.dir, name)).catch(() => {});
+                }
+                continue;
+            }
+
+            try {
+                const meta = JSON.parse(await fs.promises.readFile(path.join(this.dir, name), 'utf8'));
+                const file = `${id}.${extensionFor(meta.mimeType)}`;
+                const stats = await fs.promises.stat(path.join(this.dir, file));
+                found.push({ id, file, size: stats.size, meta, usedAt: stats.mtimeMs });
+            } catch (error) {
+                const related = names.filter(other => other.startsWith(`${id}.`));
+                await Promise.all(related.map(other => fs.promises.unlink(path.join(this.dir, other)).catch(() => {})));
+            }
+        }
+
+        found.sort((a, b) => a.usedAt - b.usedAt).forEach(({ id, file, size, meta }) => {
+            this.entries.set(id, { file, size, meta });
+            this.totalBytes += size;
+        });
+
+        await this.evict();
+        logWithTimestamp('Audio cache loaded', { entries: this.entries.size, bytes: this.totalBytes });
+    }
+
+    // Returns { filePath, size, meta } and marks the clip as recently used, or null on a miss
+    async get(id) {
+        if (!this.enabled || !AudioCache.isValidId(id)) return null;
+        await this.load();
+
+        const entry = this.entries.get(id);
+        if (!entry) return null;
+
+        this.entries.delete(id);
+        this.entries.set(id, entry);
+
+        const filePath = path.join(this.dir, entry.file);
+        const now = new Date();
+        fs.promises.utimes(filePath, now, now).catch(() => {});
+
+        return { filePath, size: entry.size, meta: entry.meta };
+    }
+
+    // Stores a clip; meta must include mimeType. Returns false when caching is disabled.
+    async put(id, audioBuffer, meta) {
+        if (!this.enabled || !AudioCache.isValidId(id)) return false;
+        await this.load();
+
+        const file = `${id}.${extensionFor(meta.mimeType)}`;
+        const target = path.join(this.dir, file);
+        const tempFile = `${target}.${process.pid}.${crypto.randomUUID()}.tmp`;
+
+        // Audio first, sidecar last - a clip only counts as cached once its sidecar exists
+        await fs.promises.writeFile(tempFile, audioBuffer);
+        await fs.promises.rename(tempFile, target);
+        await fs.promises.writeFile(path.join(this.dir, `${id}.json`), JSON.stringify(meta), 'utf8');
+
+        const previous = this.entries.get(id);
+        if (previous) {
+            this.totalBytes -= previous.size;
+            this.entries.delete(id);
+        }
+
+        this.entries.set(id, { file, size: audioBuffer.length, meta });
+        this.totalBytes += audioBuffer.length;
+
+        await this.evict();
+        return true;
+    }
+
+    // Drops least recently used clips until the cache fits, always keeping the newest one
+    async evict() {
+        while (this.totalBytes > this.maxBytes && this.entries.size > 1) {
+            const [id, entry] = this.entries.entries().next().value;
+            this.entries.delete(id);
+            this.totalBytes -= entry.size;
+            await this.removeFiles(id, entry.file);
+        }
+    }
+
+    async removeFiles(id, file) {
+        await fs.promises.unlink(path.join(this.dir, `${id}.json`)).catch(() => {});
+        await fs.promises.unlink(path.join(this.dir, file)).catch(() => {});
+    }
+}
+
+module.exports = AudioCache;
@@ -0,0 +1,49 @@
+// Audio container formats the TTS engines can produce, and picking one the client can play
+//
+// Clients send `formats` - the ids they can play, most preferred first (e.g. ["opus", "mp3"]), as an array or
+// a comma-separated string. The first one the engine supports wins; otherwise the engine's own default is used.
+
+const AUDIO_FORMATS = {
+    mp3: { mimeType: 'audio/mpeg', extension: 'mp3' },
+    opus: { mimeType: 'audio/ogg; codecs=opus', extension: 'ogg' },
+    wav: { mimeType: 'audio/wav', extension: 'wav' }
+};
+
+const MAX_FORMATS = 10;
+
+// Carries an HTTP status so the routes can answer 400 instead of 500
+const createFormatError = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+// Known format ids in the client's order. Ids we do not produce (e.g. "aac") are skipped, not rejected.
+const parseAudioFormats = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+
+    const list = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(list) || list.length > MAX_FORMATS || list.some(item => typeof item !== 'string')) {
+        throw createFormatError(`formats must be a list of up to ${MAX_FORMATS} audio format ids such as "opus" or "mp3".`);
+    }
+
+    return [...new Set(list.map(item => item.trim().toLowerCase()))]
+        .filter(id => Object.prototype.hasOwnProperty.call(AUDIO_FORMATS, id));
+};
+
+// supported is the engine's list, default format first
+const negotiateAudioFormat = (requested = [], supported = []) => requested.find(id => supported.includes(id)) || supported[0];
+
+const extensionFor = (mimeType) => {
+    const format = Object.values(AUDIO_FORMATS).find(candidate => candidate.mimeType === mimeType);
+    return format ? format.extension : 'bin';
+};
+
+module.exports = {
+    AUDIO_FORMATS,
+    parseAudioFormats,
+    negotiateAudioFormat,
+    extensionFor
+};
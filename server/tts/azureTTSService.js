@@ -0,0 +1,301 @@
+// Azure Cognitive Services text-to-speech engine - synthesized over the Speech SDK so word and viseme timings come
+// from its WordBoundary and Viseme events
+const fetch = require('node-fetch');
+const sdk = require('microsoft-cognitiveservices-speech-sdk');
+const { logWithTimestamp } = require('../utils');
+const { DEFAULT_LOCALE } = require('../i18n');
+const { VOICE_SETTING_LIMITS } = require('./voiceSettings');
+const { AUDIO_FORMATS } = require('./audioFormats');
+const { buildSpeechMarksFromEvents } = require('./speechMarks');
+
+// Speech SDK offsets and durations are in 100-nanosecond ticks
+const TICKS_PER_MS = 10000;
+
+class AzureTTSService {
+    // Voices per locale code; lang is the xml:lang used in the SSML, styles the mstts:express-as
+    // styles offered for the voice and style the one used when a request does not pick one
+    static VOICE_CONFIGS = {
+        en: [
+            {
+                id: "aria",
+                name: "Aria (Friendly Female)",
+                voiceName: "en-US-AriaNeural",
+                lang: "en-US",
+                style: "cheerful",
+                styles: ["cheerful", "empathetic", "friendly", "hopeful", "chat"],
+                gender: "Female"
+            },
+            {
+                id: "jenny",
+                name: "Jenny (Warm Female)",
+                voiceName: "en-US-JennyNeural",
+                lang: "en-US",
+                style: "friendly",
+                styles: ["cheerful", "friendly", "hopeful", "chat", "assistant"],
+                gender: "Female"
+            },
+            {
+                id: "sara",
+                name: "Sara (Gentle Female)",
+                voiceName: "en-US-SaraNeural",
+                lang: "en-US",
+                style: null,
+                styles: ["cheerful", "friendly", "hopeful"],
+                gender: "Female"
+            }
+        ],
+        hi: [
+            {
+                id: "swara",
+                name: "Swara (Friendly Female)",
+                voiceName: "hi-IN-SwaraNeural",
+                lang: "hi-IN",
+                style: null,
+                styles: [],
+                gender: "Female"
+            },
+            {
+                id: "ananya",
+                name: "Ananya (Warm Female)",
+                voiceName: "hi-IN-AnanyaNeural",
+                lang: "hi-IN",
+                style: null,
+                styles: [],
+                gender: "Female"
+            },
+            {
+                id: "kavya",
+                name: "Kavya (Gentle Female)",
+                voiceName: "hi-IN-KavyaNeural",
+                lang: "hi-IN",
+                style: null,
+                styles: [],
+                gender: "Female"
+            }
+        ]
+    };
+
+    // What the voice settings panel may change for this engine
+    static CAPABILITIES = { rate: true, pitch: true, style: true };
+
+    // Speech SDK output format per audioFormats.js id, default first
+    static OUTPUT_FORMATS = {
+        mp3: sdk.SpeechSynthesisOutputFormat.Audio24Khz48KBitRateMonoMp3,
+        opus: sdk.SpeechSynthesisOutputFormat.Ogg24Khz16BitMonoOpus,
+        wav: sdk.SpeechSynthesisOutputFormat.Riff24Khz16BitMonoPcm
+    };
+
+    constructor({ key, region } = {}) {
+        this.name = 'azure';
+        this.service = 'azure-tts';
+        this.key = key;
+        this.region = region;
+    }
+
+    isConfigured() {
+        return !!this.key && !!this.region;
+    }
+
+    describe() {
+        return {
+            engine: this.name,
+            configured: this.isConfigured(),
+            region: this.region || null,
+            voices: Object.fromEntries(Object.entries(AzureTTSService.VOICE_CONFIGS)
+                .map(([locale, voices]) => [locale, voices.map(voice => voice.name)]))
+        };
+    }
+
+    async testConnection() {
+        try {
+            logWithTimestamp('Testing Azure TTS connection...');
+
+            const testEndpoint = `https://${this.region}.tts.speech.microsoft.com/cognitiveservices/voices/list`;
+
+            const response = await fetch(testEndpoint, {
+                method: 'GET',
+                headers: {
+                    'Ocp-Apim-Subscription-Key': this.key
+                }
+            });
+
+            if (response.ok) {
+                logWithTimestamp('Azure TTS connection successful');
+                return true;
+            } else {
+                logWithTimestamp('Azure connection test failed', {
+                    status: response.status,
+                    statusText: response.statusText
+                });
+                return false;
+            }
+        } catch (error) {
+            logWithTimestamp('Azure connection test error', { error: error.message });
+            return false;
+        }
+    }
+
+    // Unknown locales speak with the English voices
+    voicesFor(locale) {
+        return AzureTTSService.VOICE_CONFIGS[locale] || AzureTTSService.VOICE_CONFIGS[DEFAULT_LOCALE];
+    }
+
+    // Public voice list for GET /api/voices
+    listVoices(locale = DEFAULT_LOCALE) {
+        return this.voicesFor(locale).map(({ id, name, gender, style, styles }) => ({
+            id,
+            name,
+            gender,
+            defaultStyle: style,
+            styles
+        }));
+    }
+
+    get capabilities() {
+        return AzureTTSService.CAPABILITIES;
+    }
+
+    get formats() {
+        return Object.keys(AzureTTSService.OUTPUT_FORMATS);
+    }
+
+    // A requested voice id wins; unknown ids (e.g. an English voice on a Hindi answer) fall back to voiceIndex
+    selectVoice(locale, voiceId, voiceIndex = 0) {
+        const voices = this.voicesFor(locale);
+        return voices.find(voice => voice.id === voiceId) || voices[voiceIndex] || voices[0];
+    }
+
+    // Requested style if the voice supports it, otherwise the voice's own default
+    selectStyle(voiceConfig, style) {
+        if (style && voiceConfig.styles.includes(style)) {
+            return style;
+        }
+        return voiceConfig.style;
+    }
+
+    // options: { locale, voiceIndex, voice, rate, pitch, style } - see voiceSettings.js - and format (audioFormats.js id)
+    async generateSpeech(text, options = {}) {
+        const {
+            format = this.formats[0],
+            locale = DEFAULT_LOCALE,
+            voiceIndex = 0,
+            voice = null,
+            rate = VOICE_SETTING_LIMITS.rate.default,
+            pitch = VOICE_SETTING_LIMITS.pitch.default,
+            style = null
+        } = options;
+
+        try {
+            logWithTimestamp('Starting Azure TTS generation...');
+
+            const sanitizedText = text.trim();
+
+            if (!sanitizedText || sanitizedText.length < 5) {
+                throw new Error('Text is too short for audio generation');
+            }
+
+            const processedText = sanitizedText.substring(0, 1000);
+            const selectedVoice = this.selectVoice(locale, voice, voiceIndex);
+            const selectedStyle = this.selectStyle(selectedVoice, style);
+
+            const ssml = this.generateSSML(processedText, selectedVoice, { rate, pitch, style: selectedStyle });
+            const outputFormat = this.formats.includes(format) ? format : this.formats[0];
+            const { audioBuffer, words, visemes, durationMs } = await this.synthesize(ssml, AzureTTSService.OUTPUT_FORMATS[outputFormat]);
+            const audioBase64 = audioBuffer.toString('base64');
+
+            logWithTimestamp('Azure TTS generation completed successfully!', { format: outputFormat });
+            return {
+                audioData: audioBase64,
+                format: outputFormat,
+                mimeType: AUDIO_FORMATS[outputFormat].mimeType,
+                speechMarks: buildSpeechMarksFromEvents(processedText, { words, visemes, durationMs }),
+                voiceName: selectedVoice.name,
+                voiceId: selectedVoice.id,
+                style: selectedStyle,
+                service: this.service
+            };
+
+        } catch (error) {
+            logWithTimestamp('Azure TTS service error', { error: error.message });
+            throw new Error(`Azure TTS generation failed: ${error.message}`);
+        }
+    }
+
+    // rate is a speed multiplier, pitch a percentage shift; style wraps the prosody in mstts:express-as
+    generateSSML(text, voiceConfig, { rate = VOICE_SETTING_LIMITS.rate.default, pitch = VOICE_SETTING_LIMITS.pitch.default, style = null } = {}) {
+        const pitchShift = `${pitch >= 0 ? '+' : ''}${pitch}%`;
+        let content = `<prosody rate="${rate}" pitch="${pitchShift}">
+                        ${this.escapeSSML(text)}
+                    </prosody>`;
+
+        if (style) {
+            content = `<mstts:express-as style="${this.escapeSSML(style)}">
+                    ${content}
+                    </mstts:express-as>`;
+        }
+
+        const ssml = `
+            <speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xmlns:mstts="https://www.w3.org/2001/mstts" xml:lang="${voiceConfig.lang}">
+                <voice name="${voiceConfig.voiceName}">
+                    ${content}
+                </voice>
+            </speak>
+        `.trim();
+
+        return ssml;
+    }
+
+    escapeSSML(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    // Synthesizes over the Speech SDK, which (unlike the REST endpoint) reports WordBoundary and Viseme events.
+    // Resolves with { audioBuffer, words, visemes, durationMs }; event times are converted from ticks to ms.
+    synthesize(ssml, outputFormat = AzureTTSService.OUTPUT_FORMATS.mp3) {
+        const speechConfig = sdk.SpeechConfig.fromSubscription(this.key, this.region);
+        speechConfig.speechSynthesisOutputFormat = outputFormat;
+        // No audio config: keep the audio in the result instead of playing it
+        const synthesizer = new sdk.SpeechSynthesizer(speechConfig, null);
+        const words = [];
+        const visemes = [];
+
+        synthesizer.wordBoundary = (sender, event) => {
+            if (event.boundaryType === sdk.SpeechSynthesisBoundaryType.Word) {
+                words.push({ text: event.text, start: event.audioOffset / TICKS_PER_MS, duration: event.duration / TICKS_PER_MS });
+            }
+        };
+        synthesizer.visemeReceived = (sender, event) => {
+            visemes.push({ time: event.audioOffset / TICKS_PER_MS, id: event.visemeId });
+        };
+
+        return new Promise((resolve, reject) => {
+            synthesizer.speakSsmlAsync(ssml, result => {
+                synthesizer.close();
+
+                if (result.reason !== sdk.ResultReason.SynthesizingAudioCompleted) {
+                    reject(new Error(`Azure TTS synthesis failed: ${result.errorDetails || 'no audio returned'}`));
+                    return;
+                }
+
+                const audioBuffer = Buffer.from(result.audioData);
+                if (!audioBuffer.length) {
+                    reject(new Error('Empty audio response from Azure TTS'));
+                    return;
+                }
+
+                resolve({ audioBuffer, words, visemes, durationMs: result.audioDuration / TICKS_PER_MS });
+            }, error => {
+                synthesizer.close();
+                logWithTimestamp('Failed to call Azure TTS', { error: String(error) });
+                reject(new Error(String(error)));
+            });
+        });
+    }
+}
+
+module.exports = AzureTTSService;
@@ -0,0 +1,43 @@
+// "No TTS" mode - answers are returned as text only
+class DisabledTTSService {
+    constructor({ reason = 'Text-to-speech is disabled' } = {}) {
+        this.name = 'none';
+        this.service = 'none';
+        this.reason = reason;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    describe() {
+        return {
+            engine: this.name,
+            configured: true,
+            reason: this.reason,
+            voices: {}
+        };
+    }
+
+    listVoices() {
+        return [];
+    }
+
+    get capabilities() {
+        return { rate: false, pitch: false, style: false };
+    }
+
+    get formats() {
+        return [];
+    }
+
+    async testConnection() {
+        return false;
+    }
+
+    async generateSpeech() {
+        throw new Error(this.reason);
+    }
+}
+
+module.exports = DisabledTTSService;
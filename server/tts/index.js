@@ -0,0 +1,88 @@
+// TTS engine factory - picks the speech backend from environment config
+//
+// TTS_ENGINE=azure   needs AZURE_SPEECH_KEY and AZURE_SPEECH_REGION (default when both are set)
+// TTS_ENGINE=espeak  runs espeak-ng locally, optional LOCAL_TTS_BINARY and LOCAL_TTS_VOICE (e.g. en-gb)
+// TTS_ENGINE=piper   runs piper locally, needs PIPER_MODEL (path to an .onnx voice), optional LOCAL_TTS_BINARY
+//                    and PIPER_MODEL_HI (a Hindi voice - without it Hindi answers are text-only)
+// TTS_ENGINE=none    text-only answers
+//
+// A misconfigured engine degrades to "none" instead of stopping the server.
+//
+// AUDIO_CACHE_DIR     where synthesized clips are kept (default: data/audio in the project root)
+// AUDIO_CACHE_MAX_MB  size limit before least recently used clips are evicted (default 200, 0 disables caching)
+const path = require('path');
+const AzureTTSService = require('./azureTTSService');
+const LocalTTSService = require('./localTTSService');
+const DisabledTTSService = require('./disabledTTSService');
+const AudioCache = require('./audioCache');
+const { logWithTimestamp } = require('../utils');
+
+const TTS_ENGINES = ['azure', 'espeak', 'piper', 'none'];
+
+const DEFAULT_AUDIO_CACHE_DIR = path.resolve(__dirname, '..', '..', 'data', 'audio');
+const DEFAULT_AUDIO_CACHE_MAX_MB = 200;
+
+const createTTSEngine = (env = process.env) => {
+    const hasAzureCredentials = !!env.AZURE_SPEECH_KEY && !!env.AZURE_SPEECH_REGION;
+    const engineName = (env.TTS_ENGINE || (hasAzureCredentials ? 'azure' : 'none')).toLowerCase();
+
+    let engine;
+
+    switch (engineName) {
+        case 'azure':
+            engine = new AzureTTSService({
+                key: env.AZURE_SPEECH_KEY,
+                region: env.AZURE_SPEECH_REGION
+            });
+            break;
+        case 'espeak':
+        case 'piper':
+            engine = new LocalTTSService({
+                engine: engineName,
+                binary: env.LOCAL_TTS_BINARY,
+                modelPath: env.PIPER_MODEL,
+                modelPaths: { hi: env.PIPER_MODEL_HI },
+                voice: env.LOCAL_TTS_VOICE
+            });
+            break;
+        case 'none':
+            return new DisabledTTSService({
+                reason: env.TTS_ENGINE ? 'Text-to-speech is disabled (TTS_ENGINE=none)' : 'No TTS engine configured'
+            });
+        default:
+            logWithTimestamp(`Unknown TTS_ENGINE "${engineName}" - running without audio`, { expected: TTS_ENGINES });
+            return new DisabledTTSService({ reason: `Unknown TTS engine "${engineName}"` });
+    }
+
+    if (!engine.isConfigured()) {
+        logWithTimestamp(`TTS engine "${engineName}" is missing configuration - running without audio`);
+        return new DisabledTTSService({ reason: `TTS engine "${engineName}" is not configured` });
+    }
+
+    return engine;
+};
+
+const createAudioCache = (env = process.env) => {
+    const maxMb = env.AUDIO_CACHE_MAX_MB !== undefined && env.AUDIO_CACHE_MAX_MB !== ''
+        ? Number(env.AUDIO_CACHE_MAX_MB)
+        : DEFAULT_AUDIO_CACHE_MAX_MB;
+
+    if (!isFinite(maxMb) || maxMb < 0) {
+        logWithTimestamp(`Invalid AUDIO_CACHE_MAX_MB "${env.AUDIO_CACHE_MAX_MB}" - using ${DEFAULT_AUDIO_CACHE_MAX_MB}`);
+    }
+
+    return new AudioCache({
+        dir: env.AUDIO_CACHE_DIR ? path.resolve(env.AUDIO_CACHE_DIR) : DEFAULT_AUDIO_CACHE_DIR,
+        maxBytes: Math.round((isFinite(maxMb) && maxMb >= 0 ? maxMb : DEFAULT_AUDIO_CACHE_MAX_MB) * 1024 * 1024)
+    });
+};
+
+module.exports = {
+    TTS_ENGINES,
+    createTTSEngine,
+    createAudioCache,
+    AudioCache,
+    AzureTTSService,
+    LocalTTSService,
+    DisabledTTSService
+};
@@ -0,0 +1,234 @@
+// Offline text-to-speech using a local binary (espeak-ng or piper) run as a subprocess
+const { execFile, spawn } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { logWithTimestamp } = require('../utils');
+const { DEFAULT_LOCALE } = require('../i18n');
+const { VOICE_SETTING_LIMITS } = require('./voiceSettings');
+const { AUDIO_FORMATS } = require('./audioFormats');
+const { buildSpeechMarks } = require('./speechMarks');
+
+const SYNTHESIS_TIMEOUT_MS = 30000;
+
+// espeak-ng speed (words per minute) and pitch (0-99) at the default rate and pitch
+const ESPEAK_BASE_SPEED = 160;
+const ESPEAK_BASE_PITCH = 50;
+
+class LocalTTSService {
+    // Voices per engine and locale code. Piper speaks a locale only when it has a model for it.
+    static VOICE_CONFIGS = {
+        espeak: {
+            en: [
+                { id: "en-us", name: "eSpeak (English US)", voiceName: "en-us" },
+                { id: "en-gb", name: "eSpeak (English UK)", voiceName: "en-gb" }
+            ],
+            hi: [
+                { id: "hi", name: "eSpeak (Hindi)", voiceName: "hi" }
+            ]
+        },
+        piper: {
+            en: [
+                { id: "piper", name: "Piper (Local Model)", voiceName: "default" }
+            ],
+            hi: [
+                { id: "piper", name: "Piper (Local Hindi Model)", voiceName: "default" }
+            ]
+        }
+    };
+
+    // Neither binary has speaking styles; piper has no pitch control
+    static CAPABILITIES = {
+        espeak: { rate: true, pitch: true, style: false },
+        piper: { rate: true, pitch: false, style: false }
+    };
+
+    // modelPaths maps extra locales to piper models; modelPath is the default locale's
+    constructor({ engine = 'espeak', binary, modelPath, modelPaths = {}, voice } = {}) {
+        this.name = engine;
+        this.service = engine === 'piper' ? 'piper' : 'espeak-ng';
+        this.binary = binary || (engine === 'piper' ? 'piper' : 'espeak-ng');
+        this.modelPath = modelPath;
+        this.modelPaths = { ...modelPaths, [DEFAULT_LOCALE]: modelPath };
+        this.voice = voice;
+    }
+
+    voicesFor(locale = DEFAULT_LOCALE) {
+        if (this.name === 'piper' && !this.modelPaths[locale]) {
+            return [];
+        }
+        return (LocalTTSService.VOICE_CONFIGS[this.name] || {})[locale] || [];
+    }
+
+    // Public voice list for GET /api/voices
+    listVoices(locale = DEFAULT_LOCALE) {
+        return this.voicesFor(locale).map(({ id, name }) => ({
+            id,
+            name,
+            gender: null,
+            defaultStyle: null,
+            styles: []
+        }));
+    }
+
+    get capabilities() {
+        return LocalTTSService.CAPABILITIES[this.name] || { rate: false, pitch: false, style: false };
+    }
+
+    // Both binaries only write WAV; no transcoding is done here
+    get formats() {
+        return ['wav'];
+    }
+
+    get locales() {
+        return Object.keys(LocalTTSService.VOICE_CONFIGS[this.name] || {})
+            .filter(locale => this.voicesFor(locale).length > 0);
+    }
+
+    isConfigured() {
+        // Piper cannot speak without a voice model file
+        return this.name !== 'piper' || !!this.modelPath;
+    }
+
+    describe() {
+        return {
+            engine: this.name,
+            configured: this.isConfigured(),
+            binary: this.binary,
+            model: this.modelPath || null,
+            voices: Object.fromEntries(this.locales.map(locale => [locale, this.voicesFor(locale).map(voice => voice.name)]))
+        };
+    }
+
+    // Runs the binary with a harmless flag to confirm it is installed and on PATH
+    testConnection() {
+        return new Promise(resolve => {
+            execFile(this.binary, ['--version'], { timeout: 5000 }, (error) => {
+                if (error) {
+                    logWithTimestamp(`Local TTS binary unavailable (${this.binary})`, { error: error.message });
+                    resolve(false);
+                } else {
+                    logWithTimestamp(`Local TTS binary ready (${this.binary})`);
+                    resolve(true);
+                }
+            });
+        });
+    }
+
+    // options: { locale, voiceIndex, voice, rate, pitch } - see voiceSettings.js. Styles and format are ignored.
+    async generateSpeech(text, options = {}) {
+        const {
+            locale = DEFAULT_LOCALE,
+            voiceIndex = 0,
+            voice = null,
+            rate = VOICE_SETTING_LIMITS.rate.default,
+            pitch = VOICE_SETTING_LIMITS.pitch.default
+        } = options;
+        const sanitizedText = (text || '').trim();
+
+        if (!sanitizedText || sanitizedText.length < 5) {
+            throw new Error('Text is too short for audio generation');
+        }
+
+        const voices = this.voicesFor(locale);
+        if (voices.length === 0) {
+            throw new Error(`No ${this.name} voice configured for locale "${locale}"`);
+        }
+
+        const processedText = sanitizedText.substring(0, 1000);
+        const selectedVoice = voices.find(candidate => candidate.id === voice) || voices[voiceIndex] || voices[0];
+        const outputFile = path.join(os.tmpdir(), `she-nurtures-tts-${crypto.randomUUID()}.wav`);
+
+        try {
+            logWithTimestamp(`Starting local TTS generation (${this.name})...`);
+
+            await this.runSynthesis(processedText, selectedVoice, outputFile, { locale, rate, pitch, voiceRequested: !!voice });
+            const audioBuffer = await fs.readFile(outputFile);
+
+            if (audioBuffer.length === 0) {
+                throw new Error('Empty audio output from local TTS');
+            }
+
+            logWithTimestamp('Local TTS generation completed successfully!');
+            return {
+                audioData: audioBuffer.toString('base64'),
+                format: 'wav',
+                mimeType: AUDIO_FORMATS.wav.mimeType,
+                speechMarks: buildSpeechMarks(processedText, audioBuffer, 'wav', { rate }),
+                voiceName: selectedVoice.name,
+                voiceId: selectedVoice.id,
+                style: null,
+                service: this.service
+            };
+        } catch (error) {
+            logWithTimestamp('Local TTS service error', { error: error.message });
+            throw new Error(`Local TTS generation failed: ${error.message}`);
+        } finally {
+            fs.unlink(outputFile).catch(() => {});
+        }
+    }
+
+    runSynthesis(text, voice, outputFile, { locale = DEFAULT_LOCALE, rate = VOICE_SETTING_LIMITS.rate.default, pitch = VOICE_SETTING_LIMITS.pitch.default, voiceRequested = false } = {}) {
+        // Both binaries are tuned so the default rate sounds like their own default speed
+        const relativeRate = rate / VOICE_SETTING_LIMITS.rate.default;
+
+        if (this.name === 'piper') {
+            // Piper reads the text from stdin; a longer length scale is slower speech
+            return this.spawnWithInput(this.binary, [
+                '--model', this.modelPaths[locale],
+                '--length_scale', (1 / relativeRate).toFixed(2),
+                '--output_file', outputFile
+            ], text);
+        }
+
+        // LOCAL_TTS_VOICE overrides the default locale's voice unless the request picked one.
+        // Text goes after "--" so input starting with "-" is never read as a flag
+        const voiceName = locale === DEFAULT_LOCALE && this.voice && !voiceRequested ? this.voice : voice.voiceName;
+        const espeakPitch = Math.min(Math.max(Math.round(ESPEAK_BASE_PITCH + pitch), 0), 99);
+        return this.spawnWithInput(this.binary, [
+            '-v', voiceName,
+            '-s', String(Math.round(ESPEAK_BASE_SPEED * relativeRate)),
+            '-p', String(espeakPitch),
+            '-w', outputFile,
+            '--', text
+        ]);
+    }
+
+    spawnWithInput(binary, args, input = null) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(binary, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+            let stderr = '';
+
+            const timer = setTimeout(() => {
+                child.kill('SIGKILL');
+                reject(new Error(`${binary} timed out after ${SYNTHESIS_TIMEOUT_MS}ms`));
+            }, SYNTHESIS_TIMEOUT_MS);
+
+            child.stderr.on('data', chunk => {
+                stderr += chunk.toString();
+            });
+
+            child.on('error', error => {
+                clearTimeout(timer);
+                reject(error);
+            });
+
+            child.on('close', code => {
+                clearTimeout(timer);
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(`${binary} exited with code ${code}: ${stderr.trim().substring(0, 200)}`));
+                }
+            });
+
+            if (input !== null) {
+                child.stdin.write(input);
+            }
+            child.stdin.end();
+        });
+    }
+}
+
+module.exports = LocalTTSService;
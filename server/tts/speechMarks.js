@@ -0,0 +1,241 @@
+// Word and mouth-shape timings for a synthesized clip, used for caption highlighting and avatar lip sync
+//
+// Azure reports real timings through the Speech SDK's WordBoundary and Viseme events (buildSpeechMarksFromEvents).
+// The offline binaries report none, so for espeak and piper the timings are estimated (buildSpeechMarks): the
+// clip's real duration is measured from the audio and shared out across the words by length, with pauses after
+// punctuation.
+//
+// { durationMs, estimated, words: [{ offset, length, start, end }], visemes: [{ time, shape }] }
+// offset/length index into the spoken text; times are milliseconds from the start of the clip.
+
+// Pause weights in "characters" so a comma or full stop takes time like a short word
+const PAUSE_WEIGHTS = {
+    clause: 3,
+    sentence: 6
+};
+
+// Used only when the clip length cannot be read from the audio
+const FALLBACK_CHARS_PER_SECOND = 14;
+
+// Simplified mouth shapes the avatar draws: rest, closed, open, wide, round and teeth
+const LATIN_SHAPES = [
+    [/[mbp]/, 'closed'],
+    [/[fv]/, 'teeth'],
+    [/[aæ]/, 'open'],
+    [/[eiy]/, 'wide'],
+    [/[ouw]/, 'round']
+];
+
+// Devanagari vowels and vowel signs; other letters carry the inherent "a" and open the mouth
+const DEVANAGARI_SHAPES = [
+    [/[मबपभफ]/, 'closed'],
+    [/[इईएऐिीेै]/, 'wide'],
+    [/[उऊओऔुूोौ]/, 'round'],
+    [/[ऀ-ॿ]/, 'open']
+];
+
+// Azure viseme ids (0-21, see the Speech service viseme docs) as the avatar's shapes
+const AZURE_VISEME_SHAPES = [
+    'rest', // 0 silence
+    'open', // 1 æ ə ʌ
+    'open', // 2 ɑ
+    'round', // 3 ɔ
+    'wide', // 4 ɛ ʊ
+    'open', // 5 ɝ
+    'wide', // 6 j i ɪ
+    'round', // 7 w u
+    'round', // 8 o
+    'open', // 9 aʊ
+    'round', // 10 ɔɪ
+    'open', // 11 aɪ
+    'open', // 12 h
+    'round', // 13 ɹ
+    'open', // 14 l
+    'teeth', // 15 s z
+    'teeth', // 16 ʃ tʃ dʒ ʒ
+    'teeth', // 17 ð
+    'teeth', // 18 f v
+    'wide', // 19 d t n θ
+    'open', // 20 k g ŋ
+    'closed' // 21 p b m
+];
+
+const shapeFor = (character) => {
+    const lower = character.toLowerCase();
+    const table = /[ऀ-ॿ]/.test(lower) ? DEVANAGARI_SHAPES : LATIN_SHAPES;
+    const match = table.find(([pattern]) => pattern.test(lower));
+    return match ? match[1] : null;
+};
+
+// ---------------------------------------------------------------------------
+// Clip duration from the audio bytes
+// ---------------------------------------------------------------------------
+
+const wavDurationMs = (buffer) => {
+    const byteRate = buffer.readUInt32LE(28);
+    let offset = 12;
+
+    // Walk the chunks to the PCM data; espeak writes placeholder sizes, so measure to the end of the buffer
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        if (chunkId === 'data') {
+            return byteRate ? ((buffer.length - offset - 8) / byteRate) * 1000 : null;
+        }
+        offset += 8 + chunkSize + (chunkSize % 2);
+    }
+    return null;
+};
+
+// kbit/s by MPEG version (1, or 2/2.5) for Layer III
+const MP3_BITRATES = {
+    mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+// Constant bitrate assumed (Azure's mp3 outputs are CBR): bytes * 8 / bitrate
+const mp3DurationMs = (buffer) => {
+    let offset = 0;
+    if (buffer.toString('ascii', 0, 3) === 'ID3') {
+        const size = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+        offset = 10 + size;
+    }
+
+    for (; offset + 4 <= buffer.length; offset++) {
+        if (buffer[offset] === 0xff && (buffer[offset + 1] & 0xe0) === 0xe0) {
+            const version = (buffer[offset + 1] >> 3) & 0x03;
+            const bitrate = MP3_BITRATES[version === 3 ? 'mpeg1' : 'mpeg2'][buffer[offset + 2] >> 4];
+            if (bitrate) {
+                return ((buffer.length - offset) * 8) / bitrate;
+            }
+        }
+    }
+    return null;
+};
+
+// Opus always runs at 48 kHz; the last page's granule position minus the pre-skip is the sample count
+const oggOpusDurationMs = (buffer) => {
+    const lastPage = buffer.lastIndexOf('OggS');
+    const head = buffer.indexOf('OpusHead');
+    if (lastPage < 0 || lastPage + 14 > buffer.length) return null;
+
+    const granule = Number(buffer.readBigUInt64LE(lastPage + 6));
+    const preSkip = head >= 0 ? buffer.readUInt16LE(head + 10) : 0;
+    return granule > preSkip ? ((granule - preSkip) / 48000) * 1000 : null;
+};
+
+const DURATION_READERS = {
+    wav: wavDurationMs,
+    mp3: mp3DurationMs,
+    opus: oggOpusDurationMs
+};
+
+const measureDurationMs = (audioBuffer, format) => {
+    try {
+        const reader = DURATION_READERS[format];
+        const duration = reader && audioBuffer && audioBuffer.length ? reader(audioBuffer) : null;
+        return duration && isFinite(duration) && duration > 0 ? duration : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// ---------------------------------------------------------------------------
+// Word and viseme estimates
+// ---------------------------------------------------------------------------
+
+const pauseAfter = (word) => {
+    if (/[.!?।]["')\]]*$/.test(word)) return PAUSE_WEIGHTS.sentence;
+    if (/[,;:–—-]["')\]]*$/.test(word)) return PAUSE_WEIGHTS.clause;
+    return 0;
+};
+
+// Mouth shapes through one word, merging repeats; the mouth closes to rest in the pauses
+const wordVisemes = (word, start, end) => {
+    const shapes = [];
+    for (const character of word.text) {
+        const shape = shapeFor(character);
+        if (shape && shape !== shapes[shapes.length - 1]) {
+            shapes.push(shape);
+        }
+    }
+
+    const step = (end - start) / Math.max(shapes.length, 1);
+    return shapes.map((shape, index) => ({ time: Math.round(start + index * step), shape }));
+};
+
+// text is what was actually spoken (after trimming/truncation); rate is the speed multiplier requested
+const buildSpeechMarks = (text, audioBuffer, format, { rate = 1 } = {}) => {
+    const words = [];
+    const tokenPattern = /\S+/g;
+    let match;
+    while ((match = tokenPattern.exec(text)) !== null) {
+        words.push({ text: match[0], offset: match.index, length: match[0].length });
+    }
+
+    const measured = measureDurationMs(audioBuffer, format);
+    const durationMs = measured || (text.length / FALLBACK_CHARS_PER_SECOND / (rate || 1)) * 1000;
+
+    const weights = words.map(word => ({ speak: word.length, pause: pauseAfter(word.text) }));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight.speak + weight.pause, 0) || 1;
+    const msPerUnit = durationMs / totalWeight;
+
+    const visemes = [];
+    let cursor = 0;
+    words.forEach((word, index) => {
+        word.start = Math.round(cursor);
+        cursor += weights[index].speak * msPerUnit;
+        word.end = Math.round(cursor);
+
+        visemes.push(...wordVisemes(word, word.start, word.end));
+        if (weights[index].pause) {
+            visemes.push({ time: word.end, shape: 'rest' });
+        }
+        cursor += weights[index].pause * msPerUnit;
+    });
+    visemes.push({ time: Math.round(durationMs), shape: 'rest' });
+
+    return {
+        durationMs: Math.round(durationMs),
+        estimated: true,
+        words: words.map(({ offset, length, start, end }) => ({ offset, length, start, end })),
+        visemes
+    };
+};
+
+// Marks from the synthesizer's own events: words is [{ text, start, duration }] and visemes [{ time, id }], times
+// in milliseconds. Words are located in the spoken text in order (the events index into the SSML, not the text).
+// Voices without viseme events get mouth shapes from the letters of each timed word.
+const buildSpeechMarksFromEvents = (text, { words: boundaries = [], visemes: visemeEvents = [], durationMs = 0 }) => {
+    const words = [];
+    let cursor = 0;
+    boundaries.forEach(({ text: wordText, start, duration }) => {
+        const offset = text.indexOf(wordText, cursor);
+        if (!wordText || offset === -1) return;
+
+        cursor = offset + wordText.length;
+        words.push({ text: wordText, offset, length: wordText.length, start: Math.round(start), end: Math.round(start + duration) });
+    });
+
+    const lastEnd = words.length ? words[words.length - 1].end : 0;
+    const totalMs = Math.round(Math.max(durationMs, lastEnd));
+
+    const visemes = visemeEvents.length
+        ? visemeEvents.map(({ time, id }) => ({ time: Math.round(time), shape: AZURE_VISEME_SHAPES[id] || 'rest' }))
+            .filter((viseme, index, all) => index === 0 || viseme.shape !== all[index - 1].shape)
+        : words.flatMap(word => [...wordVisemes(word, word.start, word.end), { time: word.end, shape: 'rest' }]);
+    visemes.push({ time: totalMs, shape: 'rest' });
+
+    return {
+        durationMs: totalMs,
+        estimated: false,
+        words: words.map(({ offset, length, start, end }) => ({ offset, length, start, end })),
+        visemes
+    };
+};
+
+module.exports = {
+    buildSpeechMarks,
+    buildSpeechMarksFromEvents,
+    measureDurationMs
+};
@@ -0,0 +1,59 @@
+// Per-request speech preferences - voice id, speaking rate, pitch and speaking style
+//
+// rate is a multiplier of normal speed, pitch a percentage shift. Voice and style are free-form ids
+// because what exists depends on the engine and locale; engines ignore ids they do not know.
+
+const VOICE_SETTING_LIMITS = {
+    rate: { min: 0.5, max: 2, default: 0.9 },
+    pitch: { min: -50, max: 50, default: 0 }
+};
+
+const ID_PATTERN = /^[a-z0-9-]{1,40}$/i;
+
+// Carries an HTTP status so the routes can answer 400 instead of 500
+const createSettingsError = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+// Numbers may arrive as strings from query parameters (GET /api/chat/stream)
+const parseNumberSetting = (value, field) => {
+    if (value === undefined || value === null || value === '') {
+        return VOICE_SETTING_LIMITS[field].default;
+    }
+
+    const number = typeof value === 'string' ? Number(value) : value;
+    const { min, max } = VOICE_SETTING_LIMITS[field];
+
+    if (typeof number !== 'number' || !isFinite(number) || number < min || number > max) {
+        throw createSettingsError(`${field} must be a number between ${min} and ${max}.`);
+    }
+
+    return number;
+};
+
+const parseIdSetting = (value, field) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    if (typeof value !== 'string' || !ID_PATTERN.test(value)) {
+        throw createSettingsError(`${field} must be a voice or style id such as "jenny" or "cheerful".`);
+    }
+
+    return value.toLowerCase();
+};
+
+// Reads { voice, rate, pitch, style } from a request body or query. Missing values get the defaults.
+const parseVoiceSettings = (params = {}) => ({
+    voice: parseIdSetting(params.voice, 'voice'),
+    rate: parseNumberSetting(params.rate, 'rate'),
+    pitch: parseNumberSetting(params.pitch, 'pitch'),
+    style: parseIdSetting(params.style, 'style')
+});
+
+module.exports = {
+    VOICE_SETTING_LIMITS,
+    parseVoiceSettings
+};
@@ -0,0 +1,16 @@
+// Shared server utilities
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const logWithTimestamp = (message, data = null) => {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] ${message}`);
+    if (data) {
+        console.log(JSON.stringify(data, null, 2));
+    }
+};
+
+module.exports = {
+    delay,
+    logWithTimestamp
+};
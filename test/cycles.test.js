@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveToday, computeCycleStats, CycleStore } = require('../server/cycles');
+const { toDayNumber, toDateString, todayString } = require('../server/cycles/cycleStats');
+
+const shift = (days) => toDateString(toDayNumber(todayString()) + days);
+
+test('resolveToday accepts a client date within a day of UTC and ignores anything else', () => {
+    assert.strictEqual(resolveToday(shift(1)), shift(1));
+    assert.strictEqual(resolveToday(shift(-1)), shift(-1));
+    assert.strictEqual(resolveToday(shift(2)), todayString());
+    assert.strictEqual(resolveToday('not-a-date'), todayString());
+    assert.strictEqual(resolveToday(undefined), todayString());
+});
+
+test('a period starting on the client\'s today is accepted when it is already tomorrow in UTC terms', () => {
+    const store = new CycleStore({ dataDir: '/nonexistent' });
+    const clientToday = shift(1);
+
+    assert.throws(() => store.validateEntry({ startDate: clientToday }), /future/);
+    assert.strictEqual(store.validateEntry({ startDate: clientToday }, null, resolveToday(clientToday)).startDate, clientToday);
+});
+
+test('daysSinceLastPeriod counts from the client\'s date', () => {
+    const cycles = [{ startDate: shift(-27), endDate: null }, { startDate: shift(-55), endDate: null }];
+    assert.strictEqual(computeCycleStats(cycles, shift(1)).daysSinceLastPeriod, 28);
+});
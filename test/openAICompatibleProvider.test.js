@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const OpenAICompatibleProvider = require('../server/llm/openAICompatibleProvider');
+
+// Serves one streamed completion, written as the given byte chunks
+const serveChunks = (chunks) => new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', async () => {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            for (const chunk of chunks) {
+                res.write(chunk);
+                await new Promise(done => setTimeout(done, 10));
+            }
+            res.end();
+        });
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+test('stream() keeps a Devanagari character that is split across two chunks', async () => {
+    const text = 'मैं समझती हूँ';
+    const body = Buffer.from(`data: ${JSON.stringify({ model: 'test', choices: [{ delta: { content: text } }] })}\n\ndata: [DONE]\n\n`);
+    // Split inside the first character's three UTF-8 bytes
+    const split = body.indexOf(Buffer.from('म')) + 1;
+    const server = await serveChunks([body.subarray(0, split), body.subarray(split)]);
+
+    try {
+        const provider = new OpenAICompatibleProvider({ baseURL: `http://127.0.0.1:${server.address().port}`, model: 'test' });
+        const tokens = [];
+        const result = await provider.stream([{ role: 'user', content: 'hi' }], {}, token => tokens.push(token));
+
+        assert.strictEqual(result.text, text);
+        assert.deepStrictEqual(tokens, [text]);
+        assert.ok(!result.text.includes('�'));
+    } finally {
+        server.close();
+    }
+});
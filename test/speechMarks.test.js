@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildSpeechMarksFromEvents } = require('../server/tts/speechMarks');
+
+test('Azure word boundaries keep their reported timings and map to offsets in the spoken text', () => {
+    const text = 'Hello, dear friend.';
+    const marks = buildSpeechMarksFromEvents(text, {
+        words: [
+            { text: 'Hello', start: 50, duration: 400 },
+            { text: 'dear', start: 700, duration: 300 },
+            { text: 'friend', start: 1000, duration: 450 }
+        ],
+        visemes: [{ time: 0, id: 0 }, { time: 60, id: 12 }, { time: 120, id: 4 }, { time: 130, id: 4 }, { time: 1010, id: 18 }],
+        durationMs: 1600
+    });
+
+    assert.strictEqual(marks.estimated, false);
+    assert.strictEqual(marks.durationMs, 1600);
+    assert.deepStrictEqual(marks.words, [
+        { offset: 0, length: 5, start: 50, end: 450 },
+        { offset: 7, length: 4, start: 700, end: 1000 },
+        { offset: 12, length: 6, start: 1000, end: 1450 }
+    ]);
+    assert.deepStrictEqual(marks.visemes, [
+        { time: 0, shape: 'rest' },
+        { time: 60, shape: 'open' },
+        { time: 120, shape: 'wide' },
+        { time: 1010, shape: 'teeth' },
+        { time: 1600, shape: 'rest' }
+    ]);
+});
+
+test('voices without viseme events get shapes from the timed words', () => {
+    const marks = buildSpeechMarksFromEvents('मैं ठीक हूँ', {
+        words: [{ text: 'मैं', start: 0, duration: 300 }, { text: 'ठीक', start: 300, duration: 300 }],
+        visemes: [],
+        durationMs: 900
+    });
+
+    assert.strictEqual(marks.words.length, 2);
+    assert.strictEqual(marks.visemes[0].shape, 'closed');
+    assert.deepStrictEqual(marks.visemes[marks.visemes.length - 1], { time: 900, shape: 'rest' });
+});
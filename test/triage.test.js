@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TriageService = require('../server/triage');
+
+const ruleFor = (text) => {
+    const result = TriageService.assess(text);
+    return result ? result.rule : null;
+};
+
+test('heavy bleeding with dizziness matches the plural "periods"', () => {
+    assert.strictEqual(ruleFor('I have very heavy periods and I feel dizzy'), 'heavy_bleeding_with_dizziness');
+    assert.strictEqual(ruleFor('My periods are super heavy and I nearly fainted'), 'heavy_bleeding_with_dizziness');
+    assert.strictEqual(ruleFor('I am bleeding heavily and feel dizzy'), 'heavy_bleeding_with_dizziness');
+    assert.strictEqual(ruleFor('मुझे बहुत ज़्यादा खून आ रहा है और चक्कर आ रहे हैं'), 'heavy_bleeding_with_dizziness');
+});
+
+test('suicidal ideation matches "do not" and "dont" as well as "don\'t"', () => {
+    assert.strictEqual(ruleFor('I do not want to live anymore'), 'suicidal_ideation');
+    assert.strictEqual(ruleFor('I dont want to live anymore'), 'suicidal_ideation');
+    assert.strictEqual(ruleFor("I don't want to wake up tomorrow"), 'suicidal_ideation');
+    assert.strictEqual(ruleFor('I no longer want to be alive'), 'suicidal_ideation');
+    assert.strictEqual(ruleFor('मैं अब जीना नहीं चाहती'), 'suicidal_ideation');
+});
+
+test('plural pain words still match the pain rules', () => {
+    assert.strictEqual(ruleFor('I get sudden sharp pains on my right side'), 'severe_one_sided_pelvic_pain');
+    assert.strictEqual(ruleFor("I'm pregnant and bleeding with strong pains"), 'pregnancy_bleeding_with_pain');
+});
+
+test('ordinary questions are not flagged', () => {
+    [
+        'What is PCOS?',
+        'My periods are heavy, is that normal?',
+        'I feel dizzy when I stand up quickly',
+        'मेरे पीरियड्स अनियमित हैं, क्या यह PCOS है?',
+        'थायराइड से पीरियड्स पर क्या असर पड़ता है?'
+    ].forEach(text => assert.strictEqual(ruleFor(text), null, text));
+});